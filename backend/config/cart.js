@@ -0,0 +1,29 @@
+// backend/config/cart.js
+import dotenv from "dotenv";
+dotenv.config();
+
+export const config = {
+  // Guest carts (and the session cookie that finds them) are kept this long
+  // after the last change
+  guestCartTtlDays: parseInt(process.env.GUEST_CART_TTL_DAYS) || 30,
+  // Secret for signed cookies such as the guest session
+  cookieSecret: process.env.COOKIE_SECRET || process.env.JWT_SECRET,
+
+  // Abandoned cart recovery: carts with items and no activity for this many
+  // hours get one recovery email per period of inactivity
+  abandonedAfterHours: parseInt(process.env.ABANDONED_CART_HOURS) || 24,
+  // Carts quiet for longer than this are left alone
+  abandonedMaxAgeDays: parseInt(process.env.ABANDONED_CART_MAX_AGE_DAYS) || 7,
+  // How often the abandoned cart job looks for carts to email
+  abandonedSweepIntervalMs:
+    parseInt(process.env.ABANDONED_CART_SWEEP_MS) || 15 * 60 * 1000,
+  // How long the restore link in a recovery email works
+  recoveryLinkTtlDays: parseInt(process.env.CART_RECOVERY_LINK_TTL_DAYS) || 7,
+  // Signs restore links (defaults to JWT_SECRET)
+  recoverySecret: process.env.CART_RECOVERY_SECRET || process.env.JWT_SECRET,
+  // One-time percentage coupon attached to recovery emails (0 disables it)
+  recoveryCoupon: {
+    percentOff: parseFloat(process.env.CART_RECOVERY_COUPON_PERCENT) || 0,
+    validDays: parseInt(process.env.CART_RECOVERY_COUPON_DAYS) || 7,
+  },
+};
@@ -10,4 +10,26 @@ export const config = {
     pass: process.env.SMTP_PASS || "testpassword",
   },
   from: process.env.FROM_EMAIL || "noreply@yourapp.com",
+
+  // How queued emails are delivered: "smtp", or "outbox" to write each email
+  // as a JSON file to outboxDir instead of sending it (development and tests)
+  transport: process.env.EMAIL_TRANSPORT || "smtp",
+  outboxDir: process.env.EMAIL_OUTBOX_DIR || "outbox",
+
+  // Delivery retries: attempt n waits retryBaseMs * 2^(n-1), up to retryMaxMs
+  maxAttempts: parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 5,
+  retryBaseMs: parseInt(process.env.EMAIL_RETRY_BASE_MS) || 60 * 1000,
+  retryMaxMs: parseInt(process.env.EMAIL_RETRY_MAX_MS) || 60 * 60 * 1000,
+  // How often the worker sends due emails
+  workerIntervalMs: parseInt(process.env.EMAIL_WORKER_INTERVAL_MS) || 15 * 1000,
+
+  // Shared brand layout of every email (utils/emailTemplates)
+  brand: {
+    name: process.env.BRAND_NAME || "Luxe Heritage",
+    url: process.env.FRONTEND_URL || "http://localhost:5173",
+    supportEmail: process.env.SUPPORT_EMAIL || "support@yourapp.com",
+    color: process.env.BRAND_COLOR || "#1a1a1a",
+  },
+  // Language used when the recipient's preferred one has no templates
+  defaultLanguage: process.env.EMAIL_DEFAULT_LANGUAGE || "en",
 };
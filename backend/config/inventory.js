@@ -0,0 +1,20 @@
+// backend/config/inventory.js
+import dotenv from "dotenv";
+dotenv.config();
+
+export const config = {
+  // How long stock stays reserved after checkout starts
+  reservationTtlMinutes: parseInt(process.env.STOCK_RESERVATION_TTL_MINUTES) || 15,
+  // How often expired reservations are swept and their stock released
+  reservationSweepIntervalMs:
+    parseInt(process.env.STOCK_RESERVATION_SWEEP_MS) || 60 * 1000,
+  // Where low and out of stock alerts are emailed; every admin when empty
+  alertEmails: (process.env.STOCK_ALERT_EMAILS || "")
+    .split(",")
+    .map((email) => email.trim())
+    .filter(Boolean),
+  // Restock suggestions cover this many days of sales, measured over the
+  // lookback window
+  restockCoverDays: parseInt(process.env.RESTOCK_COVER_DAYS) || 30,
+  restockLookbackDays: parseInt(process.env.RESTOCK_LOOKBACK_DAYS) || 30,
+};
@@ -0,0 +1,44 @@
+// backend/config/loyalty.js
+import dotenv from "dotenv";
+dotenv.config();
+
+export const config = {
+  // Points earned per unit of currency spent (before tier multipliers)
+  earnRate: parseFloat(process.env.LOYALTY_EARN_RATE) || 1,
+  // Currency value of one point when redeemed at checkout
+  pointValue: parseFloat(process.env.LOYALTY_POINT_VALUE) || 0.01,
+  minRedeemPoints: parseInt(process.env.LOYALTY_MIN_REDEEM_POINTS) || 100,
+  // Share of an order total that may be paid with points
+  maxRedeemRatio: parseFloat(process.env.LOYALTY_MAX_REDEEM_RATIO) || 0.5,
+
+  // Tiers by lifetime points earned, lowest first. Override with a JSON
+  // array in LOYALTY_TIERS using the same shape.
+  tiers: process.env.LOYALTY_TIERS
+    ? JSON.parse(process.env.LOYALTY_TIERS)
+    : [
+        {
+          name: "Member",
+          minPoints: 0,
+          earnMultiplier: 1,
+          freeShippingMethods: [],
+        },
+        {
+          name: "Silver",
+          minPoints: 1000,
+          earnMultiplier: 1.25,
+          freeShippingMethods: ["standard"],
+        },
+        {
+          name: "Gold",
+          minPoints: 5000,
+          earnMultiplier: 1.5,
+          freeShippingMethods: ["standard", "express"],
+        },
+        {
+          name: "Platinum",
+          minPoints: 15000,
+          earnMultiplier: 2,
+          freeShippingMethods: ["standard", "express", "overnight"],
+        },
+      ],
+};
@@ -0,0 +1,20 @@
+// backend/config/payments.js
+import dotenv from "dotenv";
+dotenv.config();
+
+export const config = {
+  // Which PaymentProvider handles charges: "mock" (local, MongoDB-backed) or "stripe"
+  provider: process.env.PAYMENT_PROVIDER || "mock",
+  currency: (process.env.PAYMENT_CURRENCY || "usd").toLowerCase(),
+
+  // Webhooks are signed Stripe-style (Stripe-Signature: t=...,v1=HMAC-SHA256)
+  webhookSecret:
+    process.env.PAYMENT_WEBHOOK_SECRET || process.env.STRIPE_WEBHOOK_SECRET,
+  webhookToleranceSeconds:
+    parseInt(process.env.PAYMENT_WEBHOOK_TOLERANCE_SECONDS) || 300,
+
+  stripe: {
+    secretKey: process.env.STRIPE_SECRET_KEY,
+    publishableKey: process.env.STRIPE_PUBLISHABLE_KEY,
+  },
+};
@@ -0,0 +1,36 @@
+// backend/config/shipping.js
+import dotenv from "dotenv";
+dotenv.config();
+
+export const config = {
+  // Dimensional weight divisor (cm³ per kg); product weights are in kg
+  volumetricDivisor: parseInt(process.env.SHIPPING_VOLUMETRIC_DIVISOR) || 5000,
+  // Zone used when no ShippingZone covers an address.
+  // Set SHIPPING_DEFAULT_ZONE=false to only ship to configured zones.
+  defaultZone:
+    process.env.SHIPPING_DEFAULT_ZONE === "false"
+      ? null
+      : {
+          name: "Default",
+          methods: [
+            {
+              code: "standard",
+              name: "Standard Shipping",
+              baseRate: 5.99,
+              estimatedDays: { min: 3, max: 5 },
+            },
+            {
+              code: "express",
+              name: "Express Shipping",
+              baseRate: 12.99,
+              estimatedDays: { min: 1, max: 2 },
+            },
+            {
+              code: "overnight",
+              name: "Overnight Shipping",
+              baseRate: 24.99,
+              estimatedDays: { min: 1, max: 1 },
+            },
+          ],
+        },
+};
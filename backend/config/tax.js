@@ -0,0 +1,17 @@
+// backend/config/tax.js
+import dotenv from "dotenv";
+dotenv.config();
+
+export const config = {
+  // Name of the registered tax provider used by utils/tax.js
+  provider: process.env.TAX_PROVIDER || "table",
+  // When true, catalog prices already contain tax and tax is extracted from them
+  pricesIncludeTax: process.env.PRICES_INCLUDE_TAX === "true",
+  defaultTaxClass: "standard",
+  // Store base address, used to estimate tax before a shipping address is known
+  baseAddress: {
+    country: process.env.STORE_COUNTRY || "US",
+    state: process.env.STORE_STATE || "",
+    zipCode: process.env.STORE_ZIP || "",
+  },
+};
@@ -0,0 +1,46 @@
+import { EventEmitter } from 'events';
+import { logger } from '../middleware/errorHandler.js';
+
+// Domain events. Publishers don't know who listens; subscribers (see
+// events/index.js) react to what happened in the store.
+//
+//   stock.low           { productId, sku, name, url, quantity, previous, threshold }
+//   stock.out           same payload, stock reached zero
+//   stock.replenished   same payload, stock rose back above its threshold
+//   stock.back_in_stock same payload, stock rose from zero
+//   product.price_dropped { productId, name, url, previousPrice, price }
+export const STOCK_EVENTS = {
+  LOW: 'stock.low',
+  OUT: 'stock.out',
+  REPLENISHED: 'stock.replenished',
+  BACK_IN_STOCK: 'stock.back_in_stock'
+};
+
+export const PRODUCT_EVENTS = {
+  PRICE_DROPPED: 'product.price_dropped'
+};
+
+const bus = new EventEmitter();
+bus.setMaxListeners(50);
+
+// Publish an event. Subscribers run after the current operation, so a slow
+// or failing subscriber never holds up or fails the publisher.
+export const publish = (event, payload) => {
+  setImmediate(() => bus.emit(event, payload));
+};
+
+// Listen for an event. Handlers may be async; their failures are logged.
+export const subscribe = (event, handler, name = handler.name) => {
+  const listener = async (payload) => {
+    try {
+      await handler(payload);
+    } catch (error) {
+      logger.error({ message: `Subscriber ${name} failed on ${event}: ${error.message}`, stack: error.stack });
+    }
+  };
+
+  bus.on(event, listener);
+  return () => bus.off(event, listener);
+};
+
+export default bus;
@@ -0,0 +1,24 @@
+import { subscribe } from './bus.js';
+import stockAlerts from './stockAlerts.js';
+import restockSuggestions from './restockSuggestions.js';
+import productAlerts from './productAlerts.js';
+
+export { publish, STOCK_EVENTS, PRODUCT_EVENTS } from './bus.js';
+
+const subscribers = [
+  stockAlerts,
+  restockSuggestions,
+  productAlerts
+];
+
+// Attach every subscriber to the event bus. Handlers get the event payload
+// and the app context (the Socket.IO server for real-time alerts).
+export const startSubscribers = ({ io } = {}) => {
+  return subscribers.flatMap(subscriber =>
+    Object.entries(subscriber.subscriptions).map(([event, handler]) =>
+      subscribe(event, (payload) => handler(payload, { io }), subscriber.name)
+    )
+  );
+};
+
+export default startSubscribers;
@@ -0,0 +1,93 @@
+import User from '../models/User.js';
+import Wishlist from '../models/Wishlist.js';
+import ProductAlert from '../models/ProductAlert.js';
+import { STOCK_EVENTS, PRODUCT_EVENTS } from './bus.js';
+import { notifyUser } from '../utils/notifications.js';
+import { sendEmail } from '../utils/email.js';
+
+// Send an alert in-app and by email to users who haven't opted out of it
+// (preferences.productAlerts[preference]) or of alert emails
+const deliverAlert = async (userIds, preference, { io, notification, template, data }) => {
+  const users = await User.find({ _id: { $in: userIds } })
+    .select('firstName email preferences');
+
+  for (const user of users) {
+    const alerts = user.preferences?.productAlerts;
+    if (alerts?.[preference] === false) continue;
+
+    await notifyUser(io, user._id, notification);
+
+    if (alerts?.email !== false) {
+      await sendEmail({
+        to: user.email,
+        template,
+        language: user.preferences?.language,
+        data: { ...data, firstName: user.firstName }
+      });
+    }
+  }
+};
+
+const uniqueIds = (ids) => [...new Set(ids.map(id => id.toString()))];
+
+// Tell users who wished for a product, or asked to be notified, that it can
+// be bought again. "Notify me" alerts only fire once.
+const alertBackInStock = async ({ productId, sku, name, url, quantity }, { io }) => {
+  const [wishers, alerts] = await Promise.all([
+    Wishlist.findAlertSubscribers(productId, 'backInStock'),
+    ProductAlert.findTriggered(productId, 'back_in_stock', { sku })
+  ]);
+
+  await deliverAlert(uniqueIds([...wishers, ...alerts.map(alert => alert.user)]), 'backInStock', {
+    io,
+    notification: {
+      type: 'back_in_stock',
+      title: `${name} is back in stock`,
+      message: `${name} is available again.`,
+      link: url,
+      data: { productId, sku, quantity }
+    },
+    template: 'back-in-stock',
+    data: { name, productUrl: `${process.env.FRONTEND_URL}${url}` }
+  });
+
+  await ProductAlert.updateMany(
+    { _id: { $in: alerts.map(alert => alert._id) } },
+    { $set: { active: false, notifiedAt: new Date() } }
+  );
+};
+
+// Tell users who wished for a product, or are watching its price, that it
+// got cheaper
+const alertPriceDrop = async ({ productId, name, url, previousPrice, price }, { io }) => {
+  const [wishers, alerts] = await Promise.all([
+    Wishlist.findAlertSubscribers(productId, 'priceDrop'),
+    ProductAlert.findTriggered(productId, 'price_drop', { price })
+  ]);
+
+  await deliverAlert(uniqueIds([...wishers, ...alerts.map(alert => alert.user)]), 'priceDrop', {
+    io,
+    notification: {
+      type: 'price_drop',
+      title: `${name} is now cheaper`,
+      message: `${name} dropped from ${previousPrice.toFixed(2)} to ${price.toFixed(2)}.`,
+      link: url,
+      data: { productId, previousPrice, price }
+    },
+    template: 'price-drop',
+    data: { name, previousPrice, price, productUrl: `${process.env.FRONTEND_URL}${url}` }
+  });
+
+  await ProductAlert.updateMany(
+    { _id: { $in: alerts.map(alert => alert._id) } },
+    { $set: { notifiedAt: new Date() } }
+  );
+};
+
+export default {
+  name: 'productAlerts',
+  subscriptions: {
+    [STOCK_EVENTS.BACK_IN_STOCK]: alertBackInStock,
+    [PRODUCT_EVENTS.PRICE_DROPPED]: alertPriceDrop
+  }
+};
@@ -0,0 +1,16 @@
+import RestockSuggestion from '../models/RestockSuggestion.js';
+import { STOCK_EVENTS } from './bus.js';
+
+// Keep the restock suggestion list in step with stock levels
+const openSuggestion = (payload) => RestockSuggestion.recordStockEvent(payload);
+
+const resolveSuggestion = ({ productId, sku }) => RestockSuggestion.resolve(productId, sku);
+
+export default {
+  name: 'restockSuggestions',
+  subscriptions: {
+    [STOCK_EVENTS.LOW]: openSuggestion,
+    [STOCK_EVENTS.OUT]: openSuggestion,
+    [STOCK_EVENTS.REPLENISHED]: resolveSuggestion
+  }
+};
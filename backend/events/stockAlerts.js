@@ -0,0 +1,59 @@
+import User from '../models/User.js';
+import { STOCK_EVENTS } from './bus.js';
+import { notifyAdmins, ADMIN_ROOM } from '../utils/notifications.js';
+import { sendEmail } from '../utils/email.js';
+import { config } from '../config/inventory.js';
+
+// Who gets stock alert emails: the configured addresses, else every admin
+const getAlertRecipients = async () => {
+  if (config.alertEmails.length > 0) {
+    return config.alertEmails.map(email => ({ email }));
+  }
+  return User.find({ role: 'admin' }).select('email preferences.language');
+};
+
+// Tell admins in-app, over their sockets and by email that a product (or
+// option) ran low or sold out
+const alertAdmins = async ({ productId, sku, name, quantity, threshold }, { io }) => {
+  const outOfStock = quantity <= 0;
+  const type = outOfStock ? 'out_of_stock' : 'low_stock';
+  const data = { productId, sku, quantity, threshold };
+  const adminUrl = `/admin/products/${productId}`;
+
+  await notifyAdmins(io, {
+    type,
+    title: outOfStock ? `${name} is out of stock` : `${name} is running low`,
+    message: outOfStock
+      ? `${name} has sold out.`
+      : `Only ${quantity} left of ${name} (alert level ${threshold}).`,
+    link: adminUrl,
+    data
+  });
+
+  if (io) {
+    io.to(ADMIN_ROOM).emit('stock-alert', { type, ...data, name });
+  }
+
+  const recipients = await getAlertRecipients();
+  await Promise.all(recipients.map(recipient => sendEmail({
+    to: recipient.email,
+    template: 'stock-alert',
+    language: recipient.preferences?.language,
+    data: {
+      name,
+      sku,
+      quantity,
+      threshold,
+      outOfStock,
+      productUrl: `${process.env.FRONTEND_URL}${adminUrl}`
+    }
+  })));
+};
+
+export default {
+  name: 'stockAlerts',
+  subscriptions: {
+    [STOCK_EVENTS.LOW]: alertAdmins,
+    [STOCK_EVENTS.OUT]: alertAdmins
+  }
+};
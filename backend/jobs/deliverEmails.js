@@ -0,0 +1,15 @@
+import { logger } from '../middleware/errorHandler.js';
+import { processOutbox } from '../utils/email.js';
+import { config } from '../config/email.js';
+
+// Send queued emails, including retries of earlier failed attempts
+export default {
+  name: 'deliver-emails',
+  intervalMs: config.workerIntervalMs,
+  run: async () => {
+    const processed = await processOutbox();
+    if (processed > 0) {
+      logger.info(`Processed ${processed} queued emails`);
+    }
+  }
+};
@@ -0,0 +1,37 @@
+import { logger } from '../middleware/errorHandler.js';
+import releaseExpiredReservations from './releaseExpiredReservations.js';
+import sendAbandonedCartEmails from './sendAbandonedCartEmails.js';
+import deliverEmails from './deliverEmails.js';
+
+const jobs = [
+  releaseExpiredReservations,
+  sendAbandonedCartEmails,
+  deliverEmails
+];
+
+// Run each job on its interval. A job never overlaps with itself and
+// a failing run is logged without stopping the schedule.
+export const startJobs = () => {
+  return jobs.map(job => {
+    let running = false;
+
+    const timer = setInterval(async () => {
+      if (running) return;
+      running = true;
+
+      try {
+        await job.run();
+      } catch (error) {
+        logger.error({ message: `Job ${job.name} failed: ${error.message}`, stack: error.stack });
+      } finally {
+        running = false;
+      }
+    }, job.intervalMs);
+
+    // Don't keep the process alive just for background jobs
+    timer.unref();
+    return timer;
+  });
+};
+
+export default startJobs;
@@ -0,0 +1,15 @@
+import StockReservation from '../models/StockReservation.js';
+import { logger } from '../middleware/errorHandler.js';
+import { config } from '../config/inventory.js';
+
+// Give stock held by abandoned checkouts back to the catalog
+export default {
+  name: 'release-expired-reservations',
+  intervalMs: config.reservationSweepIntervalMs,
+  run: async () => {
+    const released = await StockReservation.releaseExpired();
+    if (released > 0) {
+      logger.info(`Released ${released} expired stock reservations`);
+    }
+  }
+};
@@ -0,0 +1,32 @@
+import Cart from '../models/Cart.js';
+import { logger } from '../middleware/errorHandler.js';
+import { abandonedCartFilter, sendRecoveryEmail } from '../utils/cartRecovery.js';
+import { config } from '../config/cart.js';
+
+// Carts emailed per run; the rest are picked up on the next one
+const BATCH_SIZE = 100;
+
+// Email users whose carts have gone quiet a link that restores them
+export default {
+  name: 'send-abandoned-cart-emails',
+  intervalMs: config.abandonedSweepIntervalMs,
+  run: async () => {
+    const carts = await Cart.find(abandonedCartFilter())
+      .select('_id recoveryEmailedAt')
+      .sort({ lastActivity: 1 })
+      .limit(BATCH_SIZE);
+
+    let sent = 0;
+    for (const cart of carts) {
+      try {
+        if (await sendRecoveryEmail(cart)) sent++;
+      } catch (error) {
+        logger.error({ message: `Recovery email for cart ${cart._id} failed: ${error.message}`, stack: error.stack });
+      }
+    }
+
+    if (sent > 0) {
+      logger.info(`Sent ${sent} abandoned cart emails`);
+    }
+  }
+};
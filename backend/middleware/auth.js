@@ -1,5 +1,7 @@
 import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
 import { promisify } from 'util';
 
 // Protect routes
@@ -45,7 +47,16 @@ const protect = async (req, res, next) => {
         });
       }
 
+      // Access tokens die with the session that issued them
+      if (!(await Session.isActive(decoded.sid, user._id))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has expired or been revoked'
+        });
+      }
+
       req.user = user;
+      req.sessionId = decoded.sid;
       next();
     } catch (error) {
       return res.status(401).json({
@@ -90,8 +101,9 @@ const optionalAuth = async (req, res, next) => {
         const decoded = await promisify(jwt.verify)(token, process.env.JWT_SECRET);
         const user = await User.findById(decoded.id).select('-password');
         
-        if (user && !user.isLocked) {
+        if (user && !user.isLocked && await Session.isActive(decoded.sid, user._id)) {
           req.user = user;
+          req.sessionId = decoded.sid;
         }
       } catch (error) {
         // Token invalid but we don't throw error as this is optional
@@ -104,10 +116,12 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-// Verify refresh token
+// Verify refresh token, read only from the httpOnly cookie set at login.
+// Only checks the signature and user; the route must still rotate it against
+// its session.
 const verifyRefreshToken = async (req, res, next) => {
   try {
-    const { refreshToken } = req.body;
+    const { refreshToken } = req.cookies;
 
     if (!refreshToken) {
       return res.status(401).json({
@@ -118,6 +132,15 @@ const verifyRefreshToken = async (req, res, next) => {
 
     try {
       const decoded = await promisify(jwt.verify)(refreshToken, process.env.JWT_REFRESH_SECRET);
+
+      // Tokens issued before sessions were tracked can't be rotated
+      if (!mongoose.isValidObjectId(decoded.sid)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid refresh token'
+        });
+      }
+
       const user = await User.findById(decoded.id).select('-password');
       
       if (!user) {
@@ -127,7 +150,16 @@ const verifyRefreshToken = async (req, res, next) => {
         });
       }
 
+      if (user.isLocked) {
+        return res.status(401).json({
+          success: false,
+          message: 'Account is temporarily locked due to too many failed login attempts'
+        });
+      }
+
       req.user = user;
+      req.sessionId = decoded.sid;
+      req.refreshToken = refreshToken;
       next();
     } catch (error) {
       return res.status(401).json({
@@ -0,0 +1,48 @@
+import crypto from 'crypto';
+import { optionalAuth } from './auth.js';
+import { config } from '../config/cart.js';
+
+export const GUEST_SESSION_COOKIE = 'guestSession';
+
+const guestCookieOptions = () => ({
+  httpOnly: true,
+  signed: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'lax',
+  maxAge: config.guestCartTtlDays * 24 * 60 * 60 * 1000
+});
+
+// Work out whose cart a request is for. Signed-in users own their cart;
+// guests are identified by a signed session cookie, which is issued on their
+// first request. Sets req.cartOwner to { user } or { sessionId } so it can be
+// used directly as a query filter, and req.guestSessionId for guests.
+const resolveCartOwner = (req, res, next) => {
+  if (req.user) {
+    req.cartOwner = { user: req.user._id };
+    return next();
+  }
+
+  let sessionId = req.signedCookies?.[GUEST_SESSION_COOKIE];
+
+  if (!sessionId) {
+    sessionId = crypto.randomBytes(24).toString('hex');
+    res.cookie(GUEST_SESSION_COOKIE, sessionId, guestCookieOptions());
+  }
+
+  req.guestSessionId = sessionId;
+  req.cartOwner = { sessionId };
+  next();
+};
+
+export const cartSession = [optionalAuth, resolveCartOwner];
+
+// Guest session of the request, if the browser has one
+export const getGuestSessionId = (req) => req.signedCookies?.[GUEST_SESSION_COOKIE] || null;
+
+// Forget the guest session once its cart belongs to an account
+export const clearGuestSession = (res) => {
+  const { maxAge, ...options } = guestCookieOptions();
+  res.clearCookie(GUEST_SESSION_COOKIE, options);
+};
+
+export default cartSession;
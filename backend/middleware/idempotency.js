@@ -0,0 +1,109 @@
+import crypto from 'crypto';
+import IdempotencyKey from '../models/IdempotencyKey.js';
+import { logger } from './errorHandler.js';
+
+const KEY_TTL_MS = 24 * 60 * 60 * 1000;
+// A request still 'processing' after this long never answered (e.g. the
+// server restarted mid-request), so its key can be taken over
+const PROCESSING_TIMEOUT_MS = 2 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+
+const hashRequest = (req) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify({
+    method: req.method,
+    path: req.baseUrl + req.path,
+    body: req.body || {}
+  }))
+  .digest('hex');
+
+// Make a mutating route safe to retry. Clients send an Idempotency-Key header;
+// the first response for each key (per user or guest session, for 24h) is
+// stored and replayed for repeats, and reusing a key for a different request
+// is rejected. Must run after protect or cartSession. Requests without the
+// header are handled normally.
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  const owner = req.user
+    ? { user: req.user.id }
+    : req.guestSessionId ? { sessionId: req.guestSessionId } : null;
+  if (!key || !owner) return next();
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `Idempotency-Key cannot exceed ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  const requestHash = hashRequest(req);
+  let record;
+
+  try {
+    record = await IdempotencyKey.create({
+      key,
+      ...owner,
+      method: req.method,
+      path: req.baseUrl + req.path,
+      requestHash,
+      expiresAt: new Date(Date.now() + KEY_TTL_MS)
+    });
+  } catch (error) {
+    if (error.code !== 11000) return next(error);
+
+    const existing = await IdempotencyKey.findOne({ ...owner, key });
+
+    // Expired between the insert and the lookup; treat as a fresh request
+    if (!existing) return idempotency(req, res, next);
+
+    if (existing.requestHash !== requestHash) {
+      return res.status(422).json({
+        success: false,
+        message: 'Idempotency-Key was already used for a different request'
+      });
+    }
+
+    if (existing.status === 'processing') {
+      if (Date.now() - existing.createdAt.getTime() > PROCESSING_TIMEOUT_MS) {
+        await IdempotencyKey.deleteOne({ _id: existing._id, status: 'processing' });
+        return idempotency(req, res, next);
+      }
+
+      return res.status(409).json({
+        success: false,
+        message: 'A request with this Idempotency-Key is still being processed'
+      });
+    }
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.responseStatus).json(existing.responseBody);
+  }
+
+  // Store the response when the route sends it. Server errors release the
+  // key instead, so the client can retry once the problem is fixed.
+  const json = res.json.bind(res);
+  let stored = false;
+  res.json = (body) => {
+    stored = true;
+    const saved = res.statusCode >= 500
+      ? IdempotencyKey.deleteOne({ _id: record._id })
+      : IdempotencyKey.updateOne(
+        { _id: record._id },
+        { status: 'completed', responseStatus: res.statusCode, responseBody: JSON.parse(JSON.stringify(body)) }
+      );
+
+    saved.catch(error => logger.error(`Failed to store idempotent response for key ${key}:`, error));
+    return json(body);
+  };
+
+  // Responses sent some other way aren't stored; release the key for them too
+  res.on('finish', () => {
+    if (stored) return;
+    IdempotencyKey.deleteOne({ _id: record._id, status: 'processing' })
+      .catch(error => logger.error(`Failed to release idempotency key ${key}:`, error));
+  });
+
+  next();
+};
+
+export default idempotency;
@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { priceItems, PRICING_FIELDS } from '../utils/pricing.js';
+import { config } from '../config/cart.js';
 
 const cartItemSchema = new mongoose.Schema({
   product: {
@@ -12,7 +14,9 @@ const cartItemSchema = new mongoose.Schema({
     min: 1,
     default: 1
   },
+  // Snapshot of the selected option; pricing and stock are looked up by SKU
   variant: {
+    sku: String,
     name: String,
     value: String,
     priceAdjustment: {
@@ -30,12 +34,11 @@ const cartItemSchema = new mongoose.Schema({
   }
 });
 
+// A cart belongs to a user, or to a guest session (see middleware/cartSession.js)
 const cartSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true,
-    unique: true
+    ref: 'User'
   },
   items: [cartItemSchema],
   
@@ -48,6 +51,15 @@ const cartSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  taxBreakdown: [{
+    name: String,
+    rate: Number,
+    amount: Number
+  }],
+  pricesIncludeTax: {
+    type: Boolean,
+    default: false
+  },
   shipping: {
     type: Number,
     default: 0
@@ -61,32 +73,51 @@ const cartSchema = new mongoose.Schema({
     default: 0
   },
   
-  // Applied coupon
-  coupon: {
-    code: String,
-    discount: Number,
+  // Applied coupons (amounts are recalculated server-side on every save)
+  coupons: [{
+    code: {
+      type: String,
+      required: true
+    },
     type: {
       type: String,
-      enum: ['percentage', 'fixed']
+      enum: ['percentage', 'fixed', 'free_shipping']
+    },
+    amount: {
+      type: Number,
+      default: 0
     }
-  },
+  }],
   
-  // Shipping method
+  // Shipping method code, as offered by the shipping zone for the address
   shippingMethod: {
     type: String,
-    enum: ['standard', 'express', 'overnight'],
+    lowercase: true,
     default: 'standard'
   },
+
+  // Destination used to estimate tax and shipping before checkout
+  shippingAddress: {
+    city: String,
+    state: String,
+    zipCode: String,
+    country: String
+  },
   
   // Session-based cart (for guests)
   sessionId: String,
   
-  // Expiry for guest carts (24 hours)
-  expiresAt: {
-    type: Date,
-    default: () => new Date(Date.now() + 24 * 60 * 60 * 1000)
-  },
+  // Expiry for guest carts, pushed back on every save; user carts don't expire
+  expiresAt: Date,
   
+  // Abandoned cart recovery: when the last recovery email went out, and the
+  // recovery an order from this cart is attributed to
+  recoveryEmailedAt: Date,
+  recovery: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CartRecovery'
+  },
+
   // Metadata
   lastActivity: {
     type: Date,
@@ -99,17 +130,31 @@ const cartSchema = new mongoose.Schema({
 });
 
 // Index for guest cart cleanup
- cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
-cartSchema.index({ user: 1 });
-cartSchema.index({ sessionId: 1 });
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+// One cart per user and per guest session
+cartSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { user: { $exists: true } } });
+cartSchema.index({ sessionId: 1 }, { unique: true, partialFilterExpression: { sessionId: { $exists: true } } });
+// Index for the abandoned cart job
+cartSchema.index({ lastActivity: 1 });
+
+// Every cart needs an owner
+cartSchema.pre('validate', function(next) {
+  if (!this.user && !this.sessionId) {
+    this.invalidate('user', 'A cart must belong to a user or a guest session');
+  }
+  next();
+});
 
 // Pre-save middleware to calculate totals
 cartSchema.pre('save', async function(next) {
-  if (this.isModified('items') || this.isModified('coupon') || this.isModified('shippingMethod')) {
+  if (this.isModified('items') || this.isModified('coupons') || this.isModified('shippingMethod') || this.isModified('shippingAddress')) {
     await this.calculateTotals();
   }
   
   this.lastActivity = new Date();
+  this.expiresAt = this.user
+    ? undefined
+    : new Date(Date.now() + config.guestCartTtlDays * 24 * 60 * 60 * 1000);
   next();
 });
 
@@ -118,55 +163,60 @@ cartSchema.methods.calculateTotals = async function() {
   try {
     await this.populate({
       path: 'items.product',
-      select: 'price compareAtPrice inventory.trackQuantity inventory.quantity inventory.allowBackorders'
+      select: `${PRICING_FIELDS} compareAtPrice inventory.trackQuantity inventory.quantity inventory.allowBackorders`
     });
 
-    let subtotal = 0;
-    
-    this.items.forEach(item => {
-      if (item.product) {
-        const itemPrice = item.product.price + (item.variant?.priceAdjustment || 0);
-        subtotal += itemPrice * item.quantity;
-      }
+    const pricing = await priceItems({
+      items: this.items,
+      user: this.user,
+      couponCodes: this.coupons.map(c => c.code),
+      address: this.shippingAddress,
+      shippingMethod: this.shippingMethod
     });
 
-    this.subtotal = subtotal;
-    
-    // Apply coupon discount
-    let discount = 0;
-    if (this.coupon) {
-      if (this.coupon.type === 'percentage') {
-        discount = (subtotal * this.coupon.discount) / 100;
-      } else {
-        discount = this.coupon.discount;
-      }
-    }
-    this.discount = discount;
+    this.subtotal = pricing.subtotal;
+
+    // Keep only coupons that still validate
+    this.coupons = pricing.coupons.applied.map(({ coupon, amount }) => ({
+      code: coupon.code,
+      type: coupon.type,
+      amount
+    }));
+    this.discount = pricing.discount;
 
-    // Calculate shipping (simplified - in real app, this would be more complex)
-    const shippingRates = {
-      standard: 5.99,
-      express: 12.99,
-      overnight: 24.99
-    };
-    this.shipping = shippingRates[this.shippingMethod] || 0;
+    // Fall back to the cheapest method if the selected one isn't offered here
+    if (!pricing.shippingQuote && pricing.shippingOptions.length > 0) {
+      const fallback = pricing.shippingOptions[0];
+      this.shippingMethod = fallback.code;
+      this.shipping = pricing.coupons.freeShipping || pricing.freeShippingMethods.includes(fallback.code)
+        ? 0
+        : fallback.cost;
+    } else {
+      this.shipping = pricing.shipping;
+    }
 
-    // Calculate tax (simplified - in real app, this would be based on location)
-    this.tax = ((subtotal - discount) * 0.08); // 8% tax rate
+    this.tax = pricing.tax;
+    this.taxBreakdown = pricing.taxes.breakdown;
+    this.pricesIncludeTax = pricing.taxes.pricesIncludeTax;
 
-    this.total = this.subtotal - this.discount + this.tax + this.shipping;
+    // Tax-inclusive prices already contain the tax
+    this.total = this.subtotal - this.discount + this.shipping +
+      (this.pricesIncludeTax ? 0 : this.tax);
   } catch (error) {
     throw new Error('Error calculating cart totals: ' + error.message);
   }
 };
 
+// Check whether a line is for the given product and variant option
+const isSameLine = (item, productId, variantSku = null) => {
+  const itemProductId = (item.product._id || item.product).toString();
+  return itemProductId === productId.toString() &&
+    (item.variant?.sku || null) === (variantSku ? variantSku.toUpperCase() : null);
+};
+
 // Method to add item to cart
 cartSchema.methods.addItem = async function(productId, quantity = 1, variant = null) {
-  const existingItem = this.items.find(item => {
-    const productMatch = item.product.toString() === productId.toString();
-    const variantMatch = JSON.stringify(item.variant) === JSON.stringify(variant);
-    return productMatch && variantMatch;
-  });
+  const existingItem = this.items.find(item => isSameLine(item, productId, variant?.sku));
 
   if (existingItem) {
     existingItem.quantity += quantity;
@@ -185,28 +235,20 @@ cartSchema.methods.addItem = async function(productId, quantity = 1, variant = n
 };
 
 // Method to remove item from cart
-cartSchema.methods.removeItem = async function(productId, variant = null) {
-  this.items = this.items.filter(item => {
-    const productMatch = item.product.toString() === productId.toString();
-    const variantMatch = JSON.stringify(item.variant) === JSON.stringify(variant);
-    return !(productMatch && variantMatch);
-  });
+cartSchema.methods.removeItem = async function(productId, variantSku = null) {
+  this.items = this.items.filter(item => !isSameLine(item, productId, variantSku));
 
   await this.save();
   return this;
 };
 
 // Method to update item quantity
-cartSchema.methods.updateQuantity = async function(productId, quantity, variant = null) {
-  const item = this.items.find(item => {
-    const productMatch = item.product.toString() === productId.toString();
-    const variantMatch = JSON.stringify(item.variant) === JSON.stringify(variant);
-    return productMatch && variantMatch;
-  });
+cartSchema.methods.updateQuantity = async function(productId, quantity, variantSku = null) {
+  const item = this.items.find(item => isSameLine(item, productId, variantSku));
 
   if (item) {
     if (quantity <= 0) {
-      return this.removeItem(productId, variant);
+      return this.removeItem(productId, variantSku);
     } else {
       item.quantity = quantity;
       item.lastModified = new Date();
@@ -218,38 +260,45 @@ cartSchema.methods.updateQuantity = async function(productId, quantity, variant
 };
 
 // Method to clear cart
-cartSchema.methods.clear = async function() {
+cartSchema.methods.clear = async function(options = {}) {
   this.items = [];
-  this.coupon = undefined;
+  this.coupons = [];
   this.subtotal = 0;
   this.tax = 0;
+  this.taxBreakdown = [];
   this.shipping = 0;
   this.discount = 0;
   this.total = 0;
+  this.recovery = undefined;
   
-  await this.save();
+  await this.save(options);
   return this;
 };
 
-// Method to apply coupon
-cartSchema.methods.applyCoupon = async function(couponCode, discount, type = 'percentage') {
-  this.coupon = {
-    code: couponCode,
-    discount,
-    type
-  };
-  
+// Method to apply a validated coupon
+cartSchema.methods.applyCoupon = async function(coupon) {
+  if (!this.hasCoupon(coupon.code)) {
+    this.coupons.push({ code: coupon.code, type: coupon.type });
+  }
+
   await this.save();
   return this;
 };
 
-// Method to remove coupon
-cartSchema.methods.removeCoupon = async function() {
-  this.coupon = undefined;
+// Method to remove a coupon (or all coupons when no code is given)
+cartSchema.methods.removeCoupon = async function(couponCode = null) {
+  this.coupons = couponCode
+    ? this.coupons.filter(c => c.code !== couponCode.toUpperCase())
+    : [];
   await this.save();
   return this;
 };
 
+// Method to check if a coupon is applied
+cartSchema.methods.hasCoupon = function(couponCode) {
+  return this.coupons.some(c => c.code === couponCode.toUpperCase());
+};
+
 // Method to get item count
 cartSchema.methods.getItemCount = function() {
   return this.items.reduce((total, item) => total + item.quantity, 0);
@@ -259,17 +308,18 @@ cartSchema.methods.getItemCount = function() {
 cartSchema.methods.validateStock = async function() {
   await this.populate({
     path: 'items.product',
-    select: 'inventory.trackQuantity inventory.quantity inventory.allowBackorders name'
+    select: 'inventory.trackQuantity inventory.quantity inventory.reserved inventory.allowBackorders variants name'
   });
 
   const stockIssues = [];
 
   this.items.forEach(item => {
     if (item.product && item.product.inventory.trackQuantity) {
-      const stockCheck = item.product.checkStock(item.quantity);
+      const stockCheck = item.product.checkStock(item.quantity, item.variant?.sku);
       if (!stockCheck.available) {
         stockIssues.push({
           product: item.product.name,
+          variant: item.variant?.sku || null,
           requested: item.quantity,
           available: stockCheck.availableQuantity,
           message: stockCheck.message
@@ -284,4 +334,85 @@ cartSchema.methods.validateStock = async function() {
   };
 };
 
+// Method to put back the lines of an abandoned cart. Lines already in this
+// cart are left as they are; saves the cart.
+cartSchema.methods.restoreItems = async function(sourceCart) {
+  sourceCart.items.forEach(sourceItem => {
+    const exists = this.items.some(item =>
+      isSameLine(item, sourceItem.product, sourceItem.variant?.sku)
+    );
+
+    if (!exists) {
+      this.items.push({
+        product: sourceItem.product._id || sourceItem.product,
+        quantity: sourceItem.quantity,
+        variant: sourceItem.variant?.sku ? sourceItem.variant : null,
+        addedAt: sourceItem.addedAt
+      });
+    }
+  });
+
+  await this.save();
+  return this;
+};
+
+// Static method to move a guest session's cart into a user's cart. Lines
+// for the same product and option are combined; coupons are carried over
+// and re-validated for the user, and the guest cart is deleted.
+// Resolves to the user's cart, or null if the guest had nothing to merge.
+cartSchema.statics.mergeGuestCart = async function(sessionId, userId) {
+  const guestCart = await this.findOne({ sessionId });
+  if (!guestCart) return null;
+
+  if (guestCart.items.length === 0 && guestCart.coupons.length === 0) {
+    await guestCart.deleteOne();
+    return null;
+  }
+
+  let userCart = await this.findOne({ user: userId });
+  if (!userCart) {
+    userCart = new this({ user: userId });
+  }
+
+  guestCart.items.forEach(guestItem => {
+    const existingItem = userCart.items.find(item =>
+      isSameLine(item, guestItem.product, guestItem.variant?.sku)
+    );
+
+    if (existingItem) {
+      existingItem.quantity += guestItem.quantity;
+      existingItem.lastModified = new Date();
+    } else {
+      userCart.items.push({
+        product: guestItem.product,
+        quantity: guestItem.quantity,
+        variant: guestItem.variant?.sku ? guestItem.variant : null,
+        addedAt: guestItem.addedAt
+      });
+    }
+  });
+
+  guestCart.coupons.forEach(coupon => {
+    if (!userCart.hasCoupon(coupon.code)) {
+      userCart.coupons.push({ code: coupon.code, type: coupon.type });
+    }
+  });
+
+  // Keep credit for a recovery email the guest came back through
+  if (guestCart.recovery && !userCart.recovery) {
+    userCart.recovery = guestCart.recovery;
+  }
+
+  // The guest's most recent choices win for the estimate destination
+  if (guestCart.shippingAddress?.country) {
+    userCart.shippingAddress = guestCart.shippingAddress;
+    userCart.shippingMethod = guestCart.shippingMethod;
+  }
+
+  await userCart.save();
+  await guestCart.deleteOne();
+
+  return userCart;
+};
+
 export default mongoose.model('Cart', cartSchema);
\ No newline at end of file
@@ -0,0 +1,124 @@
+import mongoose from 'mongoose';
+
+// One recovery email sent for an abandoned cart, and what came of it: whether
+// the restore link was used and which order (if any) the cart turned into
+const cartRecoverySchema = new mongoose.Schema({
+  cart: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cart',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true
+  },
+  // Cart snapshot when the email went out
+  itemCount: {
+    type: Number,
+    default: 0
+  },
+  cartTotal: {
+    type: Number,
+    default: 0
+  },
+  // One-time coupon included in the email
+  couponCode: String,
+  sentAt: {
+    type: Date,
+    default: Date.now
+  },
+  restoredAt: Date,
+  // Conversion
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  recoveredAt: Date,
+  revenue: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+cartRecoverySchema.index({ cart: 1, sentAt: -1 });
+cartRecoverySchema.index({ sentAt: -1 });
+
+// Method to mark the restore link as used
+cartRecoverySchema.methods.markRestored = async function() {
+  if (!this.restoredAt) {
+    this.restoredAt = new Date();
+    await this.save();
+  }
+  return this;
+};
+
+// Static method to attribute an order to a recovery email. Only the first
+// order counts; resolves to the updated recovery or null.
+cartRecoverySchema.statics.recordConversion = function(recoveryId, order, { session } = {}) {
+  return this.findOneAndUpdate(
+    { _id: recoveryId, order: { $exists: false } },
+    { $set: { order: order._id, recoveredAt: new Date(), revenue: order.total } },
+    { new: true, session }
+  );
+};
+
+// Static method to summarise recovery emails sent in a period. Revenue only
+// counts orders that weren't cancelled afterwards.
+cartRecoverySchema.statics.getStats = async function({ from, to } = {}) {
+  const match = {};
+  if (from || to) {
+    match.sentAt = {};
+    if (from) match.sentAt.$gte = from;
+    if (to) match.sentAt.$lte = to;
+  }
+
+  const [stats] = await this.aggregate([
+    { $match: match },
+    {
+      $lookup: {
+        from: 'orders',
+        localField: 'order',
+        foreignField: '_id',
+        as: 'order'
+      }
+    },
+    { $unwind: { path: '$order', preserveNullAndEmptyArrays: true } },
+    {
+      $addFields: {
+        converted: {
+          $and: [{ $ifNull: ['$order._id', false] }, { $ne: ['$order.status', 'cancelled'] }]
+        }
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        emailsSent: { $sum: 1 },
+        restored: { $sum: { $cond: [{ $ifNull: ['$restoredAt', false] }, 1, 0] } },
+        recovered: { $sum: { $cond: ['$converted', 1, 0] } },
+        recoveredRevenue: { $sum: { $cond: ['$converted', '$revenue', 0] } },
+        abandonedValue: { $sum: '$cartTotal' }
+      }
+    }
+  ]);
+
+  const { emailsSent = 0, restored = 0, recovered = 0, recoveredRevenue = 0, abandonedValue = 0 } = stats || {};
+
+  return {
+    emailsSent,
+    restored,
+    recovered,
+    recoveredRevenue: Math.round(recoveredRevenue * 100) / 100,
+    abandonedValue: Math.round(abandonedValue * 100) / 100,
+    conversionRate: emailsSent > 0 ? Math.round((recovered / emailsSent) * 10000) / 100 : 0
+  };
+};
+
+export default mongoose.model('CartRecovery', cartRecoverySchema);
@@ -0,0 +1,280 @@
+import mongoose from 'mongoose';
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    maxlength: [30, 'Coupon code cannot exceed 30 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed', 'free_shipping'],
+    required: [true, 'Coupon type is required']
+  },
+  value: {
+    type: Number,
+    min: [0, 'Coupon value cannot be negative'],
+    default: 0
+  },
+  // Upper bound for percentage coupons
+  maxDiscount: {
+    type: Number,
+    min: [0, 'Maximum discount cannot be negative']
+  },
+  minSubtotal: {
+    type: Number,
+    min: [0, 'Minimum subtotal cannot be negative'],
+    default: 0
+  },
+
+  // Usage limits (null means unlimited)
+  usageLimit: {
+    type: Number,
+    min: [1, 'Usage limit must be at least 1'],
+    default: null
+  },
+  usageLimitPerUser: {
+    type: Number,
+    min: [1, 'Per-user usage limit must be at least 1'],
+    default: null
+  },
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Validity window
+  startsAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Eligibility - empty lists mean the whole cart is eligible
+  applicableProducts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  applicableCategories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+
+  // Stacking - a non-stackable coupon must be the only coupon on the cart
+  stackable: {
+    type: Boolean,
+    default: false
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+couponSchema.index({ isActive: 1, expiresAt: 1 });
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Method to check if a cart line is eligible for this coupon
+couponSchema.methods.isItemEligible = function(item) {
+  if (this.applicableProducts.length === 0 && this.applicableCategories.length === 0) {
+    return true;
+  }
+
+  const product = item.product;
+  if (!product) return false;
+
+  const productId = (product._id || product).toString();
+  if (this.applicableProducts.some(id => id.toString() === productId)) {
+    return true;
+  }
+
+  const categoryId = product.category?._id || product.category;
+  return !!categoryId && this.applicableCategories.some(id => id.toString() === categoryId.toString());
+};
+
+// Method to get the subtotal of eligible lines (items must have product populated)
+couponSchema.methods.getEligibleSubtotal = function(items) {
+  return items.reduce((total, item) => {
+    if (!item.product || !this.isItemEligible(item)) return total;
+    return total + item.product.getUnitPrice(item.variant?.sku) * item.quantity;
+  }, 0);
+};
+
+// Method to calculate the discount amount for a cart
+couponSchema.methods.calculateDiscount = function(items) {
+  if (this.type === 'free_shipping') return 0;
+
+  const eligibleSubtotal = this.getEligibleSubtotal(items);
+  let discount = 0;
+
+  if (this.type === 'percentage') {
+    discount = (eligibleSubtotal * this.value) / 100;
+    if (this.maxDiscount != null) {
+      discount = Math.min(discount, this.maxDiscount);
+    }
+  } else {
+    discount = this.value;
+  }
+
+  return roundCurrency(Math.min(discount, eligibleSubtotal));
+};
+
+// Method to validate the coupon for a user's cart (guests are identified by
+// the email they check out with, once it is known)
+couponSchema.methods.validateFor = async function({ user, email, items, subtotal }) {
+  const now = new Date();
+
+  if (!this.isActive) {
+    return { valid: false, message: 'Coupon is not active' };
+  }
+
+  if (this.startsAt && this.startsAt > now) {
+    return { valid: false, message: 'Coupon is not valid yet' };
+  }
+
+  if (this.expiresAt && this.expiresAt < now) {
+    return { valid: false, message: 'Coupon has expired' };
+  }
+
+  if (this.usageLimit != null && this.usedCount >= this.usageLimit) {
+    return { valid: false, message: 'Coupon usage limit has been reached' };
+  }
+
+  if (subtotal < this.minSubtotal) {
+    return {
+      valid: false,
+      message: `A minimum subtotal of ${this.minSubtotal.toFixed(2)} is required for this coupon`
+    };
+  }
+
+  if (!items.some(item => this.isItemEligible(item))) {
+    return { valid: false, message: 'Coupon does not apply to any item in your cart' };
+  }
+
+  if (this.usageLimitPerUser != null && (user || email)) {
+    const timesUsed = await this.model('Order').countDocuments({
+      ...(user ? { user } : { guestEmail: email }),
+      'coupons.code': this.code,
+      status: { $ne: 'cancelled' }
+    });
+
+    if (timesUsed >= this.usageLimitPerUser) {
+      return { valid: false, message: 'You have already used this coupon' };
+    }
+  }
+
+  return { valid: true, message: 'Coupon is valid' };
+};
+
+// Static method to find an active coupon by code
+couponSchema.statics.findByCode = function(code) {
+  return this.findOne({ code: String(code).trim().toUpperCase() });
+};
+
+// Static method to check whether a set of coupons can be combined
+couponSchema.statics.canStack = function(coupons) {
+  if (coupons.length <= 1) return true;
+  return coupons.every(coupon => coupon.stackable);
+};
+
+// Static method to re-validate applied coupon codes and price them against a cart.
+// Items must have product (price, category) populated.
+couponSchema.statics.resolve = async function({ codes, user, email, items, subtotal }) {
+  const applied = [];
+  const rejected = [];
+
+  const coupons = codes.length > 0
+    ? await this.find({ code: { $in: codes.map(code => code.toUpperCase()) } })
+    : [];
+
+  for (const code of codes) {
+    const coupon = coupons.find(c => c.code === code.toUpperCase());
+
+    if (!coupon) {
+      rejected.push({ code, message: 'Coupon not found' });
+      continue;
+    }
+
+    const validation = await coupon.validateFor({ user, email, items, subtotal });
+    if (!validation.valid) {
+      rejected.push({ code, message: validation.message });
+      continue;
+    }
+
+    if (!this.canStack([...applied.map(a => a.coupon), coupon])) {
+      rejected.push({ code, message: 'Coupon cannot be combined with other coupons' });
+      continue;
+    }
+
+    applied.push({ coupon, amount: coupon.calculateDiscount(items) });
+  }
+
+  const discount = roundCurrency(Math.min(
+    applied.reduce((total, a) => total + a.amount, 0),
+    subtotal
+  ));
+
+  return {
+    applied,
+    rejected,
+    discount,
+    freeShipping: applied.some(a => a.coupon.type === 'free_shipping')
+  };
+};
+
+// Static method to atomically consume one use of each coupon.
+// Returns false (and rolls back already consumed uses) if any limit was hit.
+couponSchema.statics.redeem = async function(codes, { session } = {}) {
+  const redeemed = [];
+
+  for (const code of codes) {
+    const result = await this.updateOne(
+      {
+        code,
+        $or: [
+          { usageLimit: null },
+          { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+        ]
+      },
+      { $inc: { usedCount: 1 } },
+      { session }
+    );
+
+    if (result.modifiedCount === 0) {
+      await this.release(redeemed, { session });
+      return false;
+    }
+
+    redeemed.push(code);
+  }
+
+  return true;
+};
+
+// Static method to give back uses (e.g. when an order is cancelled)
+couponSchema.statics.release = function(codes, { session } = {}) {
+  if (!codes || codes.length === 0) return Promise.resolve();
+
+  return this.updateMany(
+    { code: { $in: codes }, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } },
+    { session }
+  );
+};
+
+export default mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,124 @@
+import mongoose from 'mongoose';
+import { config } from '../config/email.js';
+
+// Queued outgoing email. sendEmail renders the template into a message here;
+// the email worker delivers it, retrying failures with exponential backoff.
+const emailOutboxSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true
+  },
+  template: {
+    type: String,
+    required: true
+  },
+  language: String,
+  subject: {
+    type: String,
+    required: true
+  },
+  html: String,
+  text: String,
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: () => config.maxAttempts
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set while a worker is delivering the message
+  lockedAt: Date,
+  lastError: String,
+  transport: String,
+  messageId: String,
+  sentAt: Date,
+  // Admin who queued the message again after it failed
+  resentBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+emailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+emailOutboxSchema.index({ createdAt: -1 });
+
+// A delivery that hasn't finished after this long is assumed to have died
+// with its worker and is picked up again
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Static method to claim the next due message for delivery, or null
+emailOutboxSchema.statics.claimNext = function() {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedAt: { $lte: new Date(now - LOCK_TIMEOUT_MS) } }
+      ]
+    },
+    { $set: { status: 'sending', lockedAt: now }, $inc: { attempts: 1 } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+// Static method to claim one specific message if it is due
+emailOutboxSchema.statics.claim = function(id) {
+  return this.findOneAndUpdate(
+    { _id: id, status: 'pending', nextAttemptAt: { $lte: new Date() } },
+    { $set: { status: 'sending', lockedAt: new Date() }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+};
+
+// Method to record a successful delivery
+emailOutboxSchema.methods.markSent = function({ messageId, transport } = {}) {
+  this.status = 'sent';
+  this.sentAt = new Date();
+  this.messageId = messageId;
+  this.transport = transport;
+  this.lockedAt = undefined;
+  this.lastError = undefined;
+  return this.save();
+};
+
+// Method to record a failed attempt: retry later with exponential backoff,
+// or give up once maxAttempts is reached
+emailOutboxSchema.methods.markFailed = function(error) {
+  this.lastError = error.message;
+  this.lockedAt = undefined;
+
+  if (this.attempts >= this.maxAttempts) {
+    this.status = 'failed';
+  } else {
+    const delay = Math.min(config.retryBaseMs * 2 ** (this.attempts - 1), config.retryMaxMs);
+    this.status = 'pending';
+    this.nextAttemptAt = new Date(Date.now() + delay);
+  }
+
+  return this.save();
+};
+
+// Method to queue a failed message again with a fresh set of attempts
+emailOutboxSchema.methods.resend = function(adminId) {
+  this.status = 'pending';
+  this.attempts = 0;
+  this.nextAttemptAt = new Date();
+  this.lastError = undefined;
+  this.resentBy = adminId;
+  return this.save();
+};
+
+export default mongoose.model('EmailOutbox', emailOutboxSchema);
@@ -0,0 +1,164 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+// Unambiguous characters only (no 0/O, 1/I)
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const giftCardActivitySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['issue', 'redeem', 'restore', 'adjust'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  note: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const giftCardSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  initialBalance: {
+    type: Number,
+    required: [true, 'Gift card amount is required'],
+    min: [0.01, 'Gift card amount must be greater than 0']
+  },
+  balance: {
+    type: Number,
+    min: [0, 'Gift card balance cannot be negative']
+  },
+  currency: {
+    type: String,
+    lowercase: true,
+    default: 'usd'
+  },
+  expiresAt: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Admin who issued the card
+  issuer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  recipient: {
+    name: String,
+    email: {
+      type: String,
+      lowercase: true
+    }
+  },
+  message: {
+    type: String,
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+  // Ledger of every balance change
+  activity: [giftCardActivitySchema]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+giftCardSchema.index({ 'recipient.email': 1 });
+giftCardSchema.index({ createdAt: -1 });
+
+// Generate code and opening balance before validation
+giftCardSchema.pre('validate', function(next) {
+  if (this.isNew) {
+    if (!this.code) {
+      this.code = this.constructor.generateCode();
+    }
+    if (this.balance == null) {
+      this.balance = this.initialBalance;
+    }
+    if (this.activity.length === 0) {
+      this.activity.push({
+        type: 'issue',
+        amount: this.initialBalance,
+        user: this.issuer
+      });
+    }
+  }
+  next();
+});
+
+// Virtual for expiry status
+giftCardSchema.virtual('isExpired').get(function() {
+  return !!(this.expiresAt && this.expiresAt <= Date.now());
+});
+
+// Virtual for the masked code shown on orders and receipts
+giftCardSchema.virtual('maskedCode').get(function() {
+  return `•••• ${this.code.slice(-4)}`;
+});
+
+// Method to check if the card can pay for anything
+giftCardSchema.methods.isUsable = function() {
+  return this.isActive && !this.isExpired && this.balance > 0;
+};
+
+// Static method to generate a code like "GC-7KQ2-M9XD-4HTP"
+giftCardSchema.statics.generateCode = function() {
+  const bytes = crypto.randomBytes(12);
+  const chars = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  return `GC-${chars.slice(0, 4)}-${chars.slice(4, 8)}-${chars.slice(8, 12)}`;
+};
+
+// Static method to find a card by code
+giftCardSchema.statics.findByCode = function(code, { session } = {}) {
+  return this.findOne({ code: String(code).trim().toUpperCase() }).session(session || null);
+};
+
+// Static method to take an amount off a card. The balance check and the
+// decrement are one update, so concurrent checkouts can't overspend a card.
+// Resolves to the updated card, or null if it can't cover the amount.
+giftCardSchema.statics.redeem = function(giftCardId, amount, { order, user, session } = {}) {
+  return this.findOneAndUpdate(
+    {
+      _id: giftCardId,
+      isActive: true,
+      balance: { $gte: amount },
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    },
+    {
+      $inc: { balance: -amount },
+      $push: { activity: { type: 'redeem', amount: -amount, order, user } }
+    },
+    { new: true, session }
+  );
+};
+
+// Static method to put an amount back on a card (cancelled orders)
+giftCardSchema.statics.restore = function(giftCardId, amount, { order, note, session } = {}) {
+  return this.findOneAndUpdate(
+    { _id: giftCardId },
+    {
+      $inc: { balance: amount },
+      $push: { activity: { type: 'restore', amount, order, note } }
+    },
+    { new: true, session }
+  );
+};
+
+export default mongoose.model('GiftCard', giftCardSchema);
@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+// First response stored for each Idempotency-Key a user (or guest session) sends
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  sessionId: String,
+  method: String,
+  path: String,
+  // Hash of method, path and body; a reused key must match it
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  responseStatus: Number,
+  responseBody: mongoose.Schema.Types.Mixed,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true, partialFilterExpression: { user: { $exists: true } } });
+idempotencyKeySchema.index({ sessionId: 1, key: 1 }, { unique: true, partialFilterExpression: { sessionId: { $exists: true } } });
+// MongoDB removes keys once they expire
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+import User from './User.js';
+
+// Ledger of loyalty point movements; the balance lives on User.loyalty
+// and is only changed through LoyaltyPoints.adjust
+const loyaltyPointsSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['earn', 'redeem', 'reverse_earn', 'reverse_redeem', 'adjustment'],
+    required: true
+  },
+  // Positive points are added, negative points are taken off
+  points: {
+    type: Number,
+    required: true
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  note: {
+    type: String,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+loyaltyPointsSchema.index({ user: 1, createdAt: -1 });
+loyaltyPointsSchema.index({ order: 1 });
+
+// Static method to change a user's points and record the entry. Spending
+// is checked and applied in one update so redemptions can't overdraw the
+// balance; reversals of earned points may take it below zero.
+// Throws an error with statusCode 400 if the user doesn't have enough points.
+loyaltyPointsSchema.statics.adjust = async function(userId, points, { type, order, note, createdBy, session } = {}) {
+  const checkBalance = points < 0 && type !== 'reverse_earn';
+  const update = { 'loyalty.points': points };
+
+  // Lifetime points drive tiers, so only earning (or losing earned) points moves them
+  if (type === 'earn' || type === 'reverse_earn') {
+    update['loyalty.lifetimePoints'] = points;
+  }
+
+  const user = await User.findOneAndUpdate(
+    { _id: userId, ...(checkBalance && { 'loyalty.points': { $gte: -points } }) },
+    { $inc: update },
+    { new: true, session, projection: 'loyalty' }
+  );
+
+  if (!user) {
+    const error = new Error('Insufficient loyalty points');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const [entry] = await this.create([{
+    user: userId,
+    type,
+    points,
+    balanceAfter: user.loyalty.points,
+    order,
+    note,
+    createdBy
+  }], { session });
+
+  return entry;
+};
+
+export default mongoose.model('LoyaltyPoints', loyaltyPointsSchema);
@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+// In-app notification. Every notification is also pushed to the user's open
+// sockets when it is created; stored ones let users catch up on what they
+// missed while offline.
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['order_status', 'payment', 'back_in_stock', 'price_drop', 'low_stock', 'out_of_stock'],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  message: {
+    type: String,
+    maxlength: [1000, 'Message cannot exceed 1000 characters']
+  },
+  // Frontend path to open when the notification is clicked
+  link: String,
+  // Event details, e.g. { orderId, status } or { productId, sku, quantity }
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+// Notifications are kept for 90 days
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+// Static method to mark a user's notifications as read (all of them, or
+// the given IDs). Resolves to how many changed.
+notificationSchema.statics.markRead = async function(userId, ids = null) {
+  const result = await this.updateMany(
+    { user: userId, readAt: null, ...(ids && { _id: { $in: ids } }) },
+    { $set: { readAt: new Date() } }
+  );
+  return result.modifiedCount;
+};
+
+// Static method to count a user's unread notifications
+notificationSchema.statics.countUnread = function(userId) {
+  return this.countDocuments({ user: userId, readAt: null });
+};
+
+export default mongoose.model('Notification', notificationSchema);
@@ -21,6 +21,7 @@ const orderItemSchema = new mongoose.Schema({
     min: 1
   },
   variant: {
+    sku: String,
     name: String,
     value: String,
     priceAdjustment: {
@@ -31,6 +32,26 @@ const orderItemSchema = new mongoose.Schema({
   totalPrice: {
     type: Number,
     required: true
+  },
+  tax: {
+    taxable: {
+      type: Boolean,
+      default: true
+    },
+    taxClass: String,
+    rate: {
+      type: Number,
+      default: 0
+    },
+    amount: {
+      type: Number,
+      default: 0
+    },
+    rates: [{
+      name: String,
+      rate: Number,
+      amount: Number
+    }]
   }
 });
 
@@ -50,27 +71,86 @@ const shippingAddressSchema = new mongoose.Schema({
 const paymentInfoSchema = new mongoose.Schema({
   method: {
     type: String,
-    enum: ['card', 'paypal', 'apple_pay', 'google_pay', 'bank_transfer'],
+    enum: ['card', 'paypal', 'apple_pay', 'google_pay', 'bank_transfer', 'gift_card', 'store_credit', 'loyalty_points'],
     required: true
   },
   status: {
     type: String,
-    enum: ['pending', 'processing', 'completed', 'failed', 'refunded', 'partially_refunded'],
+    enum: ['pending', 'processing', 'completed', 'failed', 'refunded', 'partially_refunded', 'disputed'],
     default: 'pending'
   },
+  // PaymentProvider that holds the payment; transactionId is its intent ID
+  provider: String,
   transactionId: String,
   paidAt: Date,
   refundedAt: Date,
   refundAmount: Number,
+  // Part of refundAmount paid back as store credit (or, for guest orders,
+  // onto the gift cards used) rather than to the card
+  refundedToStoreCredit: {
+    type: Number,
+    default: 0
+  },
   lastFour: String,
-  brand: String
+  brand: String,
+  // Chargeback opened by the customer's bank
+  dispute: {
+    disputeId: String,
+    reason: String,
+    amount: Number,
+    status: String,
+    openedAt: Date
+  }
+});
+
+// Allowed status changes; delivered orders leave through the return branch
+export const ORDER_STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered', 'returned'],
+  delivered: ['returned'],
+  cancelled: [],
+  returned: []
+};
+
+const timelineEntrySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true
+  },
+  previousStatus: String,
+  note: String,
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: {
+    type: String,
+    enum: ['customer', 'admin', 'system'],
+    default: 'system'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
 });
 
 const orderSchema = new mongoose.Schema({
+  // Unset for guest orders, which carry guestEmail and the checkout session
   user: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
+    ref: 'User'
+  },
+  guestEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  // Guest session cookie value, so it is never returned by default
+  sessionId: {
+    type: String,
+    select: false
   },
   orderNumber: {
     type: String,
@@ -92,6 +172,15 @@ const orderSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  taxBreakdown: [{
+    name: String,
+    rate: Number,
+    amount: Number
+  }],
+  pricesIncludeTax: {
+    type: Boolean,
+    default: false
+  },
   shippingCost: {
     type: Number,
     default: 0
@@ -100,23 +189,69 @@ const orderSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  coupons: [{
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String,
+    type: {
+      type: String,
+      enum: ['percentage', 'fixed', 'free_shipping']
+    },
+    amount: Number
+  }],
   total: {
     type: Number,
     required: true,
     default: 0
   },
+  // Loyalty points, gift cards and store credit taken at checkout (split
+  // tender); paymentInfo.method pays whatever they don't cover
+  tenders: {
+    loyaltyPoints: {
+      points: {
+        type: Number,
+        default: 0
+      },
+      amount: {
+        type: Number,
+        default: 0
+      }
+    },
+    giftCards: [{
+      giftCard: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GiftCard'
+      },
+      code: String,
+      amount: Number
+    }],
+    storeCredit: {
+      type: Number,
+      default: 0
+    }
+  },
+  
+  // Loyalty points credited when the order was delivered
+  pointsEarned: {
+    type: Number,
+    default: 0
+  },
   
   // Order status
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'returned'],
+    enum: Object.keys(ORDER_STATUS_TRANSITIONS),
     default: 'pending'
   },
+  // Audit trail of status changes (who changed what and when)
+  timeline: [timelineEntrySchema],
   
   // Shipping
   shippingMethod: {
     type: String,
-    enum: ['standard', 'express', 'overnight'],
+    lowercase: true,
     default: 'standard'
   },
   trackingNumber: String,
@@ -147,15 +282,33 @@ const orderSchema = new mongoose.Schema({
   giftWrap: {
     type: Boolean,
     default: false
+  },
+  // Registry the gift was bought from; it ships to the registry's address
+  giftRegistry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Wishlist'
   }
 }, {
   timestamps: true
 });
 
-// Generate order number before saving
-orderSchema.pre('save', function(next) {
+// Generate order number before validation (it is a required field)
+orderSchema.pre('validate', function(next) {
+  if (!this.user && !this.guestEmail) {
+    this.invalidate('guestEmail', 'Guest orders need an email address');
+  }
+
   if (this.isNew) {
     this.orderNumber = 'ORD-' + Date.now() + '-' + Math.floor(Math.random() * 1000);
+
+    if (this.timeline.length === 0) {
+      this.timeline.push({
+        status: this.status,
+        note: 'Order placed',
+        actor: this.user || undefined,
+        actorRole: 'customer'
+      });
+    }
   }
   next();
 });
@@ -163,7 +316,8 @@ orderSchema.pre('save', function(next) {
 // Calculate totals
 orderSchema.methods.calculateTotals = function() {
   this.subtotal = this.items.reduce((total, item) => total + item.totalPrice, 0);
-  this.total = this.subtotal + this.tax + this.shippingCost - this.discount;
+  this.total = this.subtotal + this.shippingCost - this.discount +
+    (this.pricesIncludeTax ? 0 : this.tax);
 };
 
 // Virtual for order age
@@ -173,6 +327,8 @@ orderSchema.virtual('age').get(function() {
 
 // Virtual for estimated delivery
 orderSchema.virtual('deliveryEstimate').get(function() {
+  if (this.estimatedDelivery) return this.estimatedDelivery;
+
   const shippingDays = {
     standard: 5,
     express: 2,
@@ -183,10 +339,48 @@ orderSchema.virtual('deliveryEstimate').get(function() {
   return new Date(this.createdAt.getTime() + (days * 24 * 60 * 60 * 1000));
 });
 
-// Method to update status with timestamp
-orderSchema.methods.updateStatus = function(newStatus) {
-  this.status = newStatus;
-  
+// Method to check whether an owner ({ user } or { sessionId }) placed the order
+orderSchema.methods.isOwnedBy = function({ user, sessionId } = {}) {
+  if (this.user) {
+    return !!user && (this.user._id || this.user).toString() === user.toString();
+  }
+  return !!sessionId && this.sessionId === sessionId;
+};
+
+// Method to serialize the order for a viewer. Gifts bought from a registry
+// ship to its owner, whose address only admins (who fulfil the order) see;
+// the buyer just learns that it ships to the registry.
+orderSchema.methods.toViewerJSON = function(viewer = null) {
+  const order = this.toJSON();
+
+  if (this.giftRegistry && viewer?.role !== 'admin') {
+    delete order.shippingAddress;
+    order.shipsToRegistry = true;
+  }
+
+  return order;
+};
+
+// Method to get where customer emails for the order go
+orderSchema.methods.getCustomerEmail = function() {
+  return this.user?.email || this.guestEmail || null;
+};
+
+// Method to check whether the order may move to a status
+orderSchema.methods.canTransitionTo = function(newStatus) {
+  return (ORDER_STATUS_TRANSITIONS[this.status] || []).includes(newStatus);
+};
+
+// Method to update status with timestamp and a timeline entry.
+// The change is applied atomically against the current status, so two
+// concurrent requests can't both move the order (and both run side effects).
+orderSchema.methods.updateStatus = async function(newStatus, { actor = null, actorRole = 'system', note, session } = {}) {
+  if (!this.canTransitionTo(newStatus)) {
+    const error = new Error(`Order cannot move from ${this.status} to ${newStatus}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
   const statusTimestamps = {
     confirmed: 'confirmedAt',
     processing: 'processingAt',
@@ -195,12 +389,44 @@ orderSchema.methods.updateStatus = function(newStatus) {
     cancelled: 'cancelledAt',
     returned: 'returnedAt'
   };
-  
+
+  const now = new Date();
+  const update = { status: newStatus };
   if (statusTimestamps[newStatus]) {
-    this[statusTimestamps[newStatus]] = new Date();
+    update[statusTimestamps[newStatus]] = now;
   }
-  
-  return this.save();
+
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, status: this.status },
+    {
+      $set: update,
+      $push: {
+        timeline: {
+          status: newStatus,
+          previousStatus: this.status,
+          note,
+          actor: actor?._id || actor,
+          actorRole,
+          createdAt: now
+        }
+      }
+    },
+    { new: true, session }
+  );
+
+  if (!updated) {
+    const error = new Error('Order status was changed by another request, please reload it');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  // Sync this document without marking the paths for a second write
+  [...Object.keys(update), 'timeline'].forEach(path => {
+    this.set(path, updated.get(path));
+    this.unmarkModified(path);
+  });
+
+  return this;
 };
 
 // Method to check if order can be cancelled
@@ -211,16 +437,62 @@ orderSchema.methods.canBeCancelled = function() {
 
 // Method to check if order can be returned
 orderSchema.methods.canBeReturned = function() {
-  if (this.status !== 'delivered') return false;
+  if (this.status !== 'delivered' || !this.deliveredAt) return false;
   
   const daysSinceDelivery = Math.floor((Date.now() - this.deliveredAt.getTime()) / (1000 * 60 * 60 * 24));
   return daysSinceDelivery <= 30; // 30-day return policy
 };
 
+// Method to get the amount that can still be refunded. Points are given
+// back as points when the order is cancelled or returned, not refunded.
+orderSchema.methods.getRefundableAmount = function() {
+  const paid = this.total - (this.tenders?.loyaltyPoints?.amount || 0);
+  return Math.max(0, Math.round((paid - (this.paymentInfo?.refundAmount || 0)) * 100) / 100);
+};
+
+// Method to get the amount paid with gift cards and store credit
+orderSchema.methods.getMoneyTenderTotal = function() {
+  const giftCards = (this.tenders?.giftCards || []).reduce((total, tender) => total + tender.amount, 0);
+  return Math.round((giftCards + (this.tenders?.storeCredit || 0)) * 100) / 100;
+};
+
+// Method to get the amount paid with loyalty points, gift cards and store credit
+orderSchema.methods.getTenderTotal = function() {
+  return Math.round((this.getMoneyTenderTotal() + (this.tenders?.loyaltyPoints?.amount || 0)) * 100) / 100;
+};
+
+// Method to get the amount left for the payment method (card, wallet, ...)
+orderSchema.methods.getAmountDue = function() {
+  return Math.max(0, Math.round((this.total - this.getTenderTotal()) * 100) / 100);
+};
+
+// Method to get how much can still be refunded to the payment method
+orderSchema.methods.getCardRefundableAmount = function() {
+  const refundedToCard = (this.paymentInfo?.refundAmount || 0) - (this.paymentInfo?.refundedToStoreCredit || 0);
+  return Math.max(0, Math.round((this.getAmountDue() - refundedToCard) * 100) / 100);
+};
+
+// Method to record a (partial) refund on the payment info
+orderSchema.methods.recordRefund = function(amount, { toStoreCredit = 0, session } = {}) {
+  const refunded = Math.round(((this.paymentInfo.refundAmount || 0) + amount) * 100) / 100;
+
+  this.paymentInfo.refundAmount = refunded;
+  if (toStoreCredit > 0) {
+    this.paymentInfo.refundedToStoreCredit =
+      Math.round(((this.paymentInfo.refundedToStoreCredit || 0) + toStoreCredit) * 100) / 100;
+  }
+  this.paymentInfo.refundedAt = new Date();
+  this.paymentInfo.status = this.getRefundableAmount() === 0 ? 'refunded' : 'partially_refunded';
+
+  return this.save({ session });
+};
+
 // Index for performance
 orderSchema.index({ user: 1, createdAt: -1 });
 orderSchema.index({ orderNumber: 1 });
 orderSchema.index({ status: 1 });
+orderSchema.index({ user: 1, 'coupons.code': 1 });
+orderSchema.index({ guestEmail: 1, 'coupons.code': 1 }, { partialFilterExpression: { guestEmail: { $exists: true } } });
 orderSchema.index({ createdAt: -1 });
 
 export default mongoose.model('Order', orderSchema);
\ No newline at end of file
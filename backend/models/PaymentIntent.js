@@ -0,0 +1,150 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// Records kept by the local mock payment provider (utils/payments/mockProvider.js).
+// Statuses mirror Stripe's so both providers look the same to callers.
+
+const chargeSchema = new mongoose.Schema({
+  chargeId: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  amountRefunded: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['succeeded', 'failed'],
+    required: true
+  },
+  failureCode: String,
+  failureMessage: String,
+  paymentMethod: {
+    id: String,
+    brand: String,
+    last4: String
+  }
+}, { _id: false, timestamps: { createdAt: true, updatedAt: false } });
+
+const refundSchema = new mongoose.Schema({
+  refundId: {
+    type: String,
+    required: true
+  },
+  chargeId: String,
+  amount: {
+    type: Number,
+    required: true
+  },
+  reason: String,
+  status: {
+    type: String,
+    enum: ['succeeded', 'failed'],
+    default: 'succeeded'
+  }
+}, { _id: false, timestamps: { createdAt: true, updatedAt: false } });
+
+const paymentIntentSchema = new mongoose.Schema({
+  intentId: {
+    type: String,
+    unique: true,
+    default: () => 'pi_mock_' + crypto.randomBytes(12).toString('hex')
+  },
+  clientSecret: {
+    type: String,
+    default: () => crypto.randomBytes(16).toString('hex')
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  // Unset for guest checkouts
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Amount must be greater than 0']
+  },
+  currency: {
+    type: String,
+    lowercase: true,
+    default: 'usd'
+  },
+  status: {
+    type: String,
+    enum: ['requires_payment_method', 'requires_confirmation', 'processing', 'succeeded', 'canceled'],
+    default: 'requires_payment_method'
+  },
+  paymentMethod: String,
+  lastError: {
+    code: String,
+    message: String
+  },
+  // Sum of successful refunds, kept on the intent so refunds can be capped atomically
+  amountRefunded: {
+    type: Number,
+    default: 0
+  },
+  charges: [chargeSchema],
+  refunds: [refundSchema],
+  metadata: {
+    type: Map,
+    of: String
+  },
+  canceledAt: Date,
+  succeededAt: Date
+}, {
+  timestamps: true
+});
+
+paymentIntentSchema.index({ order: 1 });
+paymentIntentSchema.index({ user: 1, createdAt: -1 });
+
+// Allowed status changes
+const intentTransitions = {
+  requires_payment_method: ['requires_confirmation', 'canceled'],
+  requires_confirmation: ['processing', 'requires_payment_method', 'canceled'],
+  processing: ['succeeded', 'requires_payment_method'],
+  succeeded: [],
+  canceled: []
+};
+
+// Virtual for the charge that captured the payment
+paymentIntentSchema.virtual('successfulCharge').get(function() {
+  return this.charges.find(charge => charge.status === 'succeeded') || null;
+});
+
+// Static method to move an intent between statuses atomically.
+// Resolves to the updated intent; throws 409 if the intent was not in a
+// status that may move to `to` (e.g. confirmed twice concurrently).
+paymentIntentSchema.statics.transition = async function(intentId, to, update = {}) {
+  const from = Object.keys(intentTransitions).filter(status => intentTransitions[status].includes(to));
+
+  const intent = await this.findOneAndUpdate(
+    { intentId, status: { $in: from } },
+    { ...update, $set: { ...update.$set, status: to } },
+    { new: true }
+  );
+
+  if (!intent) {
+    const current = await this.findOne({ intentId }).select('status');
+    const error = new Error(current
+      ? `Payment intent cannot move from ${current.status} to ${to}`
+      : 'Payment intent not found');
+    error.statusCode = current ? 409 : 404;
+    throw error;
+  }
+
+  return intent;
+};
+
+export default mongoose.model('PaymentIntent', paymentIntentSchema);
@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+
+// A customer's saved payment method. Only the provider's token and display
+// details are kept; card numbers never reach this collection.
+const paymentMethodSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  // Token/ID of the method at the provider (e.g. Stripe "pm_...")
+  providerMethodId: {
+    type: String,
+    required: true
+  },
+  // Provider-side customer the method is attached to, if the provider needs one
+  providerCustomerId: String,
+  type: {
+    type: String,
+    enum: ['card', 'paypal', 'apple_pay', 'google_pay', 'bank_transfer'],
+    default: 'card'
+  },
+  brand: String,
+  last4: {
+    type: String,
+    match: [/^\d{4}$/, 'last4 must be exactly 4 digits']
+  },
+  expMonth: {
+    type: Number,
+    min: 1,
+    max: 12
+  },
+  expYear: Number,
+  billingName: String,
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    // Provider tokens stay server-side
+    transform: (doc, ret) => {
+      delete ret.providerMethodId;
+      delete ret.providerCustomerId;
+      return ret;
+    }
+  }
+});
+
+paymentMethodSchema.index({ user: 1, createdAt: -1 });
+paymentMethodSchema.index({ user: 1, providerMethodId: 1 }, { unique: true });
+// At most one default method per user
+paymentMethodSchema.index(
+  { user: 1, isDefault: 1 },
+  { unique: true, partialFilterExpression: { isDefault: true } }
+);
+
+// Virtual for expiry (cards expire at the end of their expiry month)
+paymentMethodSchema.virtual('isExpired').get(function() {
+  if (!this.expMonth || !this.expYear) return false;
+  return new Date(this.expYear, this.expMonth) <= new Date();
+});
+
+// Static method to make one of a user's methods the default
+paymentMethodSchema.statics.setDefault = async function(userId, methodId) {
+  await this.updateMany({ user: userId, isDefault: true, _id: { $ne: methodId } }, { isDefault: false });
+  return this.findOneAndUpdate({ _id: methodId, user: userId }, { isDefault: true }, { new: true });
+};
+
+// Static method to find the customer ID a user already has at a provider
+paymentMethodSchema.statics.findCustomerId = async function(userId, provider) {
+  const method = await this.findOne({
+    user: userId,
+    provider,
+    providerCustomerId: { $exists: true, $ne: null }
+  }).select('providerCustomerId');
+
+  return method?.providerCustomerId || null;
+};
+
+export default mongoose.model('PaymentMethod', paymentMethodSchema);
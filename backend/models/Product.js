@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { publish, STOCK_EVENTS } from '../events/bus.js';
 
 const reviewSchema = new mongoose.Schema({
   user: {
@@ -116,6 +117,12 @@ const productSchema = new mongoose.Schema({
       min: [0, 'Quantity cannot be negative'],
       default: 0
     },
+    // Units held by active checkout reservations (see StockReservation)
+    reserved: {
+      type: Number,
+      min: [0, 'Reserved quantity cannot be negative'],
+      default: 0
+    },
     lowStockThreshold: {
       type: Number,
       default: 5
@@ -141,7 +148,19 @@ const productSchema = new mongoose.Schema({
         type: Number,
         default: 0
       },
-      sku: String
+      // Units held by active checkout reservations
+      reserved: {
+        type: Number,
+        min: [0, 'Reserved quantity cannot be negative'],
+        default: 0
+      },
+      // Falls back to inventory.lowStockThreshold when not set
+      lowStockThreshold: Number,
+      sku: {
+        type: String,
+        uppercase: true,
+        trim: true
+      }
     }]
   }],
   specifications: [{
@@ -247,6 +266,7 @@ productSchema.index({ category: 1, status: 1, visibility: 1 });
 productSchema.index({ price: 1, ratings: 1 });
 productSchema.index({ createdAt: -1 });
 productSchema.index({ featured: 1, status: 1 });
+productSchema.index({ 'variants.options.sku': 1 }, { sparse: true });
 
 // Virtual for discount percentage
 productSchema.virtual('discountPercentage').get(function() {
@@ -256,9 +276,20 @@ productSchema.virtual('discountPercentage').get(function() {
   return 0;
 });
 
-// Virtual for availability
+// Virtual for stock not held by checkout reservations
+productSchema.virtual('availableQuantity').get(function() {
+  return Math.max(0, this.inventory.quantity - (this.inventory.reserved || 0));
+});
+
+// Virtual for availability (any option in stock counts for variant products)
 productSchema.virtual('inStock').get(function() {
-  return this.inventory.quantity > 0 || this.inventory.allowBackorders;
+  if (this.inventory.allowBackorders) return true;
+  if (this.hasVariantOptions()) {
+    return this.variants.some(variant => variant.options.some(option =>
+      option.quantity - (option.reserved || 0) > 0
+    ));
+  }
+  return this.availableQuantity > 0;
 });
 
 // Virtual for URL
@@ -277,6 +308,29 @@ productSchema.pre('save', function(next) {
   next();
 });
 
+// Pre-save middleware to give every variant option a SKU so cart and
+// order lines can reference it
+productSchema.pre('save', function(next) {
+  const toSkuPart = (value) => String(value || '').toUpperCase().replace(/[^A-Z0-9]+/g, '');
+  const base = this.sku || toSkuPart(this.slug) || this._id.toString().slice(-8).toUpperCase();
+
+  this.variants.forEach(variant => {
+    variant.options.forEach(option => {
+      if (!option.sku) {
+        option.sku = `${base}-${toSkuPart(variant.name)}-${toSkuPart(option.value || option.name)}`;
+      }
+    });
+  });
+  next();
+});
+
+// Post-save middleware to publish stock events recorded by updateStock
+productSchema.post('save', function(doc) {
+  const stockEvents = doc.$locals.stockEvents || [];
+  doc.$locals.stockEvents = [];
+  stockEvents.forEach(({ event, payload }) => publish(event, payload));
+});
+
 // Method to calculate average rating
 productSchema.methods.calculateAverageRating = function() {
   if (this.reviews.length === 0) {
@@ -298,8 +352,63 @@ productSchema.methods.calculateAverageRating = function() {
   this.ratings.distribution = distribution;
 };
 
+// Method to check whether the product has selectable variant options
+productSchema.methods.hasVariantOptions = function() {
+  return this.variants.some(variant => variant.options.length > 0);
+};
+
+// Method to find a variant option by SKU, or by { sku } / { name, value }
+productSchema.methods.findVariantOption = function(selector) {
+  if (!selector) return null;
+
+  const sku = typeof selector === 'string' ? selector : selector.sku;
+
+  for (const variant of this.variants) {
+    for (const option of variant.options) {
+      if (sku) {
+        if (option.sku === String(sku).toUpperCase()) return { variant, option };
+      } else if (variant.name === selector.name && (option.value === selector.value || option.name === selector.value)) {
+        return { variant, option };
+      }
+    }
+  }
+
+  return null;
+};
+
+// Method to build the option snapshot stored on cart and order lines
+productSchema.methods.getVariantSnapshot = function(selector) {
+  const match = this.findVariantOption(selector);
+  if (!match) return null;
+
+  return {
+    sku: match.option.sku,
+    name: match.variant.name,
+    value: match.option.value || match.option.name,
+    priceAdjustment: match.option.priceAdjustment || 0
+  };
+};
+
+// Method to get the unit price, including the option's price adjustment
+productSchema.methods.getUnitPrice = function(variantSku = null) {
+  const match = this.findVariantOption(variantSku);
+  return this.price + (match?.option.priceAdjustment || 0);
+};
+
+// Method to get stock that isn't held by reservations (per option if given)
+productSchema.methods.getAvailableQuantity = function(variantSku = null) {
+  const match = this.findVariantOption(variantSku);
+  if (!match) return this.availableQuantity;
+
+  return Math.max(0, match.option.quantity - (match.option.reserved || 0));
+};
+
 // Method to check stock
 productSchema.methods.checkStock = function(quantity = 1, variant = null) {
+  if (variant && !this.findVariantOption(variant)) {
+    return { available: false, message: 'Selected option does not exist', availableQuantity: 0 };
+  }
+
   if (!this.inventory.trackQuantity) {
     return { available: true, message: 'Stock tracking disabled' };
   }
@@ -308,32 +417,299 @@ productSchema.methods.checkStock = function(quantity = 1, variant = null) {
     return { available: true, message: 'Backorders allowed' };
   }
 
-  if (this.inventory.quantity >= quantity) {
+  const availableQuantity = this.getAvailableQuantity(variant);
+
+  if (availableQuantity >= quantity) {
     return { available: true, message: 'In stock' };
   }
 
   return { 
     available: false, 
-    message: `Only ${this.inventory.quantity} items available`,
-    availableQuantity: this.inventory.quantity
+    message: `Only ${availableQuantity} items available`,
+    availableQuantity
+  };
+};
+
+// Method to get the stock on hand of the product, or of one of its options,
+// and the level at or below which it counts as low (options fall back to
+// the product's threshold)
+productSchema.methods.getStockLevel = function(variantSku = null) {
+  const match = this.findVariantOption(variantSku);
+  const stock = match ? match.option : this.inventory;
+
+  return {
+    quantity: stock.quantity || 0,
+    threshold: match?.option.lowStockThreshold ?? this.inventory.lowStockThreshold ?? 0,
+    label: match ? `${this.name} (${match.option.value || match.option.name})` : this.name
   };
 };
 
-// Method to update stock
-productSchema.methods.updateStock = function(quantity, operation = 'decrease') {
+// Method to list the stock events for a move from `previous` units to the
+// current level. Levels only raise events when they are crossed, so stock
+// that stays low doesn't alert again on every sale.
+productSchema.methods.getStockEvents = function(previous, variantSku = null) {
+  if (!this.inventory.trackQuantity) return [];
+
+  const { quantity, threshold, label } = this.getStockLevel(variantSku);
+  const match = this.findVariantOption(variantSku);
+  const payload = {
+    productId: this._id,
+    sku: match?.option.sku || null,
+    name: label,
+    url: this.url,
+    quantity,
+    previous,
+    threshold
+  };
+  const events = [];
+
+  if (quantity < previous) {
+    if (previous > 0 && quantity <= 0) {
+      events.push(STOCK_EVENTS.OUT);
+    } else if (previous > threshold && quantity <= threshold) {
+      events.push(STOCK_EVENTS.LOW);
+    }
+  } else if (quantity > previous) {
+    if (previous <= 0) {
+      events.push(STOCK_EVENTS.BACK_IN_STOCK);
+    }
+    if (previous <= threshold && quantity > threshold) {
+      events.push(STOCK_EVENTS.REPLENISHED);
+    }
+  }
+
+  return events.map(event => ({ event, payload }));
+};
+
+// Method to update stock (per option if a variant SKU is given). Stock
+// events are published once the product is saved.
+productSchema.methods.updateStock = function(quantity, operation = 'decrease', variantSku = null) {
   if (!this.inventory.trackQuantity) return;
 
+  const match = this.findVariantOption(variantSku);
+  const stock = match ? match.option : this.inventory;
+  const previous = stock.quantity;
+
   if (operation === 'decrease') {
-    this.inventory.quantity = Math.max(0, this.inventory.quantity - quantity);
+    stock.quantity = Math.max(0, stock.quantity - quantity);
   } else if (operation === 'increase') {
-    this.inventory.quantity += quantity;
+    stock.quantity += quantity;
+  }
+
+  this.$locals.stockEvents = [
+    ...(this.$locals.stockEvents || []),
+    ...this.getStockEvents(previous, variantSku)
+  ];
+};
+
+// Method to list variant options at or below their low-stock threshold
+productSchema.methods.getLowStockVariants = function() {
+  const lowStock = [];
+
+  this.variants.forEach(variant => {
+    variant.options.forEach(option => {
+      const threshold = option.lowStockThreshold ?? this.inventory.lowStockThreshold;
+      if (option.quantity <= threshold) {
+        lowStock.push({ variant: variant.name, option: option.value || option.name, sku: option.sku, quantity: option.quantity, threshold });
+      }
+    });
+  });
+
+  return lowStock;
+};
+
+// Aggregation expression: the options of all variants as one array
+const allOptionsExpr = {
+  $reduce: {
+    input: { $ifNull: ['$variants.options', []] },
+    initialValue: [],
+    in: { $concatArrays: ['$$value', '$$this'] }
+  }
+};
+
+// Aggregation expression: unreserved stock of the option with the given SKU
+// (null if the product has no such option)
+const variantAvailableExpr = (sku) => ({
+  $let: {
+    vars: {
+      option: {
+        $first: {
+          $filter: {
+            input: allOptionsExpr,
+            cond: { $eq: ['$$this.sku', sku] }
+          }
+        }
+      }
+    },
+    in: { $subtract: ['$$option.quantity', { $ifNull: ['$$option.reserved', 0] }] }
   }
+});
 
-  // Check for low stock
-  if (this.inventory.quantity <= this.inventory.lowStockThreshold) {
-    // Emit low stock event (handled by event listeners)
-    this.emit('lowStock', this);
+// Aggregation expression: whether stock is at or below its low-stock
+// threshold - any option's for products with options, else the product's
+const lowStockExpr = {
+  $let: {
+    vars: { options: allOptionsExpr },
+    in: {
+      $cond: [
+        { $gt: [{ $size: '$$options' }, 0] },
+        {
+          $anyElementTrue: [{
+            $map: {
+              input: '$$options',
+              as: 'option',
+              in: {
+                $lte: [
+                  { $ifNull: ['$$option.quantity', 0] },
+                  { $ifNull: ['$$option.lowStockThreshold', '$inventory.lowStockThreshold'] }
+                ]
+              }
+            }
+          }]
+        },
+        { $lte: ['$inventory.quantity', '$inventory.lowStockThreshold'] }
+      ]
+    }
   }
 };
 
+// Static method to find active, stock-tracked products that are low on
+// stock by their own thresholds, including per-option stock
+productSchema.statics.findLowStock = function(filter = {}) {
+  return this.find({
+    ...filter,
+    status: 'active',
+    'inventory.trackQuantity': true,
+    $expr: lowStockExpr
+  });
+};
+
+// Static method to atomically reserve stock (of one option if a variant SKU is given).
+// Only succeeds if enough unreserved stock remains (or stock isn't limited).
+productSchema.statics.reserveStock = async function(productId, quantity, { session, variantSku = null } = {}) {
+  const sku = variantSku && variantSku.toUpperCase();
+  const available = sku
+    ? variantAvailableExpr(sku)
+    : { $subtract: ['$inventory.quantity', { $ifNull: ['$inventory.reserved', 0] }] };
+
+  const filter = {
+    _id: productId,
+    status: 'active',
+    $or: [
+      { 'inventory.trackQuantity': false },
+      { 'inventory.allowBackorders': true },
+      { $expr: { $gte: [available, quantity] } }
+    ]
+  };
+  if (sku) filter['variants.options.sku'] = sku;
+
+  const result = await this.updateOne(
+    filter,
+    sku
+      ? { $inc: { 'variants.$[].options.$[option].reserved': quantity } }
+      : { $inc: { 'inventory.reserved': quantity } },
+    {
+      session,
+      ...(sku && { arrayFilters: [{ 'option.sku': sku }] })
+    }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+// Static method to atomically turn a reservation into a sale.
+// Resolves to the updated product, or null if the reservation wasn't held.
+productSchema.statics.commitStock = async function(productId, quantity, { session, variantSku = null } = {}) {
+  if (!variantSku) {
+    return this.findOneAndUpdate(
+      { _id: productId, 'inventory.reserved': { $gte: quantity } },
+      [{
+        $set: {
+          'inventory.reserved': { $subtract: ['$inventory.reserved', quantity] },
+          'inventory.quantity': {
+            $cond: [
+              '$inventory.trackQuantity',
+              { $max: [0, { $subtract: ['$inventory.quantity', quantity] }] },
+              '$inventory.quantity'
+            ]
+          },
+          'meta.sales': { $add: [{ $ifNull: ['$meta.sales', 0] }, quantity] }
+        }
+      }],
+      { new: true, session }
+    );
+  }
+
+  const sku = variantSku.toUpperCase();
+  const options = { session, arrayFilters: [{ 'option.sku': sku }] };
+  // Untracked stock is left alone, as for products without variants
+  const tracked = await this.exists({ _id: productId, 'inventory.trackQuantity': true }).session(session);
+
+  const product = await this.findOneAndUpdate(
+    {
+      _id: productId,
+      'variants.options': { $elemMatch: { sku, reserved: { $gte: quantity } } }
+    },
+    {
+      $inc: {
+        'variants.$[].options.$[option].reserved': -quantity,
+        ...(tracked && { 'variants.$[].options.$[option].quantity': -quantity }),
+        'meta.sales': quantity
+      }
+    },
+    { ...options, new: true }
+  );
+
+  if (!product || !tracked) return product;
+
+  // Backordered options never go below zero
+  return this.findOneAndUpdate(
+    { _id: productId },
+    { $max: { 'variants.$[].options.$[option].quantity': 0 } },
+    { ...options, new: true }
+  );
+};
+
+// Static method to atomically give back reserved stock
+productSchema.statics.releaseStock = function(productId, quantity, { session, variantSku = null } = {}) {
+  if (variantSku) {
+    const sku = variantSku.toUpperCase();
+    return this.updateOne(
+      { _id: productId, 'variants.options': { $elemMatch: { sku, reserved: { $gte: quantity } } } },
+      { $inc: { 'variants.$[].options.$[option].reserved': -quantity } },
+      { session, arrayFilters: [{ 'option.sku': sku }] }
+    );
+  }
+
+  return this.updateOne(
+    { _id: productId },
+    [{
+      $set: {
+        'inventory.reserved': {
+          $max: [0, { $subtract: [{ $ifNull: ['$inventory.reserved', 0] }, quantity] }]
+        }
+      }
+    }],
+    { session }
+  );
+};
+
+// Static method to atomically put stock back (e.g. on cancellation)
+productSchema.statics.restock = function(productId, quantity, { session, variantSku = null } = {}) {
+  if (variantSku) {
+    const sku = variantSku.toUpperCase();
+    return this.updateOne(
+      { _id: productId, 'inventory.trackQuantity': true, 'variants.options.sku': sku },
+      { $inc: { 'variants.$[].options.$[option].quantity': quantity } },
+      { session, arrayFilters: [{ 'option.sku': sku }] }
+    );
+  }
+
+  return this.updateOne(
+    { _id: productId, 'inventory.trackQuantity': true },
+    { $inc: { 'inventory.quantity': quantity } },
+    { session }
+  );
+};
+
 export default mongoose.model('Product', productSchema);
\ No newline at end of file
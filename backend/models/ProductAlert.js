@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+// A standalone "notify me" subscription to a product, outside any wishlist.
+// Back-in-stock alerts fire once and are then deactivated; price-drop alerts
+// stay active and fire on every drop (down to targetPrice, if one is set).
+const productAlertSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['back_in_stock', 'price_drop'],
+    required: true
+  },
+  // Variant option to watch, or null for the whole product
+  sku: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: null
+  },
+  // Price-drop alerts only fire at or below this price when set
+  targetPrice: {
+    type: Number,
+    min: [0, 'Target price cannot be negative']
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  notifiedAt: Date
+}, {
+  timestamps: true
+});
+
+productAlertSchema.index({ user: 1, product: 1, type: 1, sku: 1 }, { unique: true });
+productAlertSchema.index({ product: 1, type: 1, active: 1 });
+
+// Static method to subscribe a user (re-activating an earlier subscription)
+productAlertSchema.statics.subscribe = function(userId, productId, { type, sku = null, targetPrice } = {}) {
+  return this.findOneAndUpdate(
+    { user: userId, product: productId, type, sku: sku ? sku.toUpperCase() : null },
+    { $set: { active: true, targetPrice: targetPrice ?? null }, $unset: { notifiedAt: '' } },
+    { upsert: true, new: true, runValidators: true }
+  );
+};
+
+// Static method to find the active alerts a stock or price event triggers.
+// Whole-product alerts match every option of the product.
+productAlertSchema.statics.findTriggered = function(productId, type, { sku = null, price } = {}) {
+  const query = { product: productId, type, active: true };
+
+  if (sku) {
+    query.sku = { $in: [sku, null] };
+  }
+  if (price !== undefined) {
+    query.$or = [{ targetPrice: null }, { targetPrice: { $gte: price } }];
+  }
+
+  return this.find(query);
+};
+
+export default mongoose.model('ProductAlert', productAlertSchema);
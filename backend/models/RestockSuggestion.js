@@ -0,0 +1,116 @@
+import mongoose from 'mongoose';
+import Order from './Order.js';
+import { config } from '../config/inventory.js';
+
+// A product (or variant option) that fell to its low-stock threshold and how
+// much to reorder. Opened by stock.low / stock.out events and resolved when
+// stock is replenished above the threshold.
+const restockSuggestionSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Variant option SKU, or null for the product's own stock
+  sku: {
+    type: String,
+    default: null
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    default: 0
+  },
+  threshold: {
+    type: Number,
+    default: 0
+  },
+  // Units sold over config.restockLookbackDays
+  unitsSold: {
+    type: Number,
+    default: 0
+  },
+  suggestedQuantity: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['open', 'ordered', 'dismissed', 'resolved'],
+    default: 'open'
+  },
+  alertCount: {
+    type: Number,
+    default: 1
+  },
+  lastAlertAt: {
+    type: Date,
+    default: Date.now
+  },
+  resolvedAt: Date,
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+restockSuggestionSchema.index({ product: 1, sku: 1, status: 1 });
+restockSuggestionSchema.index({ status: 1, lastAlertAt: -1 });
+
+// Suggestion statuses that still need stock
+const ACTIVE_STATUSES = ['open', 'ordered'];
+
+// Static method to count units of a product (or option) sold recently
+restockSuggestionSchema.statics.getUnitsSold = async function(productId, sku = null) {
+  const since = new Date(Date.now() - config.restockLookbackDays * 24 * 60 * 60 * 1000);
+
+  const [result] = await Order.aggregate([
+    { $match: { createdAt: { $gte: since }, status: { $ne: 'cancelled' }, 'items.product': productId } },
+    { $unwind: '$items' },
+    { $match: { 'items.product': productId, ...(sku && { 'items.variant.sku': sku }) } },
+    { $group: { _id: null, units: { $sum: '$items.quantity' } } }
+  ]);
+
+  return result?.units || 0;
+};
+
+// Static method to open (or refresh) the suggestion for a stock.low or
+// stock.out event. Enough is suggested to cover config.restockCoverDays of
+// sales at the recent rate on top of the threshold, and at least to double it.
+restockSuggestionSchema.statics.recordStockEvent = async function({ productId, sku, name, quantity, threshold }) {
+  const unitsSold = await this.getUnitsSold(productId, sku);
+  const coverage = Math.ceil((unitsSold / config.restockLookbackDays) * config.restockCoverDays);
+  const target = Math.max(threshold * 2, threshold + coverage, 1);
+
+  return this.findOneAndUpdate(
+    { product: productId, sku: sku || null, status: { $in: ACTIVE_STATUSES } },
+    {
+      $set: {
+        name,
+        quantity,
+        threshold,
+        unitsSold,
+        suggestedQuantity: Math.max(target - quantity, 1),
+        lastAlertAt: new Date()
+      },
+      $inc: { alertCount: 1 },
+      $setOnInsert: { status: 'open' }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: false }
+  );
+};
+
+// Static method to resolve the active suggestion once stock is replenished
+restockSuggestionSchema.statics.resolve = function(productId, sku = null) {
+  return this.updateMany(
+    { product: productId, sku: sku || null, status: { $in: ACTIVE_STATUSES } },
+    { $set: { status: 'resolved', resolvedAt: new Date() } }
+  );
+};
+
+export default mongoose.model('RestockSuggestion', restockSuggestionSchema);
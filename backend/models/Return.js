@@ -0,0 +1,182 @@
+import mongoose from 'mongoose';
+
+const returnItemSchema = new mongoose.Schema({
+  // _id of the line in order.items
+  orderItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variantSku: String,
+  name: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Return quantity must be at least 1']
+  },
+  reason: {
+    type: String,
+    enum: ['damaged', 'defective', 'wrong_item', 'not_as_described', 'no_longer_needed', 'other'],
+    required: [true, 'Return reason is required']
+  },
+  comments: {
+    type: String,
+    maxlength: [500, 'Comments cannot exceed 500 characters']
+  },
+  // Amount paid per unit (after discount, including tax), used for refunds
+  unitRefund: {
+    type: Number,
+    default: 0
+  },
+  restocked: {
+    type: Boolean,
+    default: false
+  }
+});
+
+const returnSchema = new mongoose.Schema({
+  returnNumber: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  items: {
+    type: [returnItemSchema],
+    validate: [items => items.length > 0, 'A return needs at least one item']
+  },
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'received', 'refunded'],
+    default: 'requested'
+  },
+  refundAmount: {
+    type: Number,
+    default: 0
+  },
+  adminNotes: String,
+  rejectionReason: String,
+
+  // Timestamps
+  approvedAt: Date,
+  rejectedAt: Date,
+  receivedAt: Date,
+  refundedAt: Date,
+  processedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+returnSchema.index({ user: 1, createdAt: -1 });
+returnSchema.index({ order: 1 });
+returnSchema.index({ status: 1 });
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Generate return number before validation (it is a required field)
+returnSchema.pre('validate', function(next) {
+  if (this.isNew && !this.returnNumber) {
+    this.returnNumber = 'RMA-' + Date.now() + '-' + Math.floor(Math.random() * 1000);
+  }
+  next();
+});
+
+// Allowed status changes
+const returnTransitions = {
+  requested: ['approved', 'rejected'],
+  approved: ['received', 'rejected'],
+  received: ['refunded'],
+  rejected: [],
+  refunded: []
+};
+
+// Method to check whether the return may move to a status
+returnSchema.methods.canTransitionTo = function(newStatus) {
+  return returnTransitions[this.status].includes(newStatus);
+};
+
+// Method to update status with timestamp (plus any extra fields).
+// Applied atomically against the current status so e.g. a return can't be
+// refunded twice by concurrent requests.
+returnSchema.methods.updateStatus = async function(newStatus, { processedBy = null, fields = {} } = {}) {
+  if (!this.canTransitionTo(newStatus)) {
+    const error = new Error(`Return cannot move from ${this.status} to ${newStatus}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const update = {
+    ...fields,
+    status: newStatus,
+    [`${newStatus}At`]: new Date(),
+    ...(processedBy && { processedBy })
+  };
+
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, status: this.status },
+    { $set: update },
+    { new: true }
+  );
+
+  if (!updated) {
+    const error = new Error('Return was changed by another request, please reload it');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  // Sync this document without marking the paths for a second write
+  Object.keys(update).forEach(path => {
+    this.set(path, updated.get(path));
+    this.unmarkModified(path);
+  });
+
+  return this;
+};
+
+// Method to calculate the refund owed for the returned items
+returnSchema.methods.calculateRefund = function() {
+  return roundCurrency(this.items.reduce((total, item) => total + item.unitRefund * item.quantity, 0));
+};
+
+// Static method to get quantities already in a return per order line
+// (rejected returns don't count)
+returnSchema.statics.getReturnedQuantities = async function(orderId) {
+  const returns = await this.find({ order: orderId, status: { $ne: 'rejected' } }).select('items');
+  const quantities = new Map();
+
+  returns.forEach(ret => {
+    ret.items.forEach(item => {
+      const key = item.orderItem.toString();
+      quantities.set(key, (quantities.get(key) || 0) + item.quantity);
+    });
+  });
+
+  return quantities;
+};
+
+// Static method to get what a customer paid per unit of an order line:
+// the line's share of the order discount comes off, its tax goes on
+returnSchema.statics.getUnitRefund = function(order, orderItem) {
+  const discountShare = order.subtotal > 0 ? orderItem.totalPrice / order.subtotal * order.discount : 0;
+  const tax = order.pricesIncludeTax ? 0 : (orderItem.tax?.amount || 0);
+
+  return roundCurrency((orderItem.totalPrice - discountShare + tax) / orderItem.quantity);
+};
+
+export default mongoose.model('Return', returnSchema);
@@ -0,0 +1,148 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+// Refresh tokens are never stored, only their SHA-256 hash
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// A signed-in device. Each session holds one refresh token at a time: every
+// refresh swaps it for a new one, so a session is a token family. Access
+// tokens carry the session ID and stop working once it is revoked.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  userAgent: {
+    type: String,
+    maxlength: [500, 'User agent cannot exceed 500 characters']
+  },
+  ip: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'reuse', 'password_change', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Sessions are removed once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Whether the session can still be refreshed and its access tokens used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Query filter for sessions that are still usable
+const activeFilter = () => ({ revokedAt: null, expiresAt: { $gt: new Date() } });
+
+// Static method to start a session for a refresh token. The ID is chosen
+// up front because the token itself carries it.
+sessionSchema.statics.start = function(sessionId, userId, refreshToken, { userAgent, ip, expiresAt }) {
+  return this.create({
+    _id: sessionId,
+    user: userId,
+    tokenHash: hashToken(refreshToken),
+    userAgent: userAgent?.slice(0, 500),
+    ip,
+    expiresAt
+  });
+};
+
+// Static method to swap a session's refresh token for a new one. Only the
+// current token can be rotated: presenting an older one means it was copied,
+// so the whole session is revoked. Throws an error with a statusCode when
+// the token can't be used.
+sessionSchema.statics.rotate = async function(sessionId, refreshToken, nextToken, { userAgent, ip, expiresAt }) {
+  const session = await this.findOneAndUpdate(
+    { _id: sessionId, tokenHash: hashToken(refreshToken), ...activeFilter() },
+    {
+      $set: {
+        tokenHash: hashToken(nextToken),
+        userAgent: userAgent?.slice(0, 500),
+        ip,
+        lastUsedAt: new Date(),
+        expiresAt
+      }
+    },
+    { new: true }
+  );
+
+  if (session) return session;
+
+  const reused = await this.findOneAndUpdate(
+    { _id: sessionId, ...activeFilter() },
+    { $set: { revokedAt: new Date(), revokedReason: 'reuse' } }
+  );
+
+  const error = new Error(reused ? 'Refresh token has already been used' : 'Session has expired or been revoked');
+  error.statusCode = 401;
+  error.reused = Boolean(reused);
+  throw error;
+};
+
+// Static method to check that a session is still active for a user
+sessionSchema.statics.isActive = async function(sessionId, userId) {
+  if (!mongoose.isValidObjectId(sessionId)) return false;
+  return Boolean(await this.exists({ _id: sessionId, user: userId, ...activeFilter() }));
+};
+
+// Static method to list a user's active sessions, most recently used first
+sessionSchema.statics.findActive = function(userId) {
+  return this.find({ user: userId, ...activeFilter() }).sort({ lastUsedAt: -1 });
+};
+
+// Static method to revoke one of a user's sessions. Resolves to whether an
+// active session was revoked.
+sessionSchema.statics.revoke = async function(sessionId, userId, reason = 'revoked') {
+  const result = await this.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Static method to revoke all of a user's sessions, optionally keeping one
+// (e.g. the device that changed the password). Resolves to how many changed.
+sessionSchema.statics.revokeAll = async function(userId, { except = null, reason = 'revoked' } = {}) {
+  const result = await this.updateMany(
+    { user: userId, revokedAt: null, ...(except && { _id: { $ne: except } }) },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+};
+
+// Method to describe the session to its user
+sessionSchema.methods.toClientJSON = function(currentSessionId) {
+  return {
+    _id: this._id,
+    userAgent: this.userAgent,
+    ip: this.ip,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt,
+    expiresAt: this.expiresAt,
+    current: Boolean(currentSessionId) && this._id.toString() === currentSessionId.toString()
+  };
+};
+
+export default mongoose.model('Session', sessionSchema);
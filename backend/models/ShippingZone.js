@@ -0,0 +1,194 @@
+import mongoose from 'mongoose';
+
+const rateTierSchema = new mongoose.Schema({
+  // Lower bound (inclusive) of weight in kg or subtotal, depending on rateType
+  min: {
+    type: Number,
+    default: 0
+  },
+  // Upper bound (exclusive); null means no upper bound
+  max: {
+    type: Number,
+    default: null
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: [0, 'Rate cannot be negative']
+  }
+}, { _id: false });
+
+const shippingMethodSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Shipping method code is required'],
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Shipping method name is required']
+  },
+  description: String,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  rateType: {
+    type: String,
+    enum: ['flat', 'weight', 'price'],
+    default: 'flat'
+  },
+  baseRate: {
+    type: Number,
+    min: [0, 'Base rate cannot be negative'],
+    default: 0
+  },
+  tiers: [rateTierSchema],
+  // Extra charge for products with a matching Product.shipping.shippingClass
+  classSurcharges: [{
+    shippingClass: {
+      type: String,
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: [0, 'Surcharge cannot be negative']
+    },
+    perItem: {
+      type: Boolean,
+      default: true
+    }
+  }],
+  // Subtotal at or above which this method is free (null disables)
+  freeShippingThreshold: {
+    type: Number,
+    default: null
+  },
+  // The method is only offered when the parcel fits these bounds
+  minSubtotal: Number,
+  maxSubtotal: Number,
+  maxWeight: Number,
+  estimatedDays: {
+    min: Number,
+    max: Number
+  }
+});
+
+const shippingZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Zone name is required'],
+    trim: true,
+    maxlength: [100, 'Zone name cannot exceed 100 characters']
+  },
+  // Country code or name as used in addresses ('*' matches every country);
+  // an empty state covers the whole country
+  regions: [{
+    country: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true
+    },
+    state: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: ''
+    }
+  }],
+  methods: [shippingMethodSchema],
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+shippingZoneSchema.index({ 'regions.country': 1, isActive: 1 });
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Method to quote this shipping method for a parcel.
+// parcel: { weight, subtotal, chargeableSubtotal, chargeableItems, classQuantities }
+// Returns null when the method is not offered for the parcel.
+shippingMethodSchema.methods.quote = function(parcel) {
+  if (!this.isActive) return null;
+  if (this.minSubtotal != null && parcel.subtotal < this.minSubtotal) return null;
+  if (this.maxSubtotal != null && parcel.subtotal > this.maxSubtotal) return null;
+  if (this.maxWeight != null && parcel.weight > this.maxWeight) return null;
+
+  let cost = this.baseRate;
+
+  if (this.rateType !== 'flat') {
+    const value = this.rateType === 'weight' ? parcel.weight : parcel.chargeableSubtotal;
+    const tier = this.tiers.find(t => value >= t.min && (t.max == null || value < t.max));
+    if (!tier) return null;
+    cost += tier.rate;
+  }
+
+  this.classSurcharges.forEach(surcharge => {
+    const quantity = parcel.classQuantities[surcharge.shippingClass] || 0;
+    if (quantity > 0) {
+      cost += surcharge.perItem ? surcharge.amount * quantity : surcharge.amount;
+    }
+  });
+
+  const isFree = parcel.chargeableItems === 0 ||
+    (this.freeShippingThreshold != null && parcel.subtotal >= this.freeShippingThreshold);
+
+  return {
+    code: this.code,
+    name: this.name,
+    description: this.description,
+    cost: isFree ? 0 : roundCurrency(cost),
+    isFree,
+    estimatedDays: this.estimatedDays
+  };
+};
+
+// Method to get how specifically this zone covers an address (-1 if it doesn't)
+shippingZoneSchema.methods.matchAddress = function(address) {
+  const country = String(address.country || '').toUpperCase();
+  const state = String(address.state || '').toUpperCase();
+
+  return this.regions.reduce((best, region) => {
+    if (region.country !== '*' && region.country !== country) return best;
+    if (region.state && region.state !== state) return best;
+
+    const specificity = (region.country !== '*' ? 1 : 0) + (region.state ? 2 : 0);
+    return Math.max(best, specificity);
+  }, -1);
+};
+
+// Static method to find the zone covering an address (most specific region wins)
+shippingZoneSchema.statics.findForAddress = async function(address) {
+  const country = String(address.country || '').toUpperCase();
+
+  const zones = await this.find({
+    isActive: true,
+    'regions.country': { $in: [country, '*'] }
+  }).sort({ sortOrder: 1 });
+
+  let match = null;
+  let bestSpecificity = -1;
+
+  zones.forEach(zone => {
+    const specificity = zone.matchAddress(address);
+    if (specificity > bestSpecificity) {
+      match = zone;
+      bestSpecificity = specificity;
+    }
+  });
+
+  return match;
+};
+
+export default mongoose.model('ShippingZone', shippingZoneSchema);
@@ -0,0 +1,197 @@
+import mongoose from 'mongoose';
+import Product from './Product.js';
+import { config } from '../config/inventory.js';
+
+const reservationItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Set when the line is for a specific variant option
+  variantSku: {
+    type: String,
+    default: null
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  }
+}, { _id: false });
+
+// Held for a user, or for a guest checkout session
+const stockReservationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  sessionId: String,
+  items: [reservationItemSchema],
+  status: {
+    type: String,
+    enum: ['active', 'committed', 'released', 'expired'],
+    default: 'active'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  committedAt: Date,
+  releasedAt: Date
+}, {
+  timestamps: true
+});
+
+stockReservationSchema.index({ user: 1, status: 1 });
+stockReservationSchema.index({ sessionId: 1, status: 1 }, { partialFilterExpression: { sessionId: { $exists: true } } });
+stockReservationSchema.index({ status: 1, expiresAt: 1 });
+
+// Collapse cart lines into one quantity per product and variant option
+const groupItems = (items) => {
+  const grouped = new Map();
+
+  items.forEach(item => {
+    const product = (item.product._id || item.product).toString();
+    const variantSku = item.variant?.sku || null;
+    const key = `${product}:${variantSku || ''}`;
+    const existing = grouped.get(key);
+
+    if (existing) {
+      existing.quantity += item.quantity;
+    } else {
+      grouped.set(key, { product, variantSku, quantity: item.quantity });
+    }
+  });
+
+  return [...grouped.values()];
+};
+
+// Method to check whether the reservation still covers a set of cart lines
+stockReservationSchema.methods.matchesItems = function(items) {
+  const wanted = groupItems(items);
+  if (wanted.length !== this.items.length) return false;
+
+  return wanted.every(item => this.items.some(reserved =>
+    reserved.product.toString() === item.product &&
+    (reserved.variantSku || null) === item.variantSku &&
+    reserved.quantity === item.quantity
+  ));
+};
+
+// Static method to reserve stock for cart lines; owner is { user } or { sessionId }.
+// Must run inside a transaction: if any product lacks stock an error carrying
+// the stock issues is thrown and every reservation made so far is rolled back.
+stockReservationSchema.statics.reserve = async function({ owner, items, session }) {
+  const grouped = groupItems(items);
+  const issues = [];
+
+  for (const item of grouped) {
+    const { variantSku } = item;
+    const reserved = await Product.reserveStock(item.product, item.quantity, { session, variantSku });
+
+    if (!reserved) {
+      const product = await Product.findById(item.product)
+        .select('name inventory.quantity inventory.reserved variants')
+        .session(session);
+      const available = product?.getAvailableQuantity(variantSku) || 0;
+
+      issues.push({
+        product: product?.name || item.product,
+        variant: variantSku,
+        requested: item.quantity,
+        available,
+        message: product ? `Only ${available} items available` : 'Product not found'
+      });
+    }
+  }
+
+  if (issues.length > 0) {
+    const error = new Error('Some items are out of stock');
+    error.statusCode = 400;
+    error.issues = issues;
+    throw error;
+  }
+
+  const [reservation] = await this.create([{
+    ...owner,
+    items: grouped,
+    expiresAt: new Date(Date.now() + config.reservationTtlMinutes * 60 * 1000)
+  }], { session });
+
+  return reservation;
+};
+
+// Static method to claim an active, unexpired reservation for committing
+stockReservationSchema.statics.claim = function(reservationId, owner, { session } = {}) {
+  return this.findOneAndUpdate(
+    {
+      _id: reservationId,
+      ...owner,
+      status: 'active',
+      expiresAt: { $gt: new Date() }
+    },
+    { status: 'committed', committedAt: new Date() },
+    { new: true, session }
+  );
+};
+
+// Method to turn reserved stock into sold stock for an order.
+// The reservation must already be claimed (see claim()).
+stockReservationSchema.methods.commit = async function(orderId, { session } = {}) {
+  for (const item of this.items) {
+    const committed = await Product.commitStock(item.product, item.quantity, {
+      session,
+      variantSku: item.variantSku
+    });
+
+    if (!committed) {
+      const error = new Error('Reserved stock is no longer available');
+      error.statusCode = 409;
+      throw error;
+    }
+  }
+
+  this.order = orderId;
+  await this.save({ session });
+  return this;
+};
+
+// Static method to release an active reservation and give its stock back.
+// The status flip is the atomic claim, so stock is released at most once.
+stockReservationSchema.statics.release = async function(filter, status = 'released') {
+  const reservation = await this.findOneAndUpdate(
+    { ...filter, status: 'active' },
+    { status, releasedAt: new Date() },
+    { new: true }
+  );
+
+  if (!reservation) return null;
+
+  for (const item of reservation.items) {
+    await Product.releaseStock(item.product, item.quantity, { variantSku: item.variantSku });
+  }
+
+  return reservation;
+};
+
+// Static method to release every reservation past its TTL
+stockReservationSchema.statics.releaseExpired = async function() {
+  const expired = await this.find({
+    status: 'active',
+    expiresAt: { $lte: new Date() }
+  }).select('_id');
+
+  let released = 0;
+  for (const { _id } of expired) {
+    if (await this.release({ _id }, 'expired')) released++;
+  }
+
+  return released;
+};
+
+export default mongoose.model('StockReservation', stockReservationSchema);
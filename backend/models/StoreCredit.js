@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+import User from './User.js';
+
+// Ledger of store credit movements; the running balance lives on
+// User.storeCredit and is only changed through StoreCredit.adjust
+const storeCreditSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Positive amounts add credit, negative amounts spend it
+  amount: {
+    type: Number,
+    required: true
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['refund', 'order_payment', 'order_cancelled', 'adjustment'],
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  note: {
+    type: String,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+storeCreditSchema.index({ user: 1, createdAt: -1 });
+storeCreditSchema.index({ order: 1 });
+
+// Static method to change a user's balance and record the entry. Spending is
+// checked and applied in one update so the balance can never go negative;
+// throws an error with statusCode 400 if the user doesn't have enough credit.
+storeCreditSchema.statics.adjust = async function(userId, amount, { reason, order, note, createdBy, session } = {}) {
+  const rounded = Math.round(amount * 100) / 100;
+
+  const user = await User.findOneAndUpdate(
+    { _id: userId, ...(rounded < 0 && { storeCredit: { $gte: -rounded } }) },
+    { $inc: { storeCredit: rounded } },
+    { new: true, session, projection: 'storeCredit' }
+  );
+
+  if (!user) {
+    const error = new Error('Insufficient store credit');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const [entry] = await this.create([{
+    user: userId,
+    amount: rounded,
+    balanceAfter: Math.round(user.storeCredit * 100) / 100,
+    reason,
+    order,
+    note,
+    createdBy
+  }], { session });
+
+  return entry;
+};
+
+export default mongoose.model('StoreCredit', storeCreditSchema);
@@ -0,0 +1,123 @@
+import mongoose from 'mongoose';
+
+const taxRateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Tax rate name is required'],
+    trim: true,
+    maxlength: [100, 'Tax rate name cannot exceed 100 characters']
+  },
+  // Country code or name as used in addresses; '*' matches every country
+  country: {
+    type: String,
+    required: [true, 'Country is required'],
+    uppercase: true,
+    trim: true
+  },
+  // Empty matches every state of the country
+  state: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: ''
+  },
+  // Exact codes, prefixes ending in '*' (e.g. '902*') or ranges ('90001...90099').
+  // Empty matches every ZIP code.
+  zipCodes: [{
+    type: String,
+    uppercase: true,
+    trim: true
+  }],
+  taxClass: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: 'standard'
+  },
+  // Percentage, e.g. 8.25
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0, 'Rate cannot be negative'],
+    max: [100, 'Rate cannot exceed 100']
+  },
+  // Rates with different priorities add up (e.g. state + county);
+  // within one priority only the most specific match is used
+  priority: {
+    type: Number,
+    default: 1
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+taxRateSchema.index({ country: 1, taxClass: 1, isActive: 1 });
+
+// Method to check whether a ZIP code matches this rate
+taxRateSchema.methods.matchesZip = function(zipCode) {
+  if (this.zipCodes.length === 0) return true;
+  if (!zipCode) return false;
+
+  const zip = String(zipCode).toUpperCase().replace(/\s+/g, '');
+
+  return this.zipCodes.some(pattern => {
+    if (pattern.endsWith('*')) {
+      return zip.startsWith(pattern.slice(0, -1));
+    }
+
+    if (pattern.includes('...')) {
+      const [from, to] = pattern.split('...');
+      return zip.length === from.length && zip >= from && zip <= to;
+    }
+
+    return zip === pattern;
+  });
+};
+
+// Method to check whether an address matches this rate
+taxRateSchema.methods.matchesAddress = function(address) {
+  const country = String(address.country || '').toUpperCase();
+  const state = String(address.state || '').toUpperCase();
+
+  if (this.country !== '*' && this.country !== country) return false;
+  if (this.state && this.state !== state) return false;
+
+  return this.matchesZip(address.zipCode);
+};
+
+// Virtual for how specific the rate is (zip > state > country > wildcard)
+taxRateSchema.virtual('specificity').get(function() {
+  return (this.zipCodes.length > 0 ? 4 : 0) +
+    (this.state ? 2 : 0) +
+    (this.country !== '*' ? 1 : 0);
+});
+
+// Static method to get the rates that apply to an address for a tax class
+taxRateSchema.statics.findForAddress = async function(address, taxClass = 'standard') {
+  const country = String(address.country || '').toUpperCase();
+
+  const candidates = await this.find({
+    isActive: true,
+    taxClass: taxClass.toLowerCase(),
+    country: { $in: [country, '*'] }
+  });
+
+  const byPriority = new Map();
+
+  candidates
+    .filter(rate => rate.matchesAddress(address))
+    .forEach(rate => {
+      const current = byPriority.get(rate.priority);
+      if (!current || rate.specificity > current.specificity) {
+        byPriority.set(rate.priority, rate);
+      }
+    });
+
+  return [...byPriority.values()].sort((a, b) => a.priority - b.priority);
+};
+
+export default mongoose.model('TaxRate', taxRateSchema);
@@ -0,0 +1,109 @@
+import mongoose from 'mongoose';
+
+// Money movements on orders (charges, refunds, disputes), one entry each.
+// Written by utils/payments when a provider reports the movement.
+const transactionSchema = new mongoose.Schema({
+  // Unset for guest orders
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['charge', 'refund', 'partial_refund', 'dispute'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'succeeded'
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    lowercase: true,
+    default: 'usd'
+  },
+  provider: String,
+  // Charge, refund or dispute ID at the provider
+  providerReference: String,
+  receiptNumber: {
+    type: String,
+    unique: true
+  },
+  description: String,
+  failureReason: String,
+  paymentMethod: {
+    brand: String,
+    last4: String
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+transactionSchema.index({ user: 1, createdAt: -1 });
+transactionSchema.index({ order: 1, createdAt: -1 });
+transactionSchema.index({ type: 1, status: 1, createdAt: -1 });
+// A provider movement is only recorded once (webhooks may report it again)
+transactionSchema.index(
+  { type: 1, providerReference: 1 },
+  { unique: true, partialFilterExpression: { providerReference: { $type: 'string' } } }
+);
+
+// Generate receipt number before saving
+transactionSchema.pre('save', function(next) {
+  if (this.isNew && !this.receiptNumber) {
+    this.receiptNumber = 'RCPT-' + Date.now() + '-' + Math.floor(Math.random() * 1000);
+  }
+  next();
+});
+
+// Virtual for the receipt, served by GET /api/payments/receipts/:id
+transactionSchema.virtual('receiptUrl').get(function() {
+  return `/api/payments/receipts/${this._id}`;
+});
+
+// Static method to record a transaction; a repeat of an already recorded
+// provider movement is ignored and resolves to null
+transactionSchema.statics.record = async function(data) {
+  try {
+    return await this.create(data);
+  } catch (error) {
+    if (error.code === 11000 && data.providerReference) return null;
+    throw error;
+  }
+};
+
+// Static method to build a query from history filters
+// (type, status, from, to; dates are inclusive)
+transactionSchema.statics.buildFilter = function({ type, status, from, to } = {}) {
+  const filter = {};
+
+  if (type) filter.type = { $in: String(type).split(',') };
+  if (status) filter.status = { $in: String(status).split(',') };
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) {
+      const end = new Date(to);
+      // A bare date means the whole day
+      if (/^\d{4}-\d{2}-\d{2}$/.test(to)) end.setUTCHours(23, 59, 59, 999);
+      filter.createdAt.$lte = end;
+    }
+  }
+
+  return filter;
+};
+
+export default mongoose.model('Transaction', transactionSchema);
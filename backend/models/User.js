@@ -73,12 +73,45 @@ const userSchema = new mongoose.Schema({
     language: {
       type: String,
       default: 'en'
+    },
+    // Alerts about wishlisted and "notify me" products; in-app alerts stop
+    // when a type is switched off, emails also stop when email is off
+    productAlerts: {
+      backInStock: {
+        type: Boolean,
+        default: true
+      },
+      priceDrop: {
+        type: Boolean,
+        default: true
+      },
+      email: {
+        type: Boolean,
+        default: true
+      }
     }
   },
   socialLogin: {
     googleId: String,
     facebookId: String
   },
+  // Store credit balance; every change is recorded in the StoreCredit ledger
+  storeCredit: {
+    type: Number,
+    default: 0,
+    min: [0, 'Store credit cannot be negative']
+  },
+  // Loyalty points balance; tiers follow lifetimePoints (see config/loyalty.js)
+  loyalty: {
+    points: {
+      type: Number,
+      default: 0
+    },
+    lifetimePoints: {
+      type: Number,
+      default: 0
+    }
+  },
   lastLogin: Date,
   loginAttempts: {
     type: Number,
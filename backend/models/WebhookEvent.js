@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+
+// Payment webhook events that have been received, so redeliveries are no-ops
+const webhookEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'failed'],
+    default: 'processing'
+  },
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  error: String,
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+webhookEventSchema.index({ createdAt: -1 });
+
+// A claim older than this is assumed to belong to a crashed worker
+const STALE_CLAIM_MS = 5 * 60 * 1000;
+
+// Static method to claim an event for processing.
+// Resolves to the event, or null if it was already processed (or is being
+// processed right now by another request).
+webhookEventSchema.statics.claim = async function(eventId, type) {
+  try {
+    return await this.create({ eventId, type });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  // Seen before: only retry failed events or abandoned claims
+  return this.findOneAndUpdate(
+    {
+      eventId,
+      $or: [
+        { status: 'failed' },
+        { status: 'processing', updatedAt: { $lt: new Date(Date.now() - STALE_CLAIM_MS) } }
+      ]
+    },
+    { status: 'processing', $inc: { attempts: 1 }, $unset: { error: 1 } },
+    { new: true }
+  );
+};
+
+// Method to mark the event as handled
+webhookEventSchema.methods.markProcessed = function(orderId = null) {
+  this.status = 'processed';
+  this.processedAt = new Date();
+  if (orderId) this.order = orderId;
+  return this.save();
+};
+
+// Method to mark the event as failed so a redelivery retries it
+webhookEventSchema.methods.markFailed = function(error) {
+  this.status = 'failed';
+  this.error = error.message;
+  return this.save();
+};
+
+export default mongoose.model('WebhookEvent', webhookEventSchema);
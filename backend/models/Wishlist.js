@@ -1,5 +1,82 @@
+import crypto from 'crypto';
 import mongoose from 'mongoose';
 
+// A gift bought from a registry, as marked by the buyer on the shared list
+const purchaseSchema = new mongoose.Schema({
+  quantity: {
+    type: Number,
+    min: [1, 'Quantity must be at least 1'],
+    default: 1
+  },
+  // Name the buyer chose to show the list owner
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  message: {
+    type: String,
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+  // Set when the buyer was signed in, so they can undo their marker
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  purchasedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A link that lets anyone holding it see the list. 'purchase' links also let
+// the holder mark registry items as bought; 'view' links are read-only.
+const shareLinkSchema = new mongoose.Schema({
+  token: {
+    type: String,
+    required: true
+  },
+  scope: {
+    type: String,
+    enum: ['view', 'purchase'],
+    default: 'view'
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  views: {
+    type: Number,
+    default: 0
+  },
+  lastViewedAt: Date,
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Whether a link still grants access
+shareLinkSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+// Where gifts bought from a registry are shipped
+const giftAddressSchema = new mongoose.Schema({
+  firstName: { type: String, required: true },
+  lastName: { type: String, required: true },
+  company: String,
+  address: { type: String, required: true },
+  address2: String,
+  city: { type: String, required: true },
+  state: { type: String, required: true },
+  zipCode: { type: String, required: true },
+  country: { type: String, required: true },
+  phone: String
+}, { _id: false });
+
 const wishlistItemSchema = new mongoose.Schema({
   product: {
     type: mongoose.Schema.Types.ObjectId,
@@ -15,19 +92,60 @@ const wishlistItemSchema = new mongoose.Schema({
     type: String,
     enum: ['low', 'medium', 'high'],
     default: 'medium'
+  },
+  // Registry only: how many the owner would like, and who bought them
+  desiredQuantity: {
+    type: Number,
+    min: [1, 'Desired quantity must be at least 1'],
+    default: 1
+  },
+  purchases: [purchaseSchema],
+  // Alerts sent to the owner about this product
+  alerts: {
+    backInStock: {
+      type: Boolean,
+      default: true
+    },
+    priceDrop: {
+      type: Boolean,
+      default: true
+    }
   }
 });
 
+// Units of a registry item already bought
+wishlistItemSchema.virtual('purchasedQuantity').get(function() {
+  return this.purchases.reduce((total, purchase) => total + purchase.quantity, 0);
+});
+
+wishlistItemSchema.virtual('remainingQuantity').get(function() {
+  return Math.max(0, this.desiredQuantity - this.purchasedQuantity);
+});
+
+// A user can keep several lists; a registry is a list others buy gifts from
 const wishlistSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true,
-    unique: true
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['wishlist', 'registry'],
+    default: 'wishlist'
   },
   items: [wishlistItemSchema],
+
+  // Registry settings
+  eventDate: Date,
+  shippingAddress: giftAddressSchema,
+  // Registry purchases stay hidden from the owner until they choose to see them
+  revealPurchases: {
+    type: Boolean,
+    default: false
+  },
   
-  // Wishlist settings
+  // Wishlist settings. isPublic is true while any share link is active.
   isPublic: {
     type: Boolean,
     default: false
@@ -43,11 +161,7 @@ const wishlistSchema = new mongoose.Schema({
   },
   
   // Sharing
-  shareToken: {
-    type: String,
-    unique: true,
-    sparse: true
-  },
+  shareLinks: [shareLinkSchema],
   
   // Metadata
   createdAt: {
@@ -61,8 +175,8 @@ const wishlistSchema = new mongoose.Schema({
 });
 
 // Index for performance
-wishlistSchema.index({ user: 1 });
-wishlistSchema.index({ shareToken: 1 });
+wishlistSchema.index({ user: 1, createdAt: 1 });
+wishlistSchema.index({ 'shareLinks.token': 1 });
 
 // Pre-save middleware
 wishlistSchema.pre('save', function(next) {
@@ -71,7 +185,7 @@ wishlistSchema.pre('save', function(next) {
 });
 
 // Method to add item to wishlist
-wishlistSchema.methods.addItem = async function(productId, notes = '', priority = 'medium') {
+wishlistSchema.methods.addItem = async function(productId, notes = '', priority = 'medium', desiredQuantity = 1) {
   const existingItem = this.items.find(item => 
     item.product.toString() === productId.toString()
   );
@@ -80,12 +194,14 @@ wishlistSchema.methods.addItem = async function(productId, notes = '', priority
     // Item already exists, update notes and priority
     existingItem.notes = notes;
     existingItem.priority = priority;
+    existingItem.desiredQuantity = desiredQuantity;
     existingItem.addedAt = new Date();
   } else {
     this.items.push({
       product: productId,
       notes,
       priority,
+      desiredQuantity,
       addedAt: new Date()
     });
   }
@@ -118,25 +234,64 @@ wishlistSchema.methods.clear = async function() {
   return this;
 };
 
-// Method to generate share token
-wishlistSchema.methods.generateShareToken = async function() {
-  const token = require('crypto').randomBytes(32).toString('hex');
-  this.shareToken = token;
+// Method to create a share link ('view' or 'purchase' scope, optionally
+// expiring) and make the list public
+wishlistSchema.methods.createShareLink = async function({ scope = 'view', expiresAt = null } = {}) {
+  this.shareLinks.push({
+    token: crypto.randomBytes(24).toString('base64url'),
+    scope,
+    expiresAt
+  });
+  this.isPublic = true;
+
   await this.save();
-  return token;
+  return this.shareLinks[this.shareLinks.length - 1];
 };
 
-// Method to revoke share token
-wishlistSchema.methods.revokeShareToken = async function() {
-  this.shareToken = undefined;
+// Method to revoke one share link, or all of them when no ID is given. The
+// list stops being public once no active links remain.
+wishlistSchema.methods.revokeShareLinks = async function(linkId = null) {
+  const links = linkId ? [this.shareLinks.id(linkId)].filter(Boolean) : this.shareLinks;
+  const revokedAt = new Date();
+
+  links.forEach(link => {
+    if (!link.revokedAt) link.revokedAt = revokedAt;
+  });
+  this.isPublic = this.getActiveShareLinks().length > 0;
+
   await this.save();
-  return this;
+  return links.length;
+};
+
+// Method to list share links that still grant access
+wishlistSchema.methods.getActiveShareLinks = function() {
+  return this.shareLinks.filter(link => link.isActive);
+};
+
+// Method to find the active share link for a token
+wishlistSchema.methods.getShareLink = function(token) {
+  return this.getActiveShareLinks().find(link => link.token === token) || null;
 };
 
 // Method to get share URL
-wishlistSchema.methods.getShareUrl = function() {
-  if (!this.shareToken) return null;
-  return `${process.env.FRONTEND_URL}/wishlist/shared/${this.shareToken}`;
+wishlistSchema.methods.getShareUrl = function(link) {
+  if (!link) return null;
+  return `${process.env.FRONTEND_URL}/wishlist/shared/${link.token}`;
+};
+
+// Method to describe a share link to the list owner
+wishlistSchema.methods.toShareLinkJSON = function(link) {
+  return {
+    _id: link._id,
+    url: this.getShareUrl(link),
+    scope: link.scope,
+    expiresAt: link.expiresAt,
+    views: link.views,
+    lastViewedAt: link.lastViewedAt,
+    revokedAt: link.revokedAt,
+    isActive: link.isActive,
+    createdAt: link.createdAt
+  };
 };
 
 // Method to move item to cart (remove from wishlist)
@@ -161,9 +316,128 @@ wishlistSchema.methods.getItemsByPriority = function(priority) {
   return this.items.filter(item => item.priority === priority);
 };
 
-// Static method to find wishlist by share token
+// Method to mark a registry item as bought. Throws an error with a
+// statusCode if the list isn't a registry or the item is already covered.
+wishlistSchema.methods.markPurchased = async function(itemId, { quantity = 1, name, message, user } = {}) {
+  const item = this.items.id(itemId);
+
+  if (this.type !== 'registry' || !item) {
+    const error = new Error(item ? 'Only registry items can be marked as purchased' : 'Item not found in wishlist');
+    error.statusCode = item ? 400 : 404;
+    throw error;
+  }
+
+  if (quantity > item.remainingQuantity) {
+    const error = new Error(item.remainingQuantity > 0
+      ? `Only ${item.remainingQuantity} still needed`
+      : 'This item has already been purchased');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  item.purchases.push({ quantity, name, message, user, purchasedAt: new Date() });
+  await this.save();
+  return item;
+};
+
+// Method to undo a purchase marker; only the signed-in buyer who set it can
+wishlistSchema.methods.removePurchase = async function(itemId, purchaseId, userId) {
+  const purchase = this.items.id(itemId)?.purchases.id(purchaseId);
+
+  if (!purchase || !userId || purchase.user?.toString() !== userId.toString()) {
+    const error = new Error('Purchase not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  purchase.deleteOne();
+  await this.save();
+  return this;
+};
+
+// Method to serialize the list for its owner. Registry purchases are left
+// out until the owner reveals them, so gifts stay a surprise.
+wishlistSchema.methods.toOwnerJSON = function() {
+  const list = this.toObject({ virtuals: true });
+  list.shareLinks = this.getActiveShareLinks().map(link => this.toShareLinkJSON(link));
+
+  if (list.type === 'registry' && !list.revealPurchases) {
+    list.items.forEach(item => {
+      delete item.purchases;
+      delete item.purchasedQuantity;
+      delete item.remainingQuantity;
+    });
+  }
+
+  return list;
+};
+
+// Method to serialize the list for someone holding a share link. Only what
+// a visitor needs is included: never the owner's contact details, private
+// notes, who bought what or where gifts are shipped. Expects `user` to be
+// populated with at least firstName.
+wishlistSchema.methods.toSharedJSON = function(link) {
+  const isRegistry = this.type === 'registry';
+
+  return {
+    _id: this._id,
+    name: this.name,
+    description: this.description,
+    type: this.type,
+    eventDate: isRegistry ? this.eventDate : undefined,
+    owner: { firstName: this.user?.firstName },
+    items: this.items.map(item => ({
+      _id: item._id,
+      product: item.product,
+      priority: item.priority,
+      addedAt: item.addedAt,
+      ...(isRegistry && {
+        desiredQuantity: item.desiredQuantity,
+        purchasedQuantity: item.purchasedQuantity,
+        remainingQuantity: item.remainingQuantity
+      })
+    })),
+    shipsToRegistrant: isRegistry && Boolean(this.shippingAddress),
+    canMarkPurchased: isRegistry && link?.scope === 'purchase',
+    expiresAt: link?.expiresAt || null
+  };
+};
+
+// Static method to list the users with a product on their wishlist who want
+// the given alert ('backInStock' or 'priceDrop') for it
+wishlistSchema.statics.findAlertSubscribers = function(productId, alert) {
+  return this.distinct('user', {
+    items: { $elemMatch: { product: productId, [`alerts.${alert}`]: { $ne: false } } }
+  });
+};
+
+// Query filter for a list with an active share link for a token
+const activeShareLinkFilter = (token) => ({
+  shareLinks: {
+    $elemMatch: {
+      token: String(token),
+      revokedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    }
+  }
+});
+
+// Static method to find wishlist by share token (revoked and expired links
+// find nothing)
 wishlistSchema.statics.findByShareToken = function(token) {
-  return this.findOne({ shareToken: token, isPublic: true });
+  return this.findOne(activeShareLinkFilter(token));
+};
+
+// Static method to find a wishlist by share token and count the visit
+wishlistSchema.statics.viewByShareToken = function(token) {
+  return this.findOneAndUpdate(
+    activeShareLinkFilter(token),
+    {
+      $inc: { 'shareLinks.$.views': 1 },
+      $set: { 'shareLinks.$.lastViewedAt': new Date() }
+    },
+    { new: true }
+  );
 };
 
 export default mongoose.model('Wishlist', wishlistSchema);
\ No newline at end of file
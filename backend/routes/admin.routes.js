@@ -5,6 +5,14 @@ import User from '../models/User.js';
 import Product from '../models/Product.js';
 import Order from '../models/Order.js';
 import Category from '../models/Category.js';
+import CartRecovery from '../models/CartRecovery.js';
+import EmailOutbox from '../models/EmailOutbox.js';
+import RestockSuggestion from '../models/RestockSuggestion.js';
+import { changeOrderStatus } from '../utils/orderStatus.js';
+import { renderTemplate, templateNames, languages, sampleData } from '../utils/emailTemplates/index.js';
+import { config as emailConfig } from '../config/email.js';
+import { deliverEmail } from '../utils/email.js';
+import { publishPriceChanges } from '../utils/priceEvents.js';
 
 const router = express.Router();
 
@@ -34,10 +42,19 @@ router.get('/dashboard', asyncHandler(async (req, res) => {
     .limit(5)
     .select('firstName lastName email createdAt');
 
-  const lowStockProducts = await Product.find({
-    'inventory.trackQuantity': true,
-    'inventory.quantity': { $lte: 5 }
-  }).limit(10);
+  // Low by each product's own threshold, or any option's for variant products
+  const lowStock = await Product.findLowStock()
+    .select('name slug images inventory variants')
+    .sort({ 'inventory.quantity': 1 })
+    .limit(10);
+  const lowStockProducts = lowStock.map(product => ({
+    ...product.toObject(),
+    lowStockVariants: product.getLowStockVariants()
+  }));
+  const lowStockCount = await Product.findLowStock().countDocuments();
+  const openRestockSuggestions = await RestockSuggestion.countDocuments({ status: 'open' });
+
+  const cartRecovery = await CartRecovery.getStats();
 
   res.status(200).json({
     success: true,
@@ -46,8 +63,12 @@ router.get('/dashboard', asyncHandler(async (req, res) => {
         totalUsers,
         totalProducts,
         totalOrders,
-        totalRevenue: totalRevenue[0]?.total || 0
+        totalRevenue: totalRevenue[0]?.total || 0,
+        recoveredRevenue: cartRecovery.recoveredRevenue,
+        lowStockCount,
+        openRestockSuggestions
       },
+      cartRecovery,
       recentOrders,
       recentUsers,
       lowStockProducts
@@ -256,16 +277,248 @@ router.get('/analytics/revenue', asyncHandler(async (req, res) => {
     }
   ]);
 
+  // Abandoned cart emails sent in the period and the revenue they brought back
+  const cartRecovery = await CartRecovery.getStats({ from: startDate });
+
   res.status(200).json({
     success: true,
     data: {
       revenueOverTime,
       revenueByPaymentMethod,
-      averageOrderValue: averageOrderValue[0]?.average || 0
+      averageOrderValue: averageOrderValue[0]?.average || 0,
+      cartRecovery
+    }
+  });
+}));
+
+// @desc    List email templates and languages
+// @route   GET /api/admin/email-templates
+// @access  Private/Admin
+router.get('/email-templates', (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      templates: templateNames,
+      languages,
+      defaultLanguage: emailConfig.defaultLanguage
+    }
+  });
+});
+
+// @desc    Preview an email template with sample data
+// @route   GET /api/admin/email-templates/:name/preview?language=&format=html|text|json
+// @access  Private/Admin
+router.get('/email-templates/:name/preview', (req, res) => {
+  const { name } = req.params;
+
+  if (!templateNames.includes(name)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Email template not found'
+    });
+  }
+
+  const email = renderTemplate(name, sampleData[name], { language: req.query.language });
+
+  if (req.query.format === 'html') {
+    return res.type('html').send(email.html);
+  }
+  if (req.query.format === 'text') {
+    return res.type('text').send(email.text);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { template: name, ...email }
+  });
+});
+
+// @desc    Get queued and sent emails (e.g. ?status=failed)
+// @route   GET /api/admin/emails
+// @access  Private/Admin
+router.get('/emails', asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+
+  const query = {};
+  if (req.query.status) query.status = req.query.status;
+  if (req.query.template) query.template = req.query.template;
+  if (req.query.to) query.to = String(req.query.to).toLowerCase();
+
+  const emails = await EmailOutbox.find(query)
+    .select('-html -text')
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await EmailOutbox.countDocuments(query);
+
+  const statusCounts = await EmailOutbox.aggregate([
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      emails,
+      counts: Object.fromEntries(statusCounts.map(({ _id, count }) => [_id, count])),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+}));
+
+// @desc    Queue every failed email again
+// @route   POST /api/admin/emails/resend-failed
+// @access  Private/Admin
+router.post('/emails/resend-failed', asyncHandler(async (req, res) => {
+  const query = { status: 'failed' };
+  if (req.body.template) query.template = req.body.template;
+
+  const result = await EmailOutbox.updateMany(query, {
+    $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date(), resentBy: req.user.id },
+    $unset: { lastError: '' }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `${result.modifiedCount} emails queued for delivery`,
+    data: { queued: result.modifiedCount }
+  });
+}));
+
+// @desc    Get single email with its content
+// @route   GET /api/admin/emails/:id
+// @access  Private/Admin
+router.get('/emails/:id', asyncHandler(async (req, res) => {
+  const email = await EmailOutbox.findById(req.params.id)
+    .populate('resentBy', 'firstName lastName');
+
+  if (!email) {
+    return res.status(404).json({
+      success: false,
+      message: 'Email not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { email }
+  });
+}));
+
+// @desc    Resend a failed email
+// @route   POST /api/admin/emails/:id/resend
+// @access  Private/Admin
+router.post('/emails/:id/resend', asyncHandler(async (req, res) => {
+  const email = await EmailOutbox.findById(req.params.id);
+
+  if (!email) {
+    return res.status(404).json({
+      success: false,
+      message: 'Email not found'
+    });
+  }
+
+  if (email.status !== 'failed') {
+    return res.status(400).json({
+      success: false,
+      message: 'Only failed emails can be resent'
+    });
+  }
+
+  await email.resend(req.user.id);
+
+  // Try straight away so the result can be reported; the worker keeps
+  // retrying if this attempt fails
+  const claimed = await EmailOutbox.claim(email._id);
+  const result = claimed ? await deliverEmail(claimed) : email;
+
+  res.status(200).json({
+    success: true,
+    message: result.status === 'sent' ? 'Email sent' : 'Email queued for delivery',
+    data: { email: result }
+  });
+}));
+
+// @desc    Get restock suggestions (?status=open|ordered|dismissed|resolved, default open)
+// @route   GET /api/admin/restock-suggestions
+// @access  Private/Admin
+router.get('/restock-suggestions', asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const query = { status: req.query.status || 'open' };
+
+  const suggestions = await RestockSuggestion.find(query)
+    .populate('product', 'name slug images sku inventory.quantity')
+    .populate('updatedBy', 'firstName lastName')
+    .sort({ quantity: 1, lastAlertAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await RestockSuggestion.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      suggestions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
     }
   });
 }));
 
+// @desc    Mark a restock suggestion as ordered or dismissed (or reopen it)
+// @route   PUT /api/admin/restock-suggestions/:id
+// @access  Private/Admin
+router.put('/restock-suggestions/:id', asyncHandler(async (req, res) => {
+  const { status, suggestedQuantity } = req.body;
+
+  if (!['open', 'ordered', 'dismissed'].includes(status)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Status must be open, ordered or dismissed'
+    });
+  }
+
+  const suggestion = await RestockSuggestion.findById(req.params.id);
+
+  if (!suggestion) {
+    return res.status(404).json({
+      success: false,
+      message: 'Restock suggestion not found'
+    });
+  }
+
+  if (suggestion.status === 'resolved') {
+    return res.status(400).json({
+      success: false,
+      message: 'Stock has already been replenished'
+    });
+  }
+
+  suggestion.status = status;
+  suggestion.updatedBy = req.user.id;
+  if (suggestedQuantity !== undefined && parseInt(suggestedQuantity) > 0) {
+    suggestion.suggestedQuantity = parseInt(suggestedQuantity);
+  }
+  await suggestion.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Restock suggestion updated',
+    data: { suggestion }
+  });
+}));
+
 // @desc    Get system health
 // @route   GET /api/admin/system/health
 // @access  Private/Admin
@@ -313,10 +566,30 @@ router.post('/bulk', asyncHandler(async (req, res) => {
           { status: data.status }
         );
       } else if (target === 'orders') {
-        result = await Order.updateMany(
-          { _id: { $in: data.ids } },
-          { status: data.status }
-        );
+        // Orders go through the state machine one by one so illegal
+        // transitions are rejected and side effects run
+        result = { updated: [], failed: [] };
+        const orders = await Order.find({ _id: { $in: data.ids } });
+
+        for (const order of orders) {
+          try {
+            await changeOrderStatus(order, data.status, {
+              actor: req.user,
+              actorRole: 'admin',
+              note: data.note,
+              io: req.app.get('io')
+            });
+            result.updated.push(order._id);
+          } catch (error) {
+            if (!error.statusCode) throw error;
+            result.failed.push({ id: order._id, message: error.message });
+          }
+        }
+
+        const foundIds = orders.map(order => order._id.toString());
+        data.ids
+          .filter(id => !foundIds.includes(String(id)))
+          .forEach(id => result.failed.push({ id, message: 'Order not found' }));
       }
       break;
 
@@ -330,6 +603,8 @@ router.post('/bulk', asyncHandler(async (req, res) => {
 
     case 'updatePrices':
       if (target === 'products') {
+        const previous = await Product.find({ _id: { $in: data.updates.map(update => update.id) } })
+          .select('price');
         const bulkOps = data.updates.map(update => ({
           updateOne: {
             filter: { _id: update.id },
@@ -337,6 +612,11 @@ router.post('/bulk', asyncHandler(async (req, res) => {
           }
         }));
         result = await Product.bulkWrite(bulkOps);
+
+        // Alert wishers and "notify me" subscribers of price drops
+        await publishPriceChanges(
+          Object.fromEntries(previous.map(product => [product._id.toString(), product.price]))
+        );
       }
       break;
 
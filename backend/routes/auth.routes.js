@@ -1,27 +1,101 @@
 import express from 'express';
 import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
-import { body } from 'express-validator';
+import mongoose from 'mongoose';
+import { body, param } from 'express-validator';
 import User from '../models/User.js';
-import { asyncHandler, validationErrorHandler } from '../middleware/errorHandler.js';
+import Cart from '../models/Cart.js';
+import Session from '../models/Session.js';
+import { protect, optionalAuth, verifyRefreshToken } from '../middleware/auth.js';
+import { asyncHandler, validationErrorHandler, logger } from '../middleware/errorHandler.js';
+import { getGuestSessionId, clearGuestSession } from '../middleware/cartSession.js';
 import { sendEmail } from '../utils/email.js';
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '30d'
+// Move the cart a guest built before signing in into their account
+const adoptGuestCart = async (req, res, user) => {
+  const sessionId = getGuestSessionId(req);
+  if (!sessionId) return;
+
+  try {
+    await Cart.mergeGuestCart(sessionId, user._id);
+    clearGuestSession(res);
+  } catch (error) {
+    // Don't fail the sign-in; the cart can still be merged via /api/cart/merge
+    logger.error('Guest cart merge failed:', error);
+  }
+};
+
+// Generate JWT token for a session. Access tokens are short-lived; clients
+// renew them with the refresh token.
+const generateToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || '15m'
   });
 };
 
-// Generate refresh token
-const generateRefreshToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_REFRESH_SECRET, {
+// Generate refresh token for a session. The random jti keeps every rotated
+// token distinct, even when two are signed in the same second.
+const generateRefreshToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId, jti: crypto.randomBytes(16).toString('hex') }, process.env.JWT_REFRESH_SECRET, {
     expiresIn: process.env.JWT_REFRESH_EXPIRE || '90d'
   });
 };
 
+// Device details stored on a session, and when its refresh token expires
+const sessionDetails = (req, refreshToken) => ({
+  userAgent: req.get('user-agent'),
+  ip: req.ip,
+  expiresAt: new Date(jwt.decode(refreshToken).exp * 1000)
+});
+
+// Sign the user in on a new device session and issue its tokens
+const startSession = async (req, user) => {
+  const sessionId = new mongoose.Types.ObjectId();
+  const refreshToken = generateRefreshToken(user._id, sessionId);
+
+  await Session.start(sessionId, user._id, refreshToken, sessionDetails(req, refreshToken));
+
+  return { token: generateToken(user._id, sessionId), refreshToken };
+};
+
+// The refresh token cookie is only sent to the auth routes
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+// Set the httpOnly token cookies, each expiring with its token. The refresh
+// token is only ever sent in its cookie, never in a response body.
+const setAuthCookies = (res, token, refreshToken) => {
+  const options = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict'
+  };
+
+  res.cookie('token', token, {
+    ...options,
+    expires: new Date(jwt.decode(token).exp * 1000)
+  });
+  res.cookie('refreshToken', refreshToken, {
+    ...options,
+    path: REFRESH_COOKIE_PATH,
+    expires: new Date(jwt.decode(refreshToken).exp * 1000)
+  });
+};
+
+// Clear the token cookies
+const clearAuthCookies = (res) => {
+  res.cookie('token', 'none', {
+    expires: new Date(Date.now()),
+    httpOnly: true
+  });
+  res.cookie('refreshToken', 'none', {
+    path: REFRESH_COOKIE_PATH,
+    expires: new Date(Date.now()),
+    httpOnly: true
+  });
+};
+
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
@@ -74,8 +148,8 @@ router.post('/register', [
     const verificationUrl = `${process.env.FRONTEND_URL}/verify-email/${verificationToken}`;
     await sendEmail({
       to: user.email,
-      subject: 'Verify Your Email',
       template: 'email-verification',
+      language: user.preferences?.language,
       data: {
         firstName: user.firstName,
         verificationUrl
@@ -86,9 +160,13 @@ router.post('/register', [
     // Don't fail registration if email fails
   }
 
+  await adoptGuestCart(req, res, user);
+
   // Generate tokens
-  const token = generateToken(user._id);
-  const refreshToken = generateRefreshToken(user._id);
+  const { token, refreshToken } = await startSession(req, user);
+
+  // Set cookies
+  setAuthCookies(res, token, refreshToken);
 
   res.status(201).json({
     success: true,
@@ -102,8 +180,7 @@ router.post('/register', [
         role: user.role,
         isVerified: user.isVerified
       },
-      token,
-      refreshToken
+      token
     }
   });
 }));
@@ -161,17 +238,13 @@ router.post('/login', [
   user.lastLogin = new Date();
   await user.save();
 
+  await adoptGuestCart(req, res, user);
+
   // Generate tokens
-  const token = generateToken(user._id);
-  const refreshToken = generateRefreshToken(user._id);
+  const { token, refreshToken } = await startSession(req, user);
 
-  // Set cookie
-  res.cookie('token', token, {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: 'strict',
-    maxAge: 30 * 24 * 60 * 60 * 1000 // 30 days
-  });
+  // Set cookies
+  setAuthCookies(res, token, refreshToken);
 
   res.status(200).json({
     success: true,
@@ -186,20 +259,30 @@ router.post('/login', [
         isVerified: user.isVerified,
         avatar: user.avatar
       },
-      token,
-      refreshToken
+      token
     }
   });
 }));
 
-// @desc    Logout user
+// @desc    Logout user (revokes the current session)
 // @route   POST /api/auth/logout
 // @access  Private
-router.post('/logout', asyncHandler(async (req, res) => {
-  res.cookie('token', 'none', {
-    expires: new Date(Date.now()),
-    httpOnly: true
-  });
+router.post('/logout', optionalAuth, asyncHandler(async (req, res) => {
+  if (req.user) {
+    await Session.revoke(req.sessionId, req.user._id, 'logout');
+  } else {
+    // The access token may have expired; the refresh token still names the session
+    try {
+      const decoded = jwt.verify(req.cookies.refreshToken, process.env.JWT_REFRESH_SECRET);
+      if (mongoose.isValidObjectId(decoded.sid)) {
+        await Session.revoke(decoded.sid, decoded.id, 'logout');
+      }
+    } catch (error) {
+      // Nothing to revoke
+    }
+  }
+
+  clearAuthCookies(res);
 
   res.status(200).json({
     success: true,
@@ -207,46 +290,78 @@ router.post('/logout', asyncHandler(async (req, res) => {
   });
 }));
 
-// @desc    Refresh token
+// @desc    Refresh token (rotates the refresh token; reusing an old one
+//          revokes the session)
 // @route   POST /api/auth/refresh
 // @access  Public
-router.post('/refresh', asyncHandler(async (req, res) => {
-  const { refreshToken } = req.body;
+router.post('/refresh', verifyRefreshToken, asyncHandler(async (req, res) => {
+  const newRefreshToken = generateRefreshToken(req.user._id, req.sessionId);
 
-  if (!refreshToken) {
-    return res.status(401).json({
+  try {
+    await Session.rotate(req.sessionId, req.refreshToken, newRefreshToken, sessionDetails(req, newRefreshToken));
+  } catch (error) {
+    if (!error.statusCode) throw error;
+    if (error.reused) {
+      logger.warn(`Refresh token reuse detected; revoked session ${req.sessionId} of user ${req.user._id}`);
+    }
+    return res.status(error.statusCode).json({
       success: false,
-      message: 'Refresh token is required'
+      message: error.message
     });
   }
 
-  try {
-    const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-    const user = await User.findById(decoded.id);
-
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'User not found'
-      });
+  const newToken = generateToken(req.user._id, req.sessionId);
+  setAuthCookies(res, newToken, newRefreshToken);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      token: newToken
     }
+  });
+}));
 
-    const newToken = generateToken(user._id);
-    const newRefreshToken = generateRefreshToken(user._id);
+// @desc    Get the current user's signed-in devices
+// @route   GET /api/auth/sessions
+// @access  Private
+router.get('/sessions', protect, asyncHandler(async (req, res) => {
+  const sessions = await Session.findActive(req.user._id);
 
-    res.status(200).json({
-      success: true,
-      data: {
-        token: newToken,
-        refreshToken: newRefreshToken
-      }
-    });
-  } catch (error) {
-    return res.status(401).json({
+  res.status(200).json({
+    success: true,
+    data: {
+      sessions: sessions.map(session => session.toClientJSON(req.sessionId))
+    }
+  });
+}));
+
+// @desc    Sign out a device
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+router.delete('/sessions/:id', [
+  protect,
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid session ID'),
+  validationErrorHandler
+], asyncHandler(async (req, res) => {
+  const revoked = await Session.revoke(req.params.id, req.user._id);
+
+  if (!revoked) {
+    return res.status(404).json({
       success: false,
-      message: 'Invalid refresh token'
+      message: 'Session not found'
     });
   }
+
+  if (req.params.id === req.sessionId) {
+    clearAuthCookies(res);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Session revoked'
+  });
 }));
 
 // @desc    Verify email
@@ -314,11 +429,12 @@ router.post('/forgot-password', [
     const resetUrl = `${process.env.FRONTEND_URL}/reset-password/${resetToken}`;
     await sendEmail({
       to: user.email,
-      subject: 'Password Reset Request',
       template: 'password-reset',
+      language: user.preferences?.language,
       data: {
         firstName: user.firstName,
-        resetUrl
+        resetUrl,
+        expiresInMinutes: 30
       }
     });
 
@@ -368,6 +484,9 @@ router.post('/reset-password', [
   user.resetPasswordExpire = undefined;
   await user.save();
 
+  // Whoever knew the old password is signed out everywhere
+  await Session.revokeAll(user._id, { reason: 'password_change' });
+
   res.status(200).json({
     success: true,
     message: 'Password reset successful'
@@ -377,7 +496,7 @@ router.post('/reset-password', [
 // @desc    Get current user
 // @route   GET /api/auth/me
 // @access  Private
-router.get('/me', asyncHandler(async (req, res) => {
+router.get('/me', protect, asyncHandler(async (req, res) => {
   const user = await User.findById(req.user.id);
 
   res.status(200).json({
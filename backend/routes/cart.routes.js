@@ -2,16 +2,23 @@ import express from 'express';
 import { body } from 'express-validator';
 import Cart from '../models/Cart.js';
 import Product from '../models/Product.js';
-import { protect, optionalAuth } from '../middleware/auth.js';
+import Coupon from '../models/Coupon.js';
+import { priceItems, PRICING_FIELDS } from '../utils/pricing.js';
+import { restoreAbandonedCart } from '../utils/cartRecovery.js';
+import { protect } from '../middleware/auth.js';
+import { cartSession, getGuestSessionId, clearGuestSession } from '../middleware/cartSession.js';
 import { asyncHandler, validationErrorHandler } from '../middleware/errorHandler.js';
 
 const router = express.Router();
 
+// Carts work for signed-in users and for guests, who are tracked with a
+// signed session cookie; req.cartOwner is the cart's owner filter for both
+
 // @desc    Get cart
 // @route   GET /api/cart
-// @access  Private
-router.get('/', protect, asyncHandler(async (req, res) => {
-  let cart = await Cart.findOne({ user: req.user.id })
+// @access  Public
+router.get('/', cartSession, asyncHandler(async (req, res) => {
+  let cart = await Cart.findOne(req.cartOwner)
     .populate({
       path: 'items.product',
       select: 'name price images inventory.trackQuantity inventory.quantity inventory.allowBackorders',
@@ -22,7 +29,7 @@ router.get('/', protect, asyncHandler(async (req, res) => {
     });
 
   if (!cart) {
-    cart = await Cart.create({ user: req.user.id });
+    cart = await Cart.create(req.cartOwner);
     cart = await Cart.findById(cart._id)
       .populate({
         path: 'items.product',
@@ -42,18 +49,22 @@ router.get('/', protect, asyncHandler(async (req, res) => {
 
 // @desc    Add item to cart
 // @route   POST /api/cart/items
-// @access  Private
+// @access  Public
 router.post('/items', [
-  protect,
+  cartSession,
   body('productId')
     .isMongoId()
     .withMessage('Please provide a valid product ID'),
   body('quantity')
     .isInt({ min: 1 })
     .withMessage('Quantity must be at least 1'),
+  body('variantSku')
+    .optional()
+    .isString()
+    .withMessage('Variant SKU must be a string'),
   validationErrorHandler
 ], asyncHandler(async (req, res) => {
-  const { productId, quantity, variant } = req.body;
+  const { productId, quantity, variantSku } = req.body;
 
   // Check if product exists
   const product = await Product.findById(productId);
@@ -72,10 +83,36 @@ router.post('/items', [
     });
   }
 
-  let cart = await Cart.findOne({ user: req.user.id });
+  // Resolve the selected option from the product; price adjustments are never taken from the client
+  let variant = null;
+  if (product.hasVariantOptions()) {
+    variant = product.getVariantSnapshot(variantSku || req.body.variant);
+
+    if (!variant) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please select a valid product option'
+      });
+    }
+  }
+
+  let cart = await Cart.findOne(req.cartOwner);
 
   if (!cart) {
-    cart = await Cart.create({ user: req.user.id });
+    cart = await Cart.create(req.cartOwner);
+  }
+
+  // Check stock for the option, counting what is already in the cart
+  const inCart = cart.items
+    .filter(item => item.product.toString() === productId && (item.variant?.sku || null) === (variant?.sku || null))
+    .reduce((total, item) => total + item.quantity, 0);
+  const stockCheck = product.checkStock(inCart + Number(quantity), variant?.sku);
+
+  if (!stockCheck.available) {
+    return res.status(400).json({
+      success: false,
+      message: stockCheck.message
+    });
   }
 
   // Add item to cart
@@ -101,18 +138,19 @@ router.post('/items', [
 
 // @desc    Update cart item quantity
 // @route   PUT /api/cart/items/:productId
-// @access  Private
+// @access  Public
 router.put('/items/:productId', [
-  protect,
+  cartSession,
   body('quantity')
     .isInt({ min: 0 })
     .withMessage('Quantity must be a non-negative integer'),
   validationErrorHandler
 ], asyncHandler(async (req, res) => {
   const { productId } = req.params;
-  const { quantity, variant } = req.body;
+  const { quantity } = req.body;
+  const variantSku = req.body.variantSku || req.body.variant?.sku || null;
 
-  let cart = await Cart.findOne({ user: req.user.id });
+  let cart = await Cart.findOne(req.cartOwner);
 
   if (!cart) {
     return res.status(404).json({
@@ -121,7 +159,21 @@ router.put('/items/:productId', [
     });
   }
 
-  await cart.updateQuantity(productId, quantity, variant);
+  if (quantity > 0) {
+    const product = await Product.findById(productId);
+    const stockCheck = product
+      ? product.checkStock(quantity, variantSku)
+      : { available: false, message: 'Product not found' };
+
+    if (!stockCheck.available) {
+      return res.status(400).json({
+        success: false,
+        message: stockCheck.message
+      });
+    }
+  }
+
+  await cart.updateQuantity(productId, quantity, variantSku);
 
   // Populate cart with product details
   cart = await Cart.findById(cart._id)
@@ -143,12 +195,12 @@ router.put('/items/:productId', [
 
 // @desc    Remove item from cart
 // @route   DELETE /api/cart/items/:productId
-// @access  Private
-router.delete('/items/:productId', protect, asyncHandler(async (req, res) => {
+// @access  Public
+router.delete('/items/:productId', cartSession, asyncHandler(async (req, res) => {
   const { productId } = req.params;
-  const { variant } = req.body;
+  const variantSku = req.body?.variantSku || req.body?.variant?.sku || req.query.variantSku || null;
 
-  let cart = await Cart.findOne({ user: req.user.id });
+  let cart = await Cart.findOne(req.cartOwner);
 
   if (!cart) {
     return res.status(404).json({
@@ -157,7 +209,7 @@ router.delete('/items/:productId', protect, asyncHandler(async (req, res) => {
     });
   }
 
-  await cart.removeItem(productId, variant);
+  await cart.removeItem(productId, variantSku);
 
   // Populate cart with product details
   cart = await Cart.findById(cart._id)
@@ -179,9 +231,9 @@ router.delete('/items/:productId', protect, asyncHandler(async (req, res) => {
 
 // @desc    Clear cart
 // @route   DELETE /api/cart
-// @access  Private
-router.delete('/', protect, asyncHandler(async (req, res) => {
-  let cart = await Cart.findOne({ user: req.user.id });
+// @access  Public
+router.delete('/', cartSession, asyncHandler(async (req, res) => {
+  let cart = await Cart.findOne(req.cartOwner);
 
   if (!cart) {
     return res.status(404).json({
@@ -201,24 +253,18 @@ router.delete('/', protect, asyncHandler(async (req, res) => {
 
 // @desc    Apply coupon
 // @route   POST /api/cart/coupon
-// @access  Private
+// @access  Public
 router.post('/coupon', [
-  protect,
+  cartSession,
   body('code')
     .trim()
     .notEmpty()
     .withMessage('Coupon code is required'),
-  body('discount')
-    .isFloat({ min: 0 })
-    .withMessage('Discount must be a positive number'),
-  body('type')
-    .isIn(['percentage', 'fixed'])
-    .withMessage('Coupon type must be percentage or fixed'),
   validationErrorHandler
 ], asyncHandler(async (req, res) => {
-  const { code, discount, type } = req.body;
+  const { code } = req.body;
 
-  let cart = await Cart.findOne({ user: req.user.id });
+  let cart = await Cart.findOne(req.cartOwner);
 
   if (!cart) {
     return res.status(404).json({
@@ -227,9 +273,49 @@ router.post('/coupon', [
     });
   }
 
-  // In a real application, you would validate the coupon code against a Coupon model
-  // For now, we'll just apply it directly
-  await cart.applyCoupon(code, discount, type);
+  const coupon = await Coupon.findByCode(code);
+
+  if (!coupon) {
+    return res.status(404).json({
+      success: false,
+      message: 'Invalid coupon code'
+    });
+  }
+
+  if (cart.hasCoupon(coupon.code)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Coupon is already applied'
+    });
+  }
+
+  await cart.populate({
+    path: 'items.product',
+    select: 'price category'
+  });
+
+  const validation = await coupon.validateFor({
+    user: req.user?.id,
+    items: cart.items,
+    subtotal: cart.subtotal
+  });
+
+  if (!validation.valid) {
+    return res.status(400).json({
+      success: false,
+      message: validation.message
+    });
+  }
+
+  const appliedCoupons = await Coupon.find({ code: { $in: cart.coupons.map(c => c.code) } });
+  if (!Coupon.canStack([...appliedCoupons, coupon])) {
+    return res.status(400).json({
+      success: false,
+      message: 'This coupon cannot be combined with the coupons already applied'
+    });
+  }
+
+  await cart.applyCoupon(coupon);
 
   // Populate cart with product details
   cart = await Cart.findById(cart._id)
@@ -249,11 +335,11 @@ router.post('/coupon', [
   });
 }));
 
-// @desc    Remove coupon
-// @route   DELETE /api/cart/coupon
-// @access  Private
-router.delete('/coupon', protect, asyncHandler(async (req, res) => {
-  let cart = await Cart.findOne({ user: req.user.id });
+// @desc    Remove coupon(s)
+// @route   DELETE /api/cart/coupon/:code?
+// @access  Public
+router.delete('/coupon/:code?', cartSession, asyncHandler(async (req, res) => {
+  let cart = await Cart.findOne(req.cartOwner);
 
   if (!cart) {
     return res.status(404).json({
@@ -262,7 +348,7 @@ router.delete('/coupon', protect, asyncHandler(async (req, res) => {
     });
   }
 
-  await cart.removeCoupon();
+  await cart.removeCoupon(req.params.code);
 
   // Populate cart with product details
   cart = await Cart.findById(cart._id)
@@ -282,19 +368,70 @@ router.delete('/coupon', protect, asyncHandler(async (req, res) => {
   });
 }));
 
+// @desc    Get shipping options for an address
+// @route   GET /api/cart/shipping-options
+// @access  Public
+router.get('/shipping-options', cartSession, asyncHandler(async (req, res) => {
+  const { country, state, zipCode, city } = req.query;
+
+  const cart = await Cart.findOne(req.cartOwner)
+    .populate({
+      path: 'items.product',
+      select: PRICING_FIELDS
+    });
+
+  if (!cart) {
+    return res.status(404).json({
+      success: false,
+      message: 'Cart not found'
+    });
+  }
+
+  // Quote for the given address, or the address saved on the cart
+  const address = country ? { country, state, zipCode, city } : cart.shippingAddress;
+
+  const pricing = await priceItems({
+    items: cart.items,
+    user: req.user?.id,
+    couponCodes: cart.coupons.map(c => c.code),
+    address,
+    shippingMethod: cart.shippingMethod
+  });
+
+  // Free-shipping coupons zero out every method, loyalty tiers some of them
+  const shippingOptions = pricing.shippingOptions.map(option => (
+    pricing.coupons.freeShipping || pricing.freeShippingMethods.includes(option.code)
+      ? { ...option, cost: 0, isFree: true }
+      : option
+  ));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      shippingOptions,
+      selected: cart.shippingMethod
+    }
+  });
+}));
+
 // @desc    Update shipping method
 // @route   PUT /api/cart/shipping
-// @access  Private
+// @access  Public
 router.put('/shipping', [
-  protect,
+  cartSession,
   body('method')
-    .isIn(['standard', 'express', 'overnight'])
-    .withMessage('Invalid shipping method'),
+    .trim()
+    .notEmpty()
+    .withMessage('Shipping method is required'),
   validationErrorHandler
 ], asyncHandler(async (req, res) => {
-  const { method } = req.body;
+  const method = req.body.method.toLowerCase();
 
-  let cart = await Cart.findOne({ user: req.user.id });
+  let cart = await Cart.findOne(req.cartOwner)
+    .populate({
+      path: 'items.product',
+      select: PRICING_FIELDS
+    });
 
   if (!cart) {
     return res.status(404).json({
@@ -303,6 +440,22 @@ router.put('/shipping', [
     });
   }
 
+  const pricing = await priceItems({
+    items: cart.items,
+    user: req.user?.id,
+    couponCodes: cart.coupons.map(c => c.code),
+    address: cart.shippingAddress,
+    shippingMethod: method
+  });
+
+  if (!pricing.shippingQuote) {
+    return res.status(400).json({
+      success: false,
+      message: 'Shipping method is not available for this address',
+      data: { shippingOptions: pricing.shippingOptions }
+    });
+  }
+
   cart.shippingMethod = method;
   await cart.save();
 
@@ -324,11 +477,63 @@ router.put('/shipping', [
   });
 }));
 
+// @desc    Update estimate destination
+// @route   PUT /api/cart/address
+// @access  Public
+router.put('/address', [
+  cartSession,
+  body('country')
+    .trim()
+    .notEmpty()
+    .withMessage('Country is required'),
+  body('state')
+    .optional()
+    .trim(),
+  body('zipCode')
+    .optional()
+    .trim(),
+  body('city')
+    .optional()
+    .trim(),
+  validationErrorHandler
+], asyncHandler(async (req, res) => {
+  const { country, state, zipCode, city } = req.body;
+
+  let cart = await Cart.findOne(req.cartOwner);
+
+  if (!cart) {
+    return res.status(404).json({
+      success: false,
+      message: 'Cart not found'
+    });
+  }
+
+  cart.shippingAddress = { country, state, zipCode, city };
+  await cart.save();
+
+  // Populate cart with product details
+  cart = await Cart.findById(cart._id)
+    .populate({
+      path: 'items.product',
+      select: 'name price images inventory.trackQuantity inventory.quantity inventory.allowBackorders',
+      populate: {
+        path: 'category',
+        select: 'name'
+      }
+    });
+
+  res.status(200).json({
+    success: true,
+    message: 'Cart address updated successfully',
+    data: { cart }
+  });
+}));
+
 // @desc    Validate cart stock
 // @route   GET /api/cart/validate
-// @access  Private
-router.get('/validate', protect, asyncHandler(async (req, res) => {
-  let cart = await Cart.findOne({ user: req.user.id });
+// @access  Public
+router.get('/validate', cartSession, asyncHandler(async (req, res) => {
+  let cart = await Cart.findOne(req.cartOwner);
 
   if (!cart) {
     return res.status(404).json({
@@ -345,37 +550,100 @@ router.get('/validate', protect, asyncHandler(async (req, res) => {
   });
 }));
 
+// @desc    Restore an abandoned cart from a recovery email link
+// @route   POST /api/cart/recover
+// @access  Public
+router.post('/recover', [
+  cartSession,
+  body('token')
+    .trim()
+    .notEmpty()
+    .withMessage('Recovery token is required'),
+  validationErrorHandler
+], asyncHandler(async (req, res) => {
+  let cart;
+  try {
+    cart = await restoreAbandonedCart(req.body.token, req.cartOwner);
+  } catch (error) {
+    if (!error.statusCode) throw error;
+
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  cart = await Cart.findById(cart._id)
+    .populate({
+      path: 'items.product',
+      select: 'name price images inventory.trackQuantity inventory.quantity inventory.allowBackorders',
+      populate: {
+        path: 'category',
+        select: 'name'
+      }
+    });
+
+  res.status(200).json({
+    success: true,
+    message: 'Cart restored successfully',
+    data: { cart }
+  });
+}));
+
 // @desc    Merge guest cart with user cart
 // @route   POST /api/cart/merge
 // @access  Private
 router.post('/merge', protect, asyncHandler(async (req, res) => {
   const { guestCart } = req.body;
 
-  if (!guestCart || !guestCart.items || guestCart.items.length === 0) {
+  // Guest carts kept on the server are merged by login and register already;
+  // this picks up any session cart left over, then client-held cart data
+  const guestSessionId = getGuestSessionId(req);
+  const mergedCart = guestSessionId ? await Cart.mergeGuestCart(guestSessionId, req.user.id) : null;
+  if (guestSessionId) clearGuestSession(res);
+
+  if (!mergedCart && (!guestCart || !guestCart.items || guestCart.items.length === 0)) {
     return res.status(400).json({
       success: false,
       message: 'Guest cart data is required'
     });
   }
 
-  let userCart = await Cart.findOne({ user: req.user.id });
+  let userCart = mergedCart || await Cart.findOne({ user: req.user.id });
 
   if (!userCart) {
     userCart = await Cart.create({ user: req.user.id });
   }
 
   // Merge items from guest cart
-  for (const guestItem of guestCart.items) {
-    await userCart.addItem(guestItem.product, guestItem.quantity, guestItem.variant);
+  for (const guestItem of guestCart?.items || []) {
+    const product = await Product.findById(guestItem.product);
+    if (!product || product.status !== 'active') continue;
+
+    // Guest lines only carry an option selector; resolve it like POST /items does
+    let variant = null;
+    if (product.hasVariantOptions()) {
+      variant = product.getVariantSnapshot(guestItem.variantSku || guestItem.variant);
+      if (!variant) continue;
+    }
+
+    await userCart.addItem(product._id, guestItem.quantity, variant);
   }
 
-  // Apply guest cart coupon if exists
-  if (guestCart.coupon) {
-    await userCart.applyCoupon(guestCart.coupon.code, guestCart.coupon.discount, guestCart.coupon.type);
+  // Carry over guest coupon codes; they are re-validated when totals are calculated
+  const guestCouponCodes = [
+    ...(guestCart?.coupons || []).map(c => c.code),
+    ...(guestCart?.coupon?.code ? [guestCart.coupon.code] : [])
+  ];
+  for (const code of guestCouponCodes) {
+    const coupon = await Coupon.findByCode(code);
+    if (coupon && !userCart.hasCoupon(coupon.code)) {
+      userCart.coupons.push({ code: coupon.code, type: coupon.type });
+    }
   }
 
   // Set shipping method from guest cart
-  if (guestCart.shippingMethod) {
+  if (guestCart?.shippingMethod) {
     userCart.shippingMethod = guestCart.shippingMethod;
   }
 
@@ -401,9 +669,9 @@ router.post('/merge', protect, asyncHandler(async (req, res) => {
 
 // @desc    Get cart item count
 // @route   GET /api/cart/count
-// @access  Private
-router.get('/count', protect, asyncHandler(async (req, res) => {
-  let cart = await Cart.findOne({ user: req.user.id });
+// @access  Public
+router.get('/count', cartSession, asyncHandler(async (req, res) => {
+  let cart = await Cart.findOne(req.cartOwner);
 
   if (!cart) {
     return res.status(200).json({
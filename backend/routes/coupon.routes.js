@@ -0,0 +1,182 @@
+import express from 'express';
+import { body } from 'express-validator';
+import Coupon from '../models/Coupon.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { asyncHandler, validationErrorHandler } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+// Apply admin authorization to all routes
+router.use(protect, authorize('admin'));
+
+const couponValidation = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('code')
+      .trim()
+      .isLength({ min: 3, max: 30 })
+      .withMessage('Coupon code must be between 3 and 30 characters'),
+    field('type')
+      .isIn(['percentage', 'fixed', 'free_shipping'])
+      .withMessage('Coupon type must be percentage, fixed or free_shipping'),
+    body('value')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Coupon value must be a positive number'),
+    body('value')
+      .if(body('type').equals('percentage'))
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Percentage coupons must be between 0 and 100'),
+    body('minSubtotal')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Minimum subtotal must be a positive number'),
+    body('usageLimit')
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage('Usage limit must be at least 1'),
+    body('usageLimitPerUser')
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage('Per-user usage limit must be at least 1'),
+    body('startsAt')
+      .optional()
+      .isISO8601()
+      .withMessage('Start date must be a valid date'),
+    body('expiresAt')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('Expiry date must be a valid date'),
+    body('applicableProducts.*')
+      .isMongoId()
+      .withMessage('Please provide valid product IDs'),
+    body('applicableCategories.*')
+      .isMongoId()
+      .withMessage('Please provide valid category IDs'),
+    validationErrorHandler
+  ];
+};
+
+// @desc    Get all coupons
+// @route   GET /api/coupons
+// @access  Private/Admin
+router.get('/', asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const search = req.query.search || '';
+
+  const query = {};
+  if (search) {
+    query.code = { $regex: search, $options: 'i' };
+  }
+  if (req.query.isActive !== undefined) {
+    query.isActive = req.query.isActive === 'true';
+  }
+
+  const coupons = await Coupon.find(query)
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await Coupon.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      coupons,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+}));
+
+// @desc    Get single coupon
+// @route   GET /api/coupons/:id
+// @access  Private/Admin
+router.get('/:id', asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id)
+    .populate('applicableProducts', 'name slug')
+    .populate('applicableCategories', 'name slug');
+
+  if (!coupon) {
+    return res.status(404).json({
+      success: false,
+      message: 'Coupon not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { coupon }
+  });
+}));
+
+// @desc    Create coupon
+// @route   POST /api/coupons
+// @access  Private/Admin
+router.post('/', couponValidation(), asyncHandler(async (req, res) => {
+  const { usedCount, ...couponData } = req.body;
+
+  const coupon = await Coupon.create({
+    ...couponData,
+    createdBy: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Coupon created successfully',
+    data: { coupon }
+  });
+}));
+
+// @desc    Update coupon
+// @route   PUT /api/coupons/:id
+// @access  Private/Admin
+router.put('/:id', couponValidation(true), asyncHandler(async (req, res) => {
+  const { usedCount, createdBy, ...updates } = req.body;
+
+  const coupon = await Coupon.findByIdAndUpdate(
+    req.params.id,
+    updates,
+    { new: true, runValidators: true }
+  );
+
+  if (!coupon) {
+    return res.status(404).json({
+      success: false,
+      message: 'Coupon not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Coupon updated successfully',
+    data: { coupon }
+  });
+}));
+
+// @desc    Delete coupon
+// @route   DELETE /api/coupons/:id
+// @access  Private/Admin
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findByIdAndDelete(req.params.id);
+
+  if (!coupon) {
+    return res.status(404).json({
+      success: false,
+      message: 'Coupon not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Coupon deleted successfully'
+  });
+}));
+
+export default router;
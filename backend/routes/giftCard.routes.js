@@ -0,0 +1,203 @@
+import express from 'express';
+import { body } from 'express-validator';
+import GiftCard from '../models/GiftCard.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { asyncHandler, validationErrorHandler } from '../middleware/errorHandler.js';
+import { config } from '../config/payments.js';
+
+const router = express.Router();
+
+// @desc    Check gift card balance
+// @route   POST /api/gift-cards/balance
+// @access  Private
+router.post('/balance', [
+  protect,
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Gift card code is required'),
+  validationErrorHandler
+], asyncHandler(async (req, res) => {
+  const giftCard = await GiftCard.findByCode(req.body.code);
+
+  if (!giftCard) {
+    return res.status(404).json({
+      success: false,
+      message: 'Gift card not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      giftCard: {
+        code: giftCard.maskedCode,
+        balance: giftCard.balance,
+        currency: giftCard.currency,
+        expiresAt: giftCard.expiresAt,
+        isUsable: giftCard.isUsable()
+      }
+    }
+  });
+}));
+
+// @desc    Get all gift cards (Admin only)
+// @route   GET /api/gift-cards
+// @access  Private/Admin
+router.get('/', protect, authorize('admin'), asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const search = req.query.search || '';
+
+  const query = {};
+  if (search) {
+    const pattern = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    query.$or = [
+      { code: { $regex: pattern, $options: 'i' } },
+      { 'recipient.email': { $regex: pattern, $options: 'i' } }
+    ];
+  }
+  if (req.query.isActive !== undefined) {
+    query.isActive = req.query.isActive === 'true';
+  }
+
+  const giftCards = await GiftCard.find(query)
+    .select('-activity')
+    .populate('issuer', 'firstName lastName')
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await GiftCard.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      giftCards,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+}));
+
+// @desc    Get single gift card with its activity (Admin only)
+// @route   GET /api/gift-cards/:id
+// @access  Private/Admin
+router.get('/:id', protect, authorize('admin'), asyncHandler(async (req, res) => {
+  const giftCard = await GiftCard.findById(req.params.id)
+    .populate('issuer', 'firstName lastName')
+    .populate('activity.order', 'orderNumber')
+    .populate('activity.user', 'firstName lastName email');
+
+  if (!giftCard) {
+    return res.status(404).json({
+      success: false,
+      message: 'Gift card not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { giftCard }
+  });
+}));
+
+// @desc    Issue gift card (Admin only)
+// @route   POST /api/gift-cards
+// @access  Private/Admin
+router.post('/', [
+  protect,
+  authorize('admin'),
+  body('amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Gift card amount must be greater than 0')
+    .toFloat(),
+  body('code')
+    .optional()
+    .trim()
+    .isLength({ min: 6, max: 30 })
+    .withMessage('Gift card code must be between 6 and 30 characters'),
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Expiry date must be a valid date'),
+  body('recipient.email')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid recipient email'),
+  validationErrorHandler
+], asyncHandler(async (req, res) => {
+  const { amount, code, expiresAt, recipient, message } = req.body;
+
+  if (code && await GiftCard.findByCode(code)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Gift card code already exists'
+    });
+  }
+
+  const giftCard = await GiftCard.create({
+    code,
+    initialBalance: amount,
+    currency: config.currency,
+    expiresAt,
+    issuer: req.user.id,
+    recipient,
+    message
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Gift card issued successfully',
+    data: { giftCard }
+  });
+}));
+
+// @desc    Update gift card (Admin only)
+// @route   PUT /api/gift-cards/:id
+// @access  Private/Admin
+router.put('/:id', [
+  protect,
+  authorize('admin'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false')
+    .toBoolean(),
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Expiry date must be a valid date'),
+  validationErrorHandler
+], asyncHandler(async (req, res) => {
+  // Balances only change through redemptions and restores
+  const update = {};
+  ['isActive', 'expiresAt', 'recipient', 'message'].forEach(field => {
+    if (req.body[field] !== undefined) update[field] = req.body[field];
+  });
+
+  const giftCard = await GiftCard.findByIdAndUpdate(req.params.id, update, {
+    new: true,
+    runValidators: true
+  });
+
+  if (!giftCard) {
+    return res.status(404).json({
+      success: false,
+      message: 'Gift card not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Gift card updated successfully',
+    data: { giftCard }
+  });
+}));
+
+export default router;
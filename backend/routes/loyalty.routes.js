@@ -0,0 +1,144 @@
+import express from 'express';
+import { body } from 'express-validator';
+import LoyaltyPoints from '../models/LoyaltyPoints.js';
+import User from '../models/User.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { asyncHandler, validationErrorHandler } from '../middleware/errorHandler.js';
+import { getTier, getNextTier, pointsToAmount } from '../utils/loyalty.js';
+import { config } from '../config/loyalty.js';
+
+const router = express.Router();
+
+// Balance, tier and progress for a user's loyalty account
+const getSummary = (user) => {
+  const { points = 0, lifetimePoints = 0 } = user.loyalty || {};
+  const nextTier = getNextTier(lifetimePoints);
+
+  return {
+    points,
+    value: pointsToAmount(Math.max(0, points)),
+    lifetimePoints,
+    tier: getTier(lifetimePoints),
+    nextTier: nextTier && {
+      ...nextTier,
+      pointsNeeded: nextTier.minPoints - lifetimePoints
+    }
+  };
+};
+
+// @desc    Get program rules and tiers
+// @route   GET /api/loyalty/program
+// @access  Public
+router.get('/program', (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      earnRate: config.earnRate,
+      pointValue: config.pointValue,
+      minRedeemPoints: config.minRedeemPoints,
+      maxRedeemRatio: config.maxRedeemRatio,
+      tiers: config.tiers
+    }
+  });
+});
+
+// @desc    Get loyalty balance and tier
+// @route   GET /api/loyalty
+// @access  Private
+router.get('/', protect, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id).select('loyalty');
+
+  res.status(200).json({
+    success: true,
+    data: getSummary(user)
+  });
+}));
+
+// @desc    Get loyalty points history
+// @route   GET /api/loyalty/history
+// @access  Private
+router.get('/history', protect, asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+
+  const query = { user: req.user.id };
+  if (req.query.type) {
+    query.type = req.query.type;
+  }
+
+  const entries = await LoyaltyPoints.find(query)
+    .populate('order', 'orderNumber')
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await LoyaltyPoints.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+}));
+
+// @desc    Add or remove points (Admin only)
+// @route   POST /api/loyalty/admin/adjust
+// @access  Private/Admin
+router.post('/admin/adjust', [
+  protect,
+  authorize('admin'),
+  body('userId')
+    .isMongoId()
+    .withMessage('Please provide a valid user ID'),
+  body('points')
+    .isInt()
+    .withMessage('Points must be a whole number')
+    .toInt(),
+  body('points')
+    .custom(value => value !== 0)
+    .withMessage('Points cannot be 0'),
+  body('note')
+    .trim()
+    .notEmpty()
+    .withMessage('Please provide a note for the adjustment'),
+  validationErrorHandler
+], asyncHandler(async (req, res) => {
+  const { userId, points, note } = req.body;
+
+  if (!await User.exists({ _id: userId })) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  try {
+    const entry = await LoyaltyPoints.adjust(userId, points, {
+      type: 'adjustment',
+      note,
+      createdBy: req.user.id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Loyalty points updated',
+      data: { entry, balance: entry.balanceAfter }
+    });
+  } catch (error) {
+    if (!error.statusCode) throw error;
+
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+}));
+
+export default router;
@@ -0,0 +1,191 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Notification from '../models/Notification.js';
+import ProductAlert from '../models/ProductAlert.js';
+import User from '../models/User.js';
+import { protect } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+// All notification routes are for the signed-in user's own notifications
+router.use(protect);
+
+// @desc    Get notifications (newest first; ?unread=true for unread only)
+// @route   GET /api/notifications
+// @access  Private
+router.get('/', asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+
+  const query = { user: req.user.id };
+  if (req.query.unread === 'true') {
+    query.readAt = null;
+  }
+  if (req.query.type) {
+    query.type = req.query.type;
+  }
+
+  const [notifications, total, unreadCount] = await Promise.all([
+    Notification.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit),
+    Notification.countDocuments(query),
+    Notification.countUnread(req.user.id)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      notifications,
+      unreadCount,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+}));
+
+// @desc    Get unread notification count
+// @route   GET /api/notifications/unread-count
+// @access  Private
+router.get('/unread-count', asyncHandler(async (req, res) => {
+  const count = await Notification.countUnread(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: { count }
+  });
+}));
+
+// @desc    Get product alert preferences
+// @route   GET /api/notifications/preferences
+// @access  Private
+router.get('/preferences', asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id).select('preferences.productAlerts');
+
+  res.status(200).json({
+    success: true,
+    data: { productAlerts: user.preferences.productAlerts }
+  });
+}));
+
+// @desc    Opt in or out of product alerts (backInStock, priceDrop, email)
+// @route   PUT /api/notifications/preferences
+// @access  Private
+router.put('/preferences', asyncHandler(async (req, res) => {
+  const settings = ['backInStock', 'priceDrop', 'email'];
+  const updates = Object.entries(req.body).filter(([key]) => settings.includes(key));
+
+  if (updates.length === 0 || updates.some(([, value]) => typeof value !== 'boolean')) {
+    return res.status(400).json({
+      success: false,
+      message: `Provide true or false for any of: ${settings.join(', ')}`
+    });
+  }
+
+  const user = await User.findByIdAndUpdate(
+    req.user.id,
+    { $set: Object.fromEntries(updates.map(([key, value]) => [`preferences.productAlerts.${key}`, value])) },
+    { new: true }
+  ).select('preferences.productAlerts');
+
+  res.status(200).json({
+    success: true,
+    message: 'Alert preferences updated',
+    data: { productAlerts: user.preferences.productAlerts }
+  });
+}));
+
+// @desc    Get active "notify me" product alerts
+// @route   GET /api/notifications/alerts
+// @access  Private
+router.get('/alerts', asyncHandler(async (req, res) => {
+  const alerts = await ProductAlert.find({ user: req.user.id, active: true })
+    .populate('product', 'name slug price images')
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    data: { alerts }
+  });
+}));
+
+// @desc    Stop a "notify me" product alert
+// @route   DELETE /api/notifications/alerts/:id
+// @access  Private
+router.delete('/alerts/:id', asyncHandler(async (req, res) => {
+  const alert = await ProductAlert.findOneAndUpdate(
+    { _id: req.params.id, user: req.user.id },
+    { $set: { active: false } },
+    { new: true }
+  );
+
+  if (!alert) {
+    return res.status(404).json({
+      success: false,
+      message: 'Alert not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Alert stopped',
+    data: { alert }
+  });
+}));
+
+// @desc    Mark notifications as read (the given IDs, or all of them)
+// @route   PUT /api/notifications/read
+// @access  Private
+router.put('/read', asyncHandler(async (req, res) => {
+  const { ids } = req.body;
+
+  if (ids !== undefined && (!Array.isArray(ids) || !ids.every(id => mongoose.isValidObjectId(id)))) {
+    return res.status(400).json({
+      success: false,
+      message: 'ids must be a list of notification IDs'
+    });
+  }
+
+  const updated = await Notification.markRead(req.user.id, ids);
+
+  res.status(200).json({
+    success: true,
+    message: 'Notifications marked as read',
+    data: {
+      updated,
+      unreadCount: await Notification.countUnread(req.user.id)
+    }
+  });
+}));
+
+// @desc    Mark a notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+router.put('/:id/read', asyncHandler(async (req, res) => {
+  const notification = await Notification.findOne({ _id: req.params.id, user: req.user.id });
+
+  if (!notification) {
+    return res.status(404).json({
+      success: false,
+      message: 'Notification not found'
+    });
+  }
+
+  if (!notification.readAt) {
+    notification.readAt = new Date();
+    await notification.save();
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { notification }
+  });
+}));
+
+export default router;
@@ -1,19 +1,58 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import { body } from 'express-validator';
-import Order from '../models/Order.js';
-import Product from '../models/Product.js';
+import Order, { ORDER_STATUS_TRANSITIONS } from '../models/Order.js';
 import Cart from '../models/Cart.js';
+import CartRecovery from '../models/CartRecovery.js';
+import Coupon from '../models/Coupon.js';
+import StockReservation from '../models/StockReservation.js';
+import Wishlist from '../models/Wishlist.js';
 import { protect, authorize } from '../middleware/auth.js';
+import { cartSession } from '../middleware/cartSession.js';
+import idempotency from '../middleware/idempotency.js';
 import { asyncHandler, validationErrorHandler } from '../middleware/errorHandler.js';
 import { sendEmail } from '../utils/email.js';
+import { changeOrderStatus } from '../utils/orderStatus.js';
+import { publishStockChanges } from '../utils/stockEvents.js';
+import { priceItems, PRICING_FIELDS } from '../utils/pricing.js';
+import { planTenders, toOrderTenders, redeemTenders, recordTenderTransactions } from '../utils/payments/tenders.js';
 
 const router = express.Router();
 
-// @desc    Create order
+// Gifts bought from a registry ship to the address its owner set: the buyer
+// passes the token of a 'purchase' share link (giftRegistry) instead of an address
+const useRegistryAddress = asyncHandler(async (req, res, next) => {
+  if (!req.body.giftRegistry) return next();
+
+  const token = String(req.body.giftRegistry);
+  const registry = await Wishlist.findByShareToken(token);
+
+  if (!registry || registry.type !== 'registry' || !registry.shippingAddress ||
+      registry.getShareLink(token)?.scope !== 'purchase') {
+    return res.status(400).json({
+      success: false,
+      message: 'This registry does not accept gift shipping'
+    });
+  }
+
+  req.body.shippingAddress = registry.shippingAddress.toObject();
+  req.body.isGift = true;
+  req.giftRegistry = registry;
+  next();
+});
+
+// @desc    Create order (guests check out with an email address)
 // @route   POST /api/orders
-// @access  Private
+// @access  Public
 router.post('/', [
-  protect,
+  cartSession,
+  idempotency,
+  useRegistryAddress,
+  body('email')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
   body('shippingAddress')
     .isObject()
     .withMessage('Shipping address is required'),
@@ -46,17 +85,50 @@ router.post('/', [
     .notEmpty()
     .withMessage('Country is required'),
   body('paymentInfo.method')
-    .isIn(['card', 'paypal', 'apple_pay', 'google_pay', 'bank_transfer'])
+    .isIn(['card', 'paypal', 'apple_pay', 'google_pay', 'bank_transfer', 'gift_card', 'store_credit', 'loyalty_points'])
     .withMessage('Invalid payment method'),
+  body('giftCards')
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage('Up to 5 gift cards can be used on an order'),
+  body('giftCards.*')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Please provide valid gift card codes'),
+  body('loyaltyPoints')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Loyalty points must be a whole number')
+    .toInt(),
+  body('storeCredit')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Store credit must be a positive amount')
+    .toFloat(),
+  body('reservationId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid checkout reservation'),
   validationErrorHandler
 ], asyncHandler(async (req, res) => {
-  const { shippingAddress, billingAddress, paymentInfo, shippingMethod, notes, isGift, giftMessage, giftWrap } = req.body;
+  const { shippingAddress, billingAddress, paymentInfo, shippingMethod, notes, isGift, giftMessage, giftWrap, reservationId } = req.body;
+  const { loyaltyPoints = 0, giftCards = [], storeCredit = 0 } = req.body;
+  const userId = req.user?.id;
+  const guestEmail = req.user ? undefined : req.body.email;
+
+  if (!req.user && !guestEmail) {
+    return res.status(400).json({
+      success: false,
+      message: 'Email is required to check out as a guest'
+    });
+  }
 
   // Get user's cart
-  const cart = await Cart.findOne({ user: req.user.id })
+  const cart = await Cart.findOne(req.cartOwner)
     .populate({
       path: 'items.product',
-      select: 'name price images inventory.trackQuantity inventory.quantity inventory.allowBackorders'
+      select: `name images ${PRICING_FIELDS} inventory.trackQuantity inventory.quantity inventory.allowBackorders`
     });
 
   if (!cart || cart.items.length === 0) {
@@ -66,16 +138,6 @@ router.post('/', [
     });
   }
 
-  // Validate stock for all items
-  const stockValidation = await cart.validateStock();
-  if (!stockValidation.isValid) {
-    return res.status(400).json({
-      success: false,
-      message: 'Some items are out of stock',
-      data: { issues: stockValidation.issues }
-    });
-  }
-
   // Create order items
   const orderItems = cart.items.map(item => ({
     product: item.product._id,
@@ -83,84 +145,227 @@ router.post('/', [
     image: item.product.images[0]?.url || '',
     price: item.product.price,
     quantity: item.quantity,
-    variant: item.variant || null,
-    totalPrice: (item.product.price + (item.variant?.priceAdjustment || 0)) * item.quantity
+    // Re-read the option from the product so the snapshot matches what is charged
+    variant: item.variant?.sku ? item.product.getVariantSnapshot(item.variant.sku) : null,
+    totalPrice: item.product.getUnitPrice(item.variant?.sku) * item.quantity
   }));
 
-  // Calculate totals
-  const subtotal = orderItems.reduce((total, item) => total + item.totalPrice, 0);
-  
-  // Calculate tax (simplified - 8% in this example)
-  const tax = subtotal * 0.08;
-  
-  // Calculate shipping cost
-  const shippingRates = {
-    standard: 5.99,
-    express: 12.99,
-    overnight: 24.99
-  };
-  const shippingCost = shippingRates[shippingMethod || cart.shippingMethod] || 5.99;
-
-  // Apply coupon discount if exists
-  let discount = 0;
-  if (cart.coupon) {
-    if (cart.coupon.type === 'percentage') {
-      discount = (subtotal * cart.coupon.discount) / 100;
-    } else {
-      discount = cart.coupon.discount;
-    }
+  // Price the order server-side; never trust the amounts stored on the cart
+  const selectedMethod = shippingMethod || cart.shippingMethod;
+  const pricing = await priceItems({
+    items: cart.items,
+    user: userId,
+    email: guestEmail,
+    couponCodes: cart.coupons.map(c => c.code),
+    address: shippingAddress,
+    shippingMethod: selectedMethod
+  });
+
+  if (pricing.coupons.rejected.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Some coupons are no longer valid',
+      data: { issues: pricing.coupons.rejected }
+    });
   }
 
-  const total = subtotal + tax + shippingCost - discount;
-
-  // Create order
-  const order = await Order.create({
-    user: req.user.id,
-    items: orderItems,
-    shippingAddress,
-    billingAddress: billingAddress || shippingAddress,
-    paymentInfo: {
-      method: paymentInfo.method,
-      transactionId: paymentInfo.transactionId || null,
-      lastFour: paymentInfo.lastFour || null,
-      brand: paymentInfo.brand || null
-    },
-    shippingMethod: shippingMethod || cart.shippingMethod,
-    subtotal,
-    tax,
-    shippingCost,
-    discount,
-    total,
-    notes,
-    isGift: isGift || false,
-    giftMessage: giftMessage || null,
-    giftWrap: giftWrap || false
+  if (!pricing.shippingQuote) {
+    return res.status(400).json({
+      success: false,
+      message: 'Selected shipping method is not available for this address',
+      data: { shippingOptions: pricing.shippingOptions }
+    });
+  }
+
+  const { subtotal, discount, tax, total } = pricing;
+  const shippingCost = pricing.shipping;
+  const orderCoupons = pricing.coupons.applied.map(({ coupon, amount }) => ({
+    coupon: coupon._id,
+    code: coupon.code,
+    type: coupon.type,
+    amount
+  }));
+
+  // Record the per-line tax breakdown
+  orderItems.forEach((item, index) => {
+    item.tax = pricing.taxes.lines[index];
   });
 
-  // Update product inventory
-  for (const item of cart.items) {
-    const product = await Product.findById(item.product._id);
-    if (product && product.inventory.trackQuantity) {
-      product.updateStock(item.quantity, 'decrease');
-      await product.save();
-    }
+  // Split tender: points, gift cards and store credit first, the payment method pays the rest
+  let tenderPlan;
+  try {
+    tenderPlan = await planTenders({ total, user: userId, loyaltyPoints, giftCardCodes: giftCards, storeCredit });
+  } catch (error) {
+    if (!error.statusCode) throw error;
+
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  const paidByTenders = tenderPlan.amountDue === 0 &&
+    (tenderPlan.loyaltyPoints.points > 0 || tenderPlan.giftCards.length > 0 || tenderPlan.storeCredit > 0);
+  if (!paidByTenders && ['gift_card', 'store_credit', 'loyalty_points'].includes(paymentInfo.method)) {
+    return res.status(400).json({
+      success: false,
+      message: `Please choose a payment method for the remaining ${tenderPlan.amountDue.toFixed(2)}`
+    });
+  }
+
+  // Estimate delivery from the quoted transit time
+  const transitDays = pricing.shippingQuote.estimatedDays?.max;
+  const estimatedDelivery = transitDays
+    ? new Date(Date.now() + transitDays * 24 * 60 * 60 * 1000)
+    : undefined;
+
+  // Without a reservation ID any stale hold from an earlier checkout is dropped
+  // so the order below doesn't reserve the same stock twice
+  if (!reservationId) {
+    await StockReservation.release(req.cartOwner);
+  }
+
+  // Write the order in a transaction: stock, coupon usage, the order and the
+  // cleared cart either all change together or not at all
+  const session = await mongoose.startSession();
+  let order;
+
+  try {
+    await session.withTransaction(async () => {
+      // Use the reservation made when checkout started, or reserve now
+      let reservation = reservationId
+        ? await StockReservation.claim(reservationId, req.cartOwner, { session })
+        : null;
+
+      if (reservationId && !reservation) {
+        const error = new Error('Checkout session has expired, please review your cart and try again');
+        error.statusCode = 409;
+        throw error;
+      }
+
+      if (reservation && !reservation.matchesItems(cart.items)) {
+        const error = new Error('Your cart changed after checkout started, please review it and try again');
+        error.statusCode = 409;
+        throw error;
+      }
+
+      if (!reservation) {
+        const created = await StockReservation.reserve({ owner: req.cartOwner, items: cart.items, session });
+        reservation = await StockReservation.claim(created._id, req.cartOwner, { session });
+      }
+
+      // Consume coupon usage atomically so limits hold under concurrent checkouts
+      const couponsRedeemed = await Coupon.redeem(orderCoupons.map(c => c.code), { session });
+      if (!couponsRedeemed) {
+        const error = new Error('Coupon usage limit has been reached');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const orderId = new mongoose.Types.ObjectId();
+
+      // Take gift card and store credit balances in the same transaction
+      await redeemTenders(tenderPlan, { order: orderId, user: userId, session });
+
+      [order] = await Order.create([{
+        _id: orderId,
+        user: userId,
+        guestEmail,
+        sessionId: req.guestSessionId,
+        items: orderItems,
+        shippingAddress,
+        // Never bill to a registry owner's address
+        billingAddress: billingAddress || (req.giftRegistry ? undefined : shippingAddress),
+        paymentInfo: paidByTenders
+          ? {
+            method: tenderPlan.giftCards.length > 0 ? 'gift_card'
+              : tenderPlan.storeCredit > 0 ? 'store_credit' : 'loyalty_points',
+            status: 'completed',
+            paidAt: new Date()
+          }
+          : {
+            method: paymentInfo.method,
+            transactionId: paymentInfo.transactionId || null,
+            lastFour: paymentInfo.lastFour || null,
+            brand: paymentInfo.brand || null
+          },
+        tenders: toOrderTenders(tenderPlan),
+        shippingMethod: selectedMethod,
+        estimatedDelivery,
+        subtotal,
+        tax,
+        taxBreakdown: pricing.taxes.breakdown,
+        pricesIncludeTax: pricing.taxes.pricesIncludeTax,
+        shippingCost,
+        discount,
+        coupons: orderCoupons,
+        total,
+        notes,
+        isGift: isGift || false,
+        giftMessage: giftMessage || null,
+        giftWrap: giftWrap || false,
+        giftRegistry: req.giftRegistry?._id
+      }], { session });
+
+      // Turn reserved stock into sold stock
+      await reservation.commit(order._id, { session });
+
+      // Credit the recovery email the customer came back through, if any
+      if (cart.recovery) {
+        await CartRecovery.recordConversion(cart.recovery, order, { session });
+      }
+
+      // Clear cart
+      await cart.clear({ session });
+    });
+  } catch (error) {
+    if (!error.statusCode) throw error;
+
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      ...(error.issues && { data: { issues: error.issues } })
+    });
+  } finally {
+    await session.endSession();
   }
 
-  // Clear cart
-  await cart.clear();
+  await recordTenderTransactions(order);
+  await publishStockChanges(order.items, { change: 'decrease' });
+
+  // Nothing left to pay, so the order doesn't wait for a payment confirmation
+  if (paidByTenders) {
+    await changeOrderStatus(order, 'confirmed', {
+      note: 'Paid with points, gift card or store credit',
+      io: req.app.get('io')
+    });
+  }
 
   // Send order confirmation email
   try {
-    const user = req.user;
     await sendEmail({
-      to: user.email,
-      subject: `Order Confirmation - ${order.orderNumber}`,
+      to: req.user?.email || guestEmail,
       template: 'order-confirmation',
+      language: req.user?.preferences?.language,
       data: {
-        firstName: user.firstName,
+        // Registry gifts ship to someone else; greet the buyer, not the recipient
+        firstName: req.user?.firstName || (req.giftRegistry ? billingAddress?.firstName : shippingAddress.firstName),
         orderNumber: order.orderNumber,
-        total: order.total.toFixed(2),
-        estimatedDelivery: order.estimatedDelivery.toDateString()
+        orderUrl: req.user ? `${process.env.FRONTEND_URL}/orders/${order._id}` : null,
+        items: order.items.map(item => ({
+          name: item.name,
+          variant: item.variant?.value || null,
+          quantity: item.quantity,
+          price: item.totalPrice / item.quantity
+        })),
+        subtotal: order.subtotal,
+        discount: order.discount,
+        shipping: order.shippingCost,
+        tax: order.tax,
+        pricesIncludeTax: order.pricesIncludeTax,
+        total: order.total,
+        // Falls back to the shipping method's usual transit time
+        estimatedDelivery: order.deliveryEstimate
       }
     });
   } catch (emailError) {
@@ -178,7 +383,115 @@ router.post('/', [
   res.status(201).json({
     success: true,
     message: 'Order created successfully',
-    data: { order: populatedOrder }
+    data: { order: populatedOrder.toViewerJSON(req.user) }
+  });
+}));
+
+// @desc    Start checkout by reserving stock for the cart
+// @route   POST /api/orders/checkout
+// @access  Public
+router.post('/checkout', cartSession, idempotency, asyncHandler(async (req, res) => {
+  const cart = await Cart.findOne(req.cartOwner);
+
+  if (!cart || cart.items.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Cart is empty'
+    });
+  }
+
+  // Only one checkout per user (or guest session) holds stock at a time
+  await StockReservation.release(req.cartOwner);
+
+  const session = await mongoose.startSession();
+  let reservation;
+
+  try {
+    await session.withTransaction(async () => {
+      reservation = await StockReservation.reserve({ owner: req.cartOwner, items: cart.items, session });
+    });
+  } catch (error) {
+    if (!error.issues) throw error;
+
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      data: { issues: error.issues }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Stock reserved for checkout',
+    data: {
+      reservation: {
+        id: reservation._id,
+        items: reservation.items,
+        expiresAt: reservation.expiresAt
+      }
+    }
+  });
+}));
+
+// @desc    Abandon checkout and release reserved stock
+// @route   DELETE /api/orders/checkout/:reservationId
+// @access  Public
+router.delete('/checkout/:reservationId', cartSession, asyncHandler(async (req, res) => {
+  const reservation = await StockReservation.release({
+    _id: req.params.reservationId,
+    ...req.cartOwner
+  });
+
+  if (!reservation) {
+    return res.status(404).json({
+      success: false,
+      message: 'Active checkout reservation not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Reserved stock released'
+  });
+}));
+
+// @desc    Look up a guest order by order number and email
+// @route   POST /api/orders/guest/lookup
+// @access  Public
+router.post('/guest/lookup', [
+  body('orderNumber')
+    .trim()
+    .notEmpty()
+    .withMessage('Order number is required'),
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  validationErrorHandler
+], asyncHandler(async (req, res) => {
+  const order = await Order.findOne({
+    orderNumber: req.body.orderNumber,
+    guestEmail: req.body.email
+  })
+    .select('-ipAddress -userAgent')
+    .populate({
+      path: 'items.product',
+      select: 'name images'
+    });
+
+  // Same answer for a wrong number and a wrong email
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { order: order.toViewerJSON() }
   });
 }));
 
@@ -209,7 +522,7 @@ router.get('/', protect, asyncHandler(async (req, res) => {
   res.status(200).json({
     success: true,
     data: {
-      orders,
+      orders: orders.map(order => order.toViewerJSON(req.user)),
       pagination: {
         page,
         limit,
@@ -239,7 +552,7 @@ router.get('/:id', protect, asyncHandler(async (req, res) => {
   }
 
   // Check if user owns this order or is admin
-  if (order.user._id.toString() !== req.user.id.toString() && req.user.role !== 'admin') {
+  if (!order.isOwnedBy({ user: req.user.id }) && req.user.role !== 'admin') {
     return res.status(403).json({
       success: false,
       message: 'Not authorized to view this order'
@@ -248,7 +561,7 @@ router.get('/:id', protect, asyncHandler(async (req, res) => {
 
   res.status(200).json({
     success: true,
-    data: { order }
+    data: { order: order.toViewerJSON(req.user) }
   });
 }));
 
@@ -259,7 +572,7 @@ router.put('/:id/status', [
   protect,
   authorize('admin'),
   body('status')
-    .isIn(['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'returned'])
+    .isIn(Object.keys(ORDER_STATUS_TRANSITIONS))
     .withMessage('Invalid order status'),
   body('trackingNumber')
     .optional()
@@ -270,7 +583,8 @@ router.put('/:id/status', [
 ], asyncHandler(async (req, res) => {
   const { status, trackingNumber, notes } = req.body;
 
-  const order = await Order.findById(req.params.id);
+  const order = await Order.findById(req.params.id)
+    .populate('user', 'firstName lastName email');
 
   if (!order) {
     return res.status(404).json({
@@ -279,8 +593,13 @@ router.put('/:id/status', [
     });
   }
 
-  // Update status
-  await order.updateStatus(status);
+  // Same status is allowed so tracking details and notes can be edited
+  if (status !== order.status && !order.canTransitionTo(status)) {
+    return res.status(400).json({
+      success: false,
+      message: `Order cannot move from ${order.status} to ${status}`
+    });
+  }
 
   // Add tracking number if provided
   if (trackingNumber) {
@@ -294,22 +613,21 @@ router.put('/:id/status', [
 
   await order.save();
 
-  // Send shipping notification
-  if (status === 'shipped' && trackingNumber) {
+  if (status !== order.status) {
     try {
-      await sendEmail({
-        to: order.user.email,
-        subject: `Your Order Has Shipped - ${order.orderNumber}`,
-        template: 'shipping-notification',
-        data: {
-          firstName: order.user.firstName,
-          orderNumber: order.orderNumber,
-          trackingNumber: trackingNumber,
-          carrier: 'FedEx' // Default carrier
-        }
+      await changeOrderStatus(order, status, {
+        actor: req.user,
+        actorRole: 'admin',
+        note: notes,
+        io: req.app.get('io')
+      });
+    } catch (error) {
+      if (!error.statusCode) throw error;
+
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
       });
-    } catch (emailError) {
-      console.error('Failed to send shipping notification:', emailError);
     }
   }
 
@@ -323,7 +641,7 @@ router.put('/:id/status', [
 // @desc    Cancel order
 // @route   PUT /api/orders/:id/cancel
 // @access  Private
-router.put('/:id/cancel', protect, asyncHandler(async (req, res) => {
+router.put('/:id/cancel', protect, idempotency, asyncHandler(async (req, res) => {
   const order = await Order.findById(req.params.id);
 
   if (!order) {
@@ -334,7 +652,8 @@ router.put('/:id/cancel', protect, asyncHandler(async (req, res) => {
   }
 
   // Check if user owns this order
-  if (order.user.toString() !== req.user.id.toString() && req.user.role !== 'admin') {
+  const isOwner = order.isOwnedBy({ user: req.user.id });
+  if (!isOwner && req.user.role !== 'admin') {
     return res.status(403).json({
       success: false,
       message: 'Not authorized to cancel this order'
@@ -349,22 +668,27 @@ router.put('/:id/cancel', protect, asyncHandler(async (req, res) => {
     });
   }
 
-  // Update status
-  await order.updateStatus('cancelled');
+  // Cancelling restores stock and coupon usage (see utils/orderStatus.js)
+  try {
+    await changeOrderStatus(order, 'cancelled', {
+      actor: req.user,
+      actorRole: isOwner ? 'customer' : 'admin',
+      note: req.body?.reason,
+      io: req.app.get('io')
+    });
+  } catch (error) {
+    if (!error.statusCode) throw error;
 
-  // Restore inventory
-  for (const item of order.items) {
-    const product = await Product.findById(item.product);
-    if (product && product.inventory.trackQuantity) {
-      product.updateStock(item.quantity, 'increase');
-      await product.save();
-    }
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
   }
 
   res.status(200).json({
     success: true,
     message: 'Order cancelled successfully',
-    data: { order }
+    data: { order: order.toViewerJSON(req.user) }
   });
 }));
 
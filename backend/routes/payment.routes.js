@@ -1,188 +1,287 @@
 import express from 'express';
-import { protect } from '../middleware/auth.js';
-import { asyncHandler } from '../middleware/errorHandler.js';
+import mongoose from 'mongoose';
+import { body } from 'express-validator';
+import Order from '../models/Order.js';
+import WebhookEvent from '../models/WebhookEvent.js';
+import PaymentMethod from '../models/PaymentMethod.js';
+import Transaction from '../models/Transaction.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { cartSession } from '../middleware/cartSession.js';
+import idempotency from '../middleware/idempotency.js';
+import { asyncHandler, validationErrorHandler, logger } from '../middleware/errorHandler.js';
+import { getPaymentProvider, createOrderIntent, confirmOrderPayment, refundOrder } from '../utils/payments/index.js';
+import { verifySignature, handleWebhookEvent } from '../utils/payments/webhooks.js';
 
 const router = express.Router();
 
-// @desc    Process payment
-// @route   POST /api/payments/process
-// @access  Private
-router.post('/process', protect, asyncHandler(async (req, res) => {
-  const { amount, currency, paymentMethod, paymentDetails } = req.body;
+// Load an order the current user (or guest session) may pay for
+const findPayableOrder = async (req, res, orderId) => {
+  const order = await Order.findById(orderId).select('+sessionId');
 
-  // In a real application, you would integrate with a payment processor like Stripe
-  // For this example, we'll simulate a successful payment
+  if (!order) {
+    res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+    return null;
+  }
 
-  try {
-    // Simulate payment processing
-    const paymentResult = {
-      success: true,
-      transactionId: 'txn_' + Math.random().toString(36).substr(2, 9),
-      amount: amount,
-      currency: currency || 'usd',
-      status: 'completed',
-      paymentMethod: paymentMethod,
-      timestamp: new Date().toISOString()
-    };
-
-    // Simulate different outcomes based on amount (for testing)
-    if (amount > 1000) {
-      // Simulate payment failure for amounts over $1000
-      return res.status(400).json({
-        success: false,
-        message: 'Payment declined - amount too high',
-        data: {
-          error: 'amount_limit_exceeded',
-          maxAmount: 1000
-        }
-      });
-    }
+  if (!order.isOwnedBy({ user: req.user?.id, sessionId: req.guestSessionId })) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to pay for this order'
+    });
+    return null;
+  }
 
-    if (amount < 1) {
-      // Simulate payment failure for amounts under $1
-      return res.status(400).json({
-        success: false,
-        message: 'Payment declined - amount too low',
-        data: {
-          error: 'amount_too_low',
-          minAmount: 1
-        }
-      });
-    }
+  if (order.status === 'cancelled') {
+    res.status(400).json({
+      success: false,
+      message: 'Cancelled orders cannot be paid'
+    });
+    return null;
+  }
 
-    res.status(200).json({
-      success: true,
-      message: 'Payment processed successfully',
-      data: { payment: paymentResult }
+  return order;
+};
+
+// Respond with provider/state errors that carry a status code
+const handlePaymentError = (res, error) => {
+  if (!error.statusCode) throw error;
+
+  return res.status(error.statusCode).json({
+    success: false,
+    message: error.message
+  });
+};
+
+// Resolve what to charge: a saved method (by ID) or a one-off provider token.
+// Responds and returns null if a saved method can't be used.
+const resolvePaymentMethod = async (req, res) => {
+  const { paymentMethodId, savedPaymentMethodId } = req.body;
+
+  if (!savedPaymentMethodId && !paymentMethodId) {
+    res.status(400).json({
+      success: false,
+      message: 'Payment method is required'
     });
-  } catch (error) {
-    res.status(500).json({
+    return null;
+  }
+
+  if (!savedPaymentMethodId) return paymentMethodId;
+
+  if (!req.user) {
+    res.status(401).json({
+      success: false,
+      message: 'Please sign in to use a saved payment method'
+    });
+    return null;
+  }
+
+  const saved = await PaymentMethod.findOne({ _id: savedPaymentMethodId, user: req.user.id });
+
+  if (!saved) {
+    res.status(404).json({
+      success: false,
+      message: 'Payment method not found'
+    });
+    return null;
+  }
+
+  if (saved.isExpired) {
+    res.status(400).json({
       success: false,
-      message: 'Payment processing failed',
-      data: { error: error.message }
+      message: 'This payment method has expired'
     });
+    return null;
+  }
+
+  return saved;
+};
+
+// Respond with the outcome of a confirmation attempt
+const sendPaymentResult = (res, intent, order) => {
+  if (intent.status === 'succeeded' || intent.status === 'processing') {
+    return res.status(200).json({
+      success: true,
+      message: intent.status === 'succeeded' ? 'Payment processed successfully' : 'Payment is processing',
+      data: { paymentIntent: intent, order: order.toViewerJSON() }
+    });
+  }
+
+  res.status(402).json({
+    success: false,
+    message: intent.lastError?.message || 'Payment was not completed',
+    data: { paymentIntent: intent, error: intent.lastError?.code || intent.status }
+  });
+};
+
+// @desc    Pay for an order in one step (create or reuse intent, then confirm)
+// @route   POST /api/payments/process
+// @access  Public
+router.post('/process', [
+  cartSession,
+  idempotency,
+  body('orderId')
+    .isMongoId()
+    .withMessage('Please provide a valid order ID'),
+  body('paymentMethodId')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Payment method is required'),
+  body('savedPaymentMethodId')
+    .optional()
+    .isMongoId()
+    .withMessage('Please provide a valid saved payment method ID'),
+  validationErrorHandler
+], asyncHandler(async (req, res) => {
+  const paymentMethod = await resolvePaymentMethod(req, res);
+  if (!paymentMethod) return;
+
+  const order = await findPayableOrder(req, res, req.body.orderId);
+  if (!order) return;
+
+  try {
+    await createOrderIntent(order);
+    const intent = await confirmOrderPayment(order, paymentMethod, { io: req.app.get('io') });
+    sendPaymentResult(res, intent, order);
+  } catch (error) {
+    handlePaymentError(res, error);
   }
 }));
 
-// @desc    Create payment intent (for Stripe integration)
+// @desc    Create payment intent for an order
 // @route   POST /api/payments/create-intent
-// @access  Private
-router.post('/create-intent', protect, asyncHandler(async (req, res) => {
-  const { amount, currency, metadata } = req.body;
-
-  // In a real application with Stripe:
-  // const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-  // const paymentIntent = await stripe.paymentIntents.create({
-  //   amount: amount * 100, // Convert to cents
-  //   currency: currency || 'usd',
-  //   metadata: metadata || {},
-  //   automatic_payment_methods: {
-  //     enabled: true,
-  //   },
-  // });
-
-  // For this example, we'll simulate a payment intent
-  const paymentIntent = {
-    id: 'pi_' + Math.random().toString(36).substr(2, 9),
-    clientSecret: 'pi_' + Math.random().toString(36).substr(2, 9) + '_secret_' + Math.random().toString(36).substr(2, 9),
-    amount: amount,
-    currency: currency || 'usd',
-    status: 'requires_payment_method',
-    metadata: metadata || {},
-    created: Date.now()
-  };
+// @access  Public
+router.post('/create-intent', [
+  cartSession,
+  idempotency,
+  body('orderId')
+    .isMongoId()
+    .withMessage('Please provide a valid order ID'),
+  validationErrorHandler
+], asyncHandler(async (req, res) => {
+  const order = await findPayableOrder(req, res, req.body.orderId);
+  if (!order) return;
 
-  res.status(200).json({
-    success: true,
-    data: { paymentIntent }
-  });
+  try {
+    const paymentIntent = await createOrderIntent(order);
+
+    res.status(200).json({
+      success: true,
+      data: { paymentIntent }
+    });
+  } catch (error) {
+    handlePaymentError(res, error);
+  }
 }));
 
 // @desc    Confirm payment
 // @route   POST /api/payments/confirm
-// @access  Private
-router.post('/confirm', protect, asyncHandler(async (req, res) => {
-  const { paymentIntentId, paymentMethodId } = req.body;
-
-  // In a real application with Stripe:
-  // const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-  // const paymentIntent = await stripe.paymentIntents.confirm(paymentIntentId, {
-  //   payment_method: paymentMethodId,
-  // });
-
-  // For this example, we'll simulate payment confirmation
-  const paymentResult = {
-    id: paymentIntentId,
-    status: 'succeeded',
-    amount: 99.99, // Example amount
-    currency: 'usd',
-    paymentMethod: paymentMethodId,
-    timestamp: new Date().toISOString()
-  };
+// @access  Public
+router.post('/confirm', [
+  cartSession,
+  idempotency,
+  body('paymentIntentId')
+    .trim()
+    .notEmpty()
+    .withMessage('Payment intent ID is required'),
+  body('paymentMethodId')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Payment method is required'),
+  body('savedPaymentMethodId')
+    .optional()
+    .isMongoId()
+    .withMessage('Please provide a valid saved payment method ID'),
+  validationErrorHandler
+], asyncHandler(async (req, res) => {
+  const { paymentIntentId } = req.body;
+
+  const paymentMethod = await resolvePaymentMethod(req, res);
+  if (!paymentMethod) return;
+
+  // The intent must be the current one for one of the user's (or guest's) orders
+  const match = await Order.findOne({
+    'paymentInfo.transactionId': paymentIntentId,
+    ...req.cartOwner
+  }).select('_id');
+
+  if (!match) {
+    return res.status(404).json({
+      success: false,
+      message: 'Payment intent not found'
+    });
+  }
 
-  res.status(200).json({
-    success: true,
-    message: 'Payment confirmed successfully',
-    data: { payment: paymentResult }
-  });
+  const order = await findPayableOrder(req, res, match._id);
+  if (!order) return;
+
+  try {
+    const intent = await confirmOrderPayment(order, paymentMethod, { io: req.app.get('io') });
+    sendPaymentResult(res, intent, order);
+  } catch (error) {
+    handlePaymentError(res, error);
+  }
 }));
 
 // @desc    Refund payment
 // @route   POST /api/payments/refund
-// @access  Private
-router.post('/refund', protect, asyncHandler(async (req, res) => {
-  const { paymentIntentId, amount, reason } = req.body;
-
-  // In a real application with Stripe:
-  // const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-  // const refund = await stripe.refunds.create({
-  //   payment_intent: paymentIntentId,
-  //   amount: amount ? amount * 100 : undefined, // Convert to cents if partial refund
-  //   reason: reason || 'requested_by_customer',
-  // });
-
-  // For this example, we'll simulate a refund
-  const refund = {
-    id: 're_' + Math.random().toString(36).substr(2, 9),
-    paymentIntent: paymentIntentId,
-    amount: amount || 99.99,
-    currency: 'usd',
-    status: 'succeeded',
-    reason: reason || 'requested_by_customer',
-    created: Date.now()
-  };
+// @access  Private/Admin
+router.post('/refund', [
+  protect,
+  authorize('admin'),
+  idempotency,
+  body('orderId')
+    .isMongoId()
+    .withMessage('Please provide a valid order ID'),
+  body('amount')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Refund amount must be greater than 0')
+    .toFloat(),
+  body('toStoreCredit')
+    .optional()
+    .isBoolean()
+    .withMessage('toStoreCredit must be true or false')
+    .toBoolean(),
+  validationErrorHandler
+], asyncHandler(async (req, res) => {
+  const { orderId, amount, reason, toStoreCredit } = req.body;
+
+  const order = await Order.findById(orderId);
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+  }
 
-  res.status(200).json({
-    success: true,
-    message: 'Refund processed successfully',
-    data: { refund }
-  });
+  try {
+    const { refund, storeCredit } = await refundOrder(order, amount, {
+      reason: reason || 'requested_by_customer',
+      toStoreCredit
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Refund processed successfully',
+      data: { refund, storeCredit, order }
+    });
+  } catch (error) {
+    handlePaymentError(res, error);
+  }
 }));
 
-// @desc    Get payment methods
+// @desc    Get saved payment methods
 // @route   GET /api/payments/methods
 // @access  Private
 router.get('/methods', protect, asyncHandler(async (req, res) => {
-  // In a real application, you would fetch customer's saved payment methods
-  // For this example, we'll return available payment methods
-
-  const paymentMethods = [
-    {
-      id: 'pm_card_ending_4242',
-      type: 'card',
-      card: {
-        brand: 'visa',
-        last4: '4242',
-        exp_month: 12,
-        exp_year: 2025
-      }
-    },
-    {
-      id: 'pm_paypal_123',
-      type: 'paypal',
-      email: 'user@example.com'
-    }
-  ];
+  const paymentMethods = await PaymentMethod.find({ user: req.user.id })
+    .sort({ isDefault: -1, createdAt: -1 });
 
   res.status(200).json({
     success: true,
@@ -190,21 +289,70 @@ router.get('/methods', protect, asyncHandler(async (req, res) => {
   });
 }));
 
-// @desc    Add payment method
+// @desc    Save a payment method
 // @route   POST /api/payments/methods
 // @access  Private
-router.post('/methods', protect, asyncHandler(async (req, res) => {
-  const { type, details } = req.body;
+router.post('/methods', [
+  protect,
+  body('token')
+    .trim()
+    .notEmpty()
+    .withMessage('Payment method token is required')
+    .not()
+    .matches(/^[\d\s-]{12,}$/)
+    .withMessage('Send a payment provider token, never a card number'),
+  body('billingName')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Billing name cannot exceed 100 characters'),
+  body('setDefault')
+    .optional()
+    .isBoolean()
+    .withMessage('setDefault must be true or false'),
+  validationErrorHandler
+], asyncHandler(async (req, res) => {
+  const { token, billingName, setDefault } = req.body;
+  const provider = getPaymentProvider();
+
+  const existing = await PaymentMethod.findOne({ user: req.user.id, providerMethodId: token });
+  if (existing) {
+    return res.status(400).json({
+      success: false,
+      message: 'This payment method is already saved'
+    });
+  }
+
+  let details;
+  try {
+    details = await provider.savePaymentMethod({
+      token,
+      customerId: await PaymentMethod.findCustomerId(req.user.id, provider.name),
+      email: req.user.email
+    });
+  } catch (error) {
+    return handlePaymentError(res, error);
+  }
 
-  // In a real application, you would save the payment method with the payment processor
-  // For this example, we'll simulate adding a payment method
+  const isFirst = (await PaymentMethod.countDocuments({ user: req.user.id })) === 0;
+
+  let paymentMethod = await PaymentMethod.create({
+    user: req.user.id,
+    provider: provider.name,
+    providerMethodId: details.providerMethodId,
+    providerCustomerId: details.customerId,
+    type: details.type,
+    brand: details.brand,
+    last4: details.last4,
+    expMonth: details.expMonth,
+    expYear: details.expYear,
+    billingName
+  });
 
-  const paymentMethod = {
-    id: 'pm_' + type + '_' + Math.random().toString(36).substr(2, 9),
-    type: type,
-    created: Date.now(),
-    ...details
-  };
+  // The first saved method becomes the default
+  if (isFirst || setDefault === true || setDefault === 'true') {
+    paymentMethod = await PaymentMethod.setDefault(req.user.id, paymentMethod._id);
+  }
 
   res.status(201).json({
     success: true,
@@ -213,14 +361,52 @@ router.post('/methods', protect, asyncHandler(async (req, res) => {
   });
 }));
 
+// @desc    Make a saved payment method the default
+// @route   PUT /api/payments/methods/:id/default
+// @access  Private
+router.put('/methods/:id/default', protect, asyncHandler(async (req, res) => {
+  const paymentMethod = await PaymentMethod.setDefault(req.user.id, req.params.id);
+
+  if (!paymentMethod) {
+    return res.status(404).json({
+      success: false,
+      message: 'Payment method not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Default payment method updated',
+    data: { paymentMethod }
+  });
+}));
+
 // @desc    Delete payment method
 // @route   DELETE /api/payments/methods/:id
 // @access  Private
 router.delete('/methods/:id', protect, asyncHandler(async (req, res) => {
-  const { id } = req.params;
+  const paymentMethod = await PaymentMethod.findOne({ _id: req.params.id, user: req.user.id });
+
+  if (!paymentMethod) {
+    return res.status(404).json({
+      success: false,
+      message: 'Payment method not found'
+    });
+  }
+
+  try {
+    await getPaymentProvider(paymentMethod.provider).removePaymentMethod(paymentMethod.providerMethodId);
+  } catch (error) {
+    return handlePaymentError(res, error);
+  }
+
+  await paymentMethod.deleteOne();
 
-  // In a real application, you would delete the payment method from the payment processor
-  // For this example, we'll simulate deletion
+  // Promote the most recent remaining method
+  if (paymentMethod.isDefault) {
+    const next = await PaymentMethod.findOne({ user: req.user.id }).sort({ createdAt: -1 });
+    if (next) await PaymentMethod.setDefault(req.user.id, next._id);
+  }
 
   res.status(200).json({
     success: true,
@@ -228,83 +414,255 @@ router.delete('/methods/:id', protect, asyncHandler(async (req, res) => {
   });
 }));
 
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[char]);
+
+const TRANSACTION_LABELS = {
+  charge: 'Payment',
+  refund: 'Refund',
+  partial_refund: 'Partial refund',
+  dispute: 'Dispute'
+};
+
+// Name shown on a receipt. Guest orders (and deleted accounts) have no
+// user, so fall back to the shipping name or the guest's email.
+const receiptCustomer = (order, user) => {
+  if (user) return `${user.firstName} ${user.lastName}`;
+
+  const address = order.shippingAddress;
+  if (address?.firstName) return `${address.firstName} ${address.lastName || ''}`.trim();
+  return order.guestEmail || 'Guest';
+};
+
+// Printable HTML receipt for a transaction (order and user populated)
+const renderReceipt = (transaction) => {
+  const { order, user } = transaction;
+  const amount = `${transaction.amount.toFixed(2)} ${transaction.currency.toUpperCase()}`;
+  const method = transaction.paymentMethod?.last4
+    ? `${transaction.paymentMethod.brand || 'Card'} ending in ${transaction.paymentMethod.last4}`
+    : order.paymentInfo?.method || '';
+
+  const rows = order.items.map(item => `
+        <tr>
+          <td>${escapeHtml(item.name)}${item.variant?.value ? ` (${escapeHtml(item.variant.value)})` : ''}</td>
+          <td>${item.quantity}</td>
+          <td style="text-align:right">${item.totalPrice.toFixed(2)}</td>
+        </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <title>Receipt ${escapeHtml(transaction.receiptNumber)}</title>
+    <style>
+      body { font-family: Georgia, serif; max-width: 640px; margin: 40px auto; color: #222; }
+      table { width: 100%; border-collapse: collapse; }
+      td, th { padding: 6px 0; border-bottom: 1px solid #eee; text-align: left; }
+    </style>
+  </head>
+  <body>
+    <h1>Luxe Heritage</h1>
+    <h2>${TRANSACTION_LABELS[transaction.type]} receipt</h2>
+    <p>
+      Receipt: ${escapeHtml(transaction.receiptNumber)}<br>
+      Date: ${transaction.createdAt.toISOString().slice(0, 10)}<br>
+      Order: ${escapeHtml(order.orderNumber)}<br>
+      Customer: ${escapeHtml(receiptCustomer(order, user))}<br>
+      ${method ? `Payment method: ${escapeHtml(method)}<br>` : ''}
+      Status: ${escapeHtml(transaction.status)}
+    </p>
+    <table>
+      <thead><tr><th>Item</th><th>Qty</th><th style="text-align:right">Total</th></tr></thead>
+      <tbody>${rows}
+      </tbody>
+    </table>
+    <p>
+      Subtotal: ${order.subtotal.toFixed(2)}<br>
+      ${order.discount ? `Discount: -${order.discount.toFixed(2)}<br>` : ''}
+      Shipping: ${order.shippingCost.toFixed(2)}<br>
+      Tax: ${order.tax.toFixed(2)}${order.pricesIncludeTax ? ' (included)' : ''}<br>
+      Order total: ${order.total.toFixed(2)}
+    </p>
+    <h3>${TRANSACTION_LABELS[transaction.type]}: ${escapeHtml(amount)}</h3>
+  </body>
+</html>`;
+};
+
+// Paginated ledger listing shared by the customer and admin endpoints;
+// responds with 400 itself (and resolves to undefined) on bad dates
+const listTransactions = async (req, res, baseFilter, { populateUser = false } = {}) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+
+  const filter = { ...Transaction.buildFilter(req.query), ...baseFilter };
+
+  if (Object.values(filter.createdAt || {}).some(date => isNaN(date))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Dates must be valid (e.g. 2024-01-31)'
+    });
+  }
+
+  let query = Transaction.find(filter)
+    .populate('order', 'orderNumber status')
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .skip((page - 1) * limit);
+
+  if (populateUser) {
+    query = query.populate('user', 'firstName lastName email');
+  }
+
+  const [transactions, total] = await Promise.all([
+    query,
+    Transaction.countDocuments(filter)
+  ]);
+
+  return { filter, transactions, pagination: { page, limit, total, pages: Math.ceil(total / limit) } };
+};
+
 // @desc    Get payment history
 // @route   GET /api/payments/history
 // @access  Private
 router.get('/history', protect, asyncHandler(async (req, res) => {
-  const page = parseInt(req.query.page) || 1;
-  const limit = parseInt(req.query.limit) || 10;
+  const result = await listTransactions(req, res, { user: req.user._id });
+  if (!result) return;
 
-  // In a real application, you would fetch payment history from your database
-  // For this example, we'll simulate payment history
+  res.status(200).json({
+    success: true,
+    data: {
+      payments: result.transactions,
+      pagination: result.pagination
+    }
+  });
+}));
 
-  const payments = [
-    {
-      id: 'pi_1234567890',
-      amount: 99.99,
-      currency: 'usd',
-      status: 'succeeded',
-      description: 'Order #ORD-123456',
-      created: new Date('2024-01-15'),
-      receipt_url: 'https://example.com/receipt/pi_1234567890'
-    },
-    {
-      id: 'pi_0987654321',
-      amount: 149.99,
-      currency: 'usd',
-      status: 'succeeded',
-      description: 'Order #ORD-123455',
-      created: new Date('2024-01-10'),
-      receipt_url: 'https://example.com/receipt/pi_0987654321'
+// @desc    Get all transactions for reconciliation (Admin only)
+// @route   GET /api/payments/admin/transactions
+// @access  Private/Admin
+router.get('/admin/transactions', protect, authorize('admin'), asyncHandler(async (req, res) => {
+  const baseFilter = {};
+  ['user', 'order'].forEach(field => {
+    if (mongoose.isValidObjectId(req.query[field])) {
+      baseFilter[field] = new mongoose.Types.ObjectId(req.query[field]);
     }
-  ];
+  });
+  if (req.query.provider) {
+    baseFilter.provider = req.query.provider;
+  }
+
+  const result = await listTransactions(req, res, baseFilter, { populateUser: true });
+  if (!result) return;
 
-  const total = payments.length;
-  const paginatedPayments = payments.slice((page - 1) * limit, page * limit);
+  // Totals per type/status across the whole filtered range
+  const summary = await Transaction.aggregate([
+    { $match: result.filter },
+    {
+      $group: {
+        _id: { type: '$type', status: '$status' },
+        count: { $sum: 1 },
+        amount: { $sum: '$amount' }
+      }
+    },
+    { $sort: { '_id.type': 1, '_id.status': 1 } }
+  ]);
 
   res.status(200).json({
     success: true,
     data: {
-      payments: paginatedPayments,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit)
-      }
+      transactions: result.transactions,
+      summary: summary.map(({ _id, count, amount }) => ({
+        type: _id.type,
+        status: _id.status,
+        count,
+        amount: Math.round(amount * 100) / 100
+      })),
+      pagination: result.pagination
     }
   });
 }));
 
+// @desc    Get transaction receipt
+// @route   GET /api/payments/receipts/:id
+// @access  Private
+router.get('/receipts/:id', protect, asyncHandler(async (req, res) => {
+  const transaction = await Transaction.findById(req.params.id)
+    .populate('order')
+    .populate('user', 'firstName lastName email');
+
+  if (!transaction || !transaction.order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Receipt not found'
+    });
+  }
+
+  // Receipts without a user (guest orders, deleted accounts) are admin-only
+  const ownerId = transaction.user?._id?.toString();
+  if (req.user.role !== 'admin' && (!ownerId || ownerId !== req.user.id.toString())) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to view this receipt'
+    });
+  }
+
+  if (req.accepts(['html', 'json']) === 'json') {
+    return res.status(200).json({
+      success: true,
+      data: {
+        receipt: { ...transaction.toJSON(), order: transaction.order.toViewerJSON(req.user) }
+      }
+    });
+  }
+
+  res.status(200).type('html').send(renderReceipt(transaction));
+}));
+
 // @desc    Webhook endpoint for payment events
 // @route   POST /api/payments/webhook
-// @access  Public
+// @access  Public (signed)
 router.post('/webhook', asyncHandler(async (req, res) => {
-  const event = req.body;
+  try {
+    verifySignature(req.rawBody?.toString('utf8'), req.get('Stripe-Signature'));
+  } catch (error) {
+    return res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
 
-  // In a real application, you would verify the webhook signature
-  // and handle different event types
+  const event = req.body;
 
-  console.log('Payment webhook received:', event.type);
+  if (!event?.id || !event.type || !event.data?.object) {
+    return res.status(400).json({
+      success: false,
+      message: 'Malformed webhook event'
+    });
+  }
 
-  switch (event.type) {
-    case 'payment_intent.succeeded':
-      // Handle successful payment
-      console.log('Payment succeeded:', event.data.object.id);
-      break;
+  // Redelivered events that were already handled are acknowledged and skipped
+  const record = await WebhookEvent.claim(event.id, event.type);
 
-    case 'payment_intent.payment_failed':
-      // Handle failed payment
-      console.log('Payment failed:', event.data.object.id);
-      break;
+  if (!record) {
+    return res.status(200).json({
+      success: true,
+      message: 'Event already processed'
+    });
+  }
 
-    case 'charge.dispute.created':
-      // Handle dispute
-      console.log('Dispute created:', event.data.object.id);
-      break;
+  try {
+    const order = await handleWebhookEvent(event, { io: req.app.get('io') });
+    await record.markProcessed(order?._id);
+  } catch (error) {
+    // A non-2xx response makes the provider redeliver the event
+    await record.markFailed(error);
+    logger.error(`Payment webhook ${event.id} (${event.type}) failed:`, error);
 
-    default:
-      console.log('Unhandled event type:', event.type);
+    return res.status(500).json({
+      success: false,
+      message: 'Webhook processing failed'
+    });
   }
 
   res.status(200).json({
@@ -2,9 +2,12 @@ import express from 'express';
 import { body } from 'express-validator';
 import Product from '../models/Product.js';
 import Category from '../models/Category.js';
+import ProductAlert from '../models/ProductAlert.js';
 import { protect, authorize } from '../middleware/auth.js';
 import { asyncHandler, validationErrorHandler } from '../middleware/errorHandler.js';
 import { uploadImage, deleteImage, deleteMultipleImages } from '../utils/upload.js';
+import { publishStockEdits } from '../utils/stockEvents.js';
+import { publishPriceChange } from '../utils/priceEvents.js';
 
 const router = express.Router();
 
@@ -202,6 +205,9 @@ router.put('/:id', [
     { new: true, runValidators: true }
   );
 
+  publishStockEdits(product, updatedProduct);
+  publishPriceChange(updatedProduct, product.price);
+
   res.status(200).json({
     success: true,
     message: 'Product updated successfully',
@@ -312,6 +318,81 @@ router.delete('/:id/images/:publicId', protect, authorize('admin'), asyncHandler
   });
 }));
 
+// @desc    Ask to be notified when a product is back in stock or its price drops
+// @route   POST /api/products/:id/alerts
+// @access  Private
+router.post('/:id/alerts', [
+  protect,
+  body('type')
+    .optional()
+    .isIn(['back_in_stock', 'price_drop'])
+    .withMessage('Alert type must be back_in_stock or price_drop'),
+  body('sku')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('SKU must be a string'),
+  body('targetPrice')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Target price must be a positive number'),
+  validationErrorHandler
+], asyncHandler(async (req, res) => {
+  const { type = 'back_in_stock', sku = null, targetPrice } = req.body;
+
+  const product = await Product.findById(req.params.id);
+
+  if (!product || product.status !== 'active') {
+    return res.status(404).json({
+      success: false,
+      message: 'Product not found'
+    });
+  }
+
+  if (sku && !product.findVariantOption(sku)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Selected option does not exist'
+    });
+  }
+
+  if (type === 'back_in_stock' && product.checkStock(1, sku).available) {
+    return res.status(400).json({
+      success: false,
+      message: 'Product is in stock'
+    });
+  }
+
+  const alert = await ProductAlert.subscribe(req.user.id, product._id, {
+    type,
+    sku,
+    targetPrice: type === 'price_drop' ? targetPrice : undefined
+  });
+
+  res.status(201).json({
+    success: true,
+    message: type === 'back_in_stock'
+      ? "We'll let you know when it's back in stock"
+      : "We'll let you know when the price drops",
+    data: { alert }
+  });
+}));
+
+// @desc    Stop product alerts (?type= for one type only)
+// @route   DELETE /api/products/:id/alerts
+// @access  Private
+router.delete('/:id/alerts', protect, asyncHandler(async (req, res) => {
+  const query = { user: req.user.id, product: req.params.id, active: true };
+  if (req.query.type) query.type = req.query.type;
+
+  const result = await ProductAlert.updateMany(query, { $set: { active: false } });
+
+  res.status(200).json({
+    success: true,
+    message: 'Product alerts stopped',
+    data: { stopped: result.modifiedCount }
+  });
+}));
+
 // @desc    Add product review
 // @route   POST /api/products/:id/reviews
 // @access  Private
@@ -0,0 +1,457 @@
+import express from 'express';
+import { body } from 'express-validator';
+import Return from '../models/Return.js';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import { protect, authorize } from '../middleware/auth.js';
+import idempotency from '../middleware/idempotency.js';
+import { asyncHandler, validationErrorHandler, logger } from '../middleware/errorHandler.js';
+import { sendEmail } from '../utils/email.js';
+import { changeOrderStatus } from '../utils/orderStatus.js';
+import { refundOrder } from '../utils/payments/index.js';
+import { publishStockChanges } from '../utils/stockEvents.js';
+
+const router = express.Router();
+
+const RETURN_REASONS = ['damaged', 'defective', 'wrong_item', 'not_as_described', 'no_longer_needed', 'other'];
+
+// Email the customer about a change to their return
+const notifyReturnStatus = async (ret) => {
+  try {
+    await ret.populate('user', 'firstName email preferences.language');
+    await sendEmail({
+      to: ret.user.email,
+      template: 'return-status-update',
+      language: ret.user.preferences?.language,
+      data: {
+        firstName: ret.user.firstName,
+        returnNumber: ret.returnNumber,
+        status: ret.status,
+        refundAmount: ret.refundAmount,
+        rejectionReason: ret.rejectionReason
+      }
+    });
+  } catch (emailError) {
+    logger.error(`Failed to send return notification for ${ret.returnNumber}:`, emailError);
+  }
+};
+
+// Respond with errors raised by status changes (illegal transition / conflict)
+const handleStatusError = (res, error) => {
+  if (!error.statusCode) throw error;
+
+  return res.status(error.statusCode).json({
+    success: false,
+    message: error.message
+  });
+};
+
+const findReturn = async (req, res) => {
+  const ret = await Return.findById(req.params.id);
+
+  if (!ret) {
+    res.status(404).json({
+      success: false,
+      message: 'Return not found'
+    });
+    return null;
+  }
+
+  return ret;
+};
+
+// @desc    Request a return
+// @route   POST /api/returns
+// @access  Private
+router.post('/', [
+  protect,
+  idempotency,
+  body('orderId')
+    .isMongoId()
+    .withMessage('Please provide a valid order ID'),
+  body('items')
+    .isArray({ min: 1 })
+    .withMessage('Select at least one item to return'),
+  body('items.*.itemId')
+    .isMongoId()
+    .withMessage('Please provide a valid order item ID'),
+  body('items.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be at least 1')
+    .toInt(),
+  body('items.*.reason')
+    .isIn(RETURN_REASONS)
+    .withMessage('Please provide a valid return reason'),
+  body('items.*.comments')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Comments cannot exceed 500 characters'),
+  validationErrorHandler
+], asyncHandler(async (req, res) => {
+  const { orderId, items } = req.body;
+
+  const order = await Order.findById(orderId);
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+  }
+
+  if (!order.isOwnedBy({ user: req.user.id })) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to return items from this order'
+    });
+  }
+
+  if (!order.canBeReturned()) {
+    return res.status(400).json({
+      success: false,
+      message: 'This order is not eligible for returns'
+    });
+  }
+
+  // Quantities already in open or completed returns can't be returned again
+  const alreadyReturned = await Return.getReturnedQuantities(order._id);
+  const returnItems = [];
+
+  for (const item of items) {
+    const orderItem = order.items.id(item.itemId);
+
+    if (!orderItem) {
+      return res.status(400).json({
+        success: false,
+        message: `Item ${item.itemId} is not part of this order`
+      });
+    }
+
+    const key = orderItem._id.toString();
+    const returnable = orderItem.quantity - (alreadyReturned.get(key) || 0);
+
+    if (item.quantity > returnable) {
+      return res.status(400).json({
+        success: false,
+        message: `Only ${returnable} of ${orderItem.name} can be returned`
+      });
+    }
+
+    alreadyReturned.set(key, (alreadyReturned.get(key) || 0) + item.quantity);
+
+    returnItems.push({
+      orderItem: orderItem._id,
+      product: orderItem.product,
+      variantSku: orderItem.variant?.sku,
+      name: orderItem.name,
+      quantity: item.quantity,
+      reason: item.reason,
+      comments: item.comments,
+      unitRefund: Return.getUnitRefund(order, orderItem)
+    });
+  }
+
+  const ret = await Return.create({
+    order: order._id,
+    user: req.user.id,
+    items: returnItems
+  });
+
+  await notifyReturnStatus(ret);
+
+  res.status(201).json({
+    success: true,
+    message: 'Return requested successfully',
+    data: { return: ret }
+  });
+}));
+
+// @desc    Get user returns
+// @route   GET /api/returns
+// @access  Private
+router.get('/', protect, asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+
+  const query = { user: req.user.id };
+  if (req.query.status) {
+    query.status = req.query.status;
+  }
+
+  const returns = await Return.find(query)
+    .populate('order', 'orderNumber')
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .skip((page - 1) * limit);
+
+  const total = await Return.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      returns,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+}));
+
+// @desc    Get all returns (Admin only)
+// @route   GET /api/returns/admin/all
+// @access  Private/Admin
+router.get('/admin/all', protect, authorize('admin'), asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+
+  const query = {};
+  if (req.query.status) {
+    query.status = req.query.status;
+  }
+
+  const returns = await Return.find(query)
+    .populate('user', 'firstName lastName email')
+    .populate('order', 'orderNumber total')
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .skip((page - 1) * limit);
+
+  const total = await Return.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      returns,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+}));
+
+// @desc    Get single return
+// @route   GET /api/returns/:id
+// @access  Private
+router.get('/:id', protect, asyncHandler(async (req, res) => {
+  const ret = await Return.findById(req.params.id)
+    .populate('order', 'orderNumber total paymentInfo.status paymentInfo.refundAmount');
+
+  if (!ret) {
+    return res.status(404).json({
+      success: false,
+      message: 'Return not found'
+    });
+  }
+
+  if (ret.user.toString() !== req.user.id.toString() && req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to view this return'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { return: ret }
+  });
+}));
+
+// @desc    Approve return (Admin only)
+// @route   PUT /api/returns/:id/approve
+// @access  Private/Admin
+router.put('/:id/approve', protect, authorize('admin'), asyncHandler(async (req, res) => {
+  const ret = await findReturn(req, res);
+  if (!ret) return;
+
+  try {
+    await ret.updateStatus('approved', {
+      processedBy: req.user.id,
+      fields: req.body.adminNotes ? { adminNotes: req.body.adminNotes } : {}
+    });
+  } catch (error) {
+    return handleStatusError(res, error);
+  }
+
+  await notifyReturnStatus(ret);
+
+  res.status(200).json({
+    success: true,
+    message: 'Return approved',
+    data: { return: ret }
+  });
+}));
+
+// @desc    Reject return (Admin only)
+// @route   PUT /api/returns/:id/reject
+// @access  Private/Admin
+router.put('/:id/reject', [
+  protect,
+  authorize('admin'),
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Rejection reason is required'),
+  validationErrorHandler
+], asyncHandler(async (req, res) => {
+  const ret = await findReturn(req, res);
+  if (!ret) return;
+
+  try {
+    await ret.updateStatus('rejected', {
+      processedBy: req.user.id,
+      fields: { rejectionReason: req.body.reason }
+    });
+  } catch (error) {
+    return handleStatusError(res, error);
+  }
+
+  await notifyReturnStatus(ret);
+
+  res.status(200).json({
+    success: true,
+    message: 'Return rejected',
+    data: { return: ret }
+  });
+}));
+
+// @desc    Mark returned items as received (Admin only)
+// @route   PUT /api/returns/:id/receive
+// @access  Private/Admin
+router.put('/:id/receive', [
+  protect,
+  authorize('admin'),
+  body('restock')
+    .optional()
+    .isBoolean()
+    .withMessage('Restock must be true or false'),
+  validationErrorHandler
+], asyncHandler(async (req, res) => {
+  const ret = await findReturn(req, res);
+  if (!ret) return;
+
+  try {
+    await ret.updateStatus('received', { processedBy: req.user.id });
+  } catch (error) {
+    return handleStatusError(res, error);
+  }
+
+  // Put resellable items back into stock
+  if (req.body.restock !== false && req.body.restock !== 'false') {
+    for (const item of ret.items) {
+      await Product.restock(item.product, item.quantity, { variantSku: item.variantSku });
+      item.restocked = true;
+    }
+    await ret.save();
+    await publishStockChanges(ret.items, { change: 'increase' });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Return received',
+    data: { return: ret }
+  });
+}));
+
+// @desc    Refund return (Admin only)
+// @route   PUT /api/returns/:id/refund
+// @access  Private/Admin
+router.put('/:id/refund', [
+  protect,
+  authorize('admin'),
+  idempotency,
+  body('amount')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Refund amount must be greater than 0')
+    .toFloat(),
+  body('refundMethod')
+    .optional()
+    .isIn(['original', 'store_credit'])
+    .withMessage('Refund method must be original or store_credit'),
+  validationErrorHandler
+], asyncHandler(async (req, res) => {
+  const ret = await findReturn(req, res);
+  if (!ret) return;
+
+  const order = await Order.findById(ret.order);
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+  }
+
+  // Default to what was paid for the returned units, never more than is left
+  const amount = req.body.amount ?? ret.calculateRefund();
+  const refundable = order.getRefundableAmount();
+
+  if (amount > refundable) {
+    return res.status(400).json({
+      success: false,
+      message: `Refund cannot exceed the remaining refundable amount of ${refundable.toFixed(2)}`
+    });
+  }
+
+  try {
+    await ret.updateStatus('refunded', {
+      processedBy: req.user.id,
+      fields: { refundAmount: amount }
+    });
+  } catch (error) {
+    return handleStatusError(res, error);
+  }
+
+  // Pay the money back the way it was paid (or as store credit if asked);
+  // if that fails the return goes back to received so it can be retried
+  try {
+    await refundOrder(order, amount, {
+      reason: `Return ${ret.returnNumber}`,
+      toStoreCredit: req.body.refundMethod === 'store_credit'
+    });
+  } catch (error) {
+    await Return.updateOne(
+      { _id: ret._id, status: 'refunded' },
+      { $set: { status: 'received', refundAmount: 0 }, $unset: { refundedAt: 1 } }
+    );
+    return handleStatusError(res, error);
+  }
+
+  // Once every unit has been refunded the whole order counts as returned
+  const refundedQuantities = new Map();
+  const refundedReturns = await Return.find({ order: order._id, status: 'refunded' }).select('items');
+  refundedReturns.forEach(refunded => refunded.items.forEach(item => {
+    const key = item.orderItem.toString();
+    refundedQuantities.set(key, (refundedQuantities.get(key) || 0) + item.quantity);
+  }));
+
+  const fullyReturned = order.items.every(item =>
+    (refundedQuantities.get(item._id.toString()) || 0) >= item.quantity
+  );
+
+  if (fullyReturned && order.canTransitionTo('returned')) {
+    await changeOrderStatus(order, 'returned', {
+      actor: req.user,
+      actorRole: 'admin',
+      note: `All items returned (${ret.returnNumber})`,
+      io: req.app.get('io')
+    });
+  }
+
+  await notifyReturnStatus(ret);
+
+  res.status(200).json({
+    success: true,
+    message: 'Return refunded',
+    data: { return: ret, order }
+  });
+}));
+
+export default router;
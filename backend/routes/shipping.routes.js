@@ -0,0 +1,130 @@
+import express from 'express';
+import { body } from 'express-validator';
+import ShippingZone from '../models/ShippingZone.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { asyncHandler, validationErrorHandler } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+// Apply admin authorization to all routes
+router.use(protect, authorize('admin'));
+
+const zoneValidation = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name')
+      .trim()
+      .notEmpty()
+      .withMessage('Zone name is required'),
+    field('regions')
+      .isArray({ min: 1 })
+      .withMessage('At least one region is required'),
+    body('regions.*.country')
+      .trim()
+      .notEmpty()
+      .withMessage('Each region needs a country'),
+    body('methods')
+      .optional()
+      .isArray()
+      .withMessage('Methods must be an array'),
+    body('methods.*.code')
+      .trim()
+      .notEmpty()
+      .withMessage('Each shipping method needs a code'),
+    body('methods.*.rateType')
+      .optional()
+      .isIn(['flat', 'weight', 'price'])
+      .withMessage('Rate type must be flat, weight or price'),
+    validationErrorHandler
+  ];
+};
+
+// @desc    Get shipping zones
+// @route   GET /api/shipping-zones
+// @access  Private/Admin
+router.get('/', asyncHandler(async (req, res) => {
+  const zones = await ShippingZone.find().sort({ sortOrder: 1, name: 1 });
+
+  res.status(200).json({
+    success: true,
+    data: { zones }
+  });
+}));
+
+// @desc    Get single shipping zone
+// @route   GET /api/shipping-zones/:id
+// @access  Private/Admin
+router.get('/:id', asyncHandler(async (req, res) => {
+  const zone = await ShippingZone.findById(req.params.id);
+
+  if (!zone) {
+    return res.status(404).json({
+      success: false,
+      message: 'Shipping zone not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { zone }
+  });
+}));
+
+// @desc    Create shipping zone
+// @route   POST /api/shipping-zones
+// @access  Private/Admin
+router.post('/', zoneValidation(), asyncHandler(async (req, res) => {
+  const zone = await ShippingZone.create(req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Shipping zone created successfully',
+    data: { zone }
+  });
+}));
+
+// @desc    Update shipping zone
+// @route   PUT /api/shipping-zones/:id
+// @access  Private/Admin
+router.put('/:id', zoneValidation(true), asyncHandler(async (req, res) => {
+  const zone = await ShippingZone.findByIdAndUpdate(
+    req.params.id,
+    req.body,
+    { new: true, runValidators: true }
+  );
+
+  if (!zone) {
+    return res.status(404).json({
+      success: false,
+      message: 'Shipping zone not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Shipping zone updated successfully',
+    data: { zone }
+  });
+}));
+
+// @desc    Delete shipping zone
+// @route   DELETE /api/shipping-zones/:id
+// @access  Private/Admin
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const zone = await ShippingZone.findByIdAndDelete(req.params.id);
+
+  if (!zone) {
+    return res.status(404).json({
+      success: false,
+      message: 'Shipping zone not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Shipping zone deleted successfully'
+  });
+}));
+
+export default router;
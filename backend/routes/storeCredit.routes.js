@@ -0,0 +1,123 @@
+import express from 'express';
+import { body } from 'express-validator';
+import StoreCredit from '../models/StoreCredit.js';
+import User from '../models/User.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { asyncHandler, validationErrorHandler } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+// Balance and paginated ledger for a user
+const getLedger = async (userId, query) => {
+  const page = parseInt(query.page) || 1;
+  const limit = parseInt(query.limit) || 20;
+
+  const [user, entries, total] = await Promise.all([
+    User.findById(userId).select('storeCredit'),
+    StoreCredit.find({ user: userId })
+      .populate('order', 'orderNumber')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit),
+    StoreCredit.countDocuments({ user: userId })
+  ]);
+
+  if (!user) return null;
+
+  return {
+    balance: user.storeCredit,
+    entries,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+// @desc    Get store credit balance and history
+// @route   GET /api/store-credit
+// @access  Private
+router.get('/', protect, asyncHandler(async (req, res) => {
+  const ledger = await getLedger(req.user.id, req.query);
+
+  res.status(200).json({
+    success: true,
+    data: ledger
+  });
+}));
+
+// @desc    Get a user's store credit balance and history (Admin only)
+// @route   GET /api/store-credit/admin/users/:userId
+// @access  Private/Admin
+router.get('/admin/users/:userId', protect, authorize('admin'), asyncHandler(async (req, res) => {
+  const ledger = await getLedger(req.params.userId, req.query);
+
+  if (!ledger) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: ledger
+  });
+}));
+
+// @desc    Add or remove store credit (Admin only)
+// @route   POST /api/store-credit/admin/adjust
+// @access  Private/Admin
+router.post('/admin/adjust', [
+  protect,
+  authorize('admin'),
+  body('userId')
+    .isMongoId()
+    .withMessage('Please provide a valid user ID'),
+  body('amount')
+    .isFloat()
+    .withMessage('Amount must be a number')
+    .toFloat(),
+  body('amount')
+    .custom(value => value !== 0)
+    .withMessage('Amount cannot be 0'),
+  body('note')
+    .trim()
+    .notEmpty()
+    .withMessage('Please provide a note for the adjustment'),
+  validationErrorHandler
+], asyncHandler(async (req, res) => {
+  const { userId, amount, note } = req.body;
+
+  if (!await User.exists({ _id: userId })) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  try {
+    const entry = await StoreCredit.adjust(userId, amount, {
+      reason: 'adjustment',
+      note,
+      createdBy: req.user.id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Store credit updated',
+      data: { entry, balance: entry.balanceAfter }
+    });
+  } catch (error) {
+    if (!error.statusCode) throw error;
+
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+}));
+
+export default router;
@@ -0,0 +1,172 @@
+import express from 'express';
+import { body } from 'express-validator';
+import TaxRate from '../models/TaxRate.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { asyncHandler, validationErrorHandler } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+// Apply admin authorization to all routes
+router.use(protect, authorize('admin'));
+
+const taxRateValidation = (prefix = '', optional = false) => {
+  const field = (name) => (optional ? body(`${prefix}${name}`).optional() : body(`${prefix}${name}`));
+
+  return [
+    field('name')
+      .trim()
+      .notEmpty()
+      .withMessage('Tax rate name is required'),
+    field('country')
+      .trim()
+      .notEmpty()
+      .withMessage('Country is required'),
+    field('rate')
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Rate must be a percentage between 0 and 100'),
+    body(`${prefix}zipCodes`)
+      .optional()
+      .isArray()
+      .withMessage('ZIP codes must be an array'),
+    body(`${prefix}priority`)
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Priority must be a non-negative integer')
+  ];
+};
+
+// @desc    Get tax rates
+// @route   GET /api/tax-rates
+// @access  Private/Admin
+router.get('/', asyncHandler(async (req, res) => {
+  const query = {};
+  if (req.query.country) query.country = req.query.country.toUpperCase();
+  if (req.query.state) query.state = req.query.state.toUpperCase();
+  if (req.query.taxClass) query.taxClass = req.query.taxClass.toLowerCase();
+
+  const taxRates = await TaxRate.find(query)
+    .sort({ country: 1, state: 1, taxClass: 1, priority: 1 });
+
+  res.status(200).json({
+    success: true,
+    data: { taxRates }
+  });
+}));
+
+// @desc    Preview the rates that apply to an address
+// @route   GET /api/tax-rates/lookup
+// @access  Private/Admin
+router.get('/lookup', asyncHandler(async (req, res) => {
+  const { country, state, zipCode, taxClass } = req.query;
+
+  if (!country) {
+    return res.status(400).json({
+      success: false,
+      message: 'Country is required'
+    });
+  }
+
+  const taxRates = await TaxRate.findForAddress({ country, state, zipCode }, taxClass || 'standard');
+
+  res.status(200).json({
+    success: true,
+    data: {
+      taxRates,
+      combinedRate: taxRates.reduce((total, rate) => total + rate.rate, 0)
+    }
+  });
+}));
+
+// @desc    Create tax rate
+// @route   POST /api/tax-rates
+// @access  Private/Admin
+router.post('/', [
+  ...taxRateValidation(),
+  validationErrorHandler
+], asyncHandler(async (req, res) => {
+  const taxRate = await TaxRate.create(req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Tax rate created successfully',
+    data: { taxRate }
+  });
+}));
+
+// @desc    Replace the rate table for a country
+// @route   PUT /api/tax-rates/import
+// @access  Private/Admin
+router.put('/import', [
+  body('country')
+    .trim()
+    .notEmpty()
+    .withMessage('Country is required'),
+  body('rates')
+    .isArray()
+    .withMessage('Rates must be an array'),
+  ...taxRateValidation('rates.*.', true),
+  validationErrorHandler
+], asyncHandler(async (req, res) => {
+  const country = req.body.country.toUpperCase();
+  const rates = req.body.rates.map(rate => ({ ...rate, country }));
+
+  // Validate everything before touching the existing table
+  await Promise.all(rates.map(rate => new TaxRate(rate).validate()));
+
+  await TaxRate.deleteMany({ country });
+  const taxRates = await TaxRate.insertMany(rates);
+
+  res.status(200).json({
+    success: true,
+    message: `${taxRates.length} tax rates imported for ${country}`,
+    data: { taxRates }
+  });
+}));
+
+// @desc    Update tax rate
+// @route   PUT /api/tax-rates/:id
+// @access  Private/Admin
+router.put('/:id', [
+  ...taxRateValidation('', true),
+  validationErrorHandler
+], asyncHandler(async (req, res) => {
+  const taxRate = await TaxRate.findByIdAndUpdate(
+    req.params.id,
+    req.body,
+    { new: true, runValidators: true }
+  );
+
+  if (!taxRate) {
+    return res.status(404).json({
+      success: false,
+      message: 'Tax rate not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Tax rate updated successfully',
+    data: { taxRate }
+  });
+}));
+
+// @desc    Delete tax rate
+// @route   DELETE /api/tax-rates/:id
+// @access  Private/Admin
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const taxRate = await TaxRate.findByIdAndDelete(req.params.id);
+
+  if (!taxRate) {
+    return res.status(404).json({
+      success: false,
+      message: 'Tax rate not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Tax rate deleted successfully'
+  });
+}));
+
+export default router;
@@ -1,6 +1,7 @@
 import express from 'express';
 import { body } from 'express-validator';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
 import { protect, authorize } from '../middleware/auth.js';
 import { asyncHandler, validationErrorHandler } from '../middleware/errorHandler.js';
 import { uploadImage } from '../utils/upload.js';
@@ -117,6 +118,9 @@ router.put('/password', [
   user.password = newPassword;
   await user.save();
 
+  // Sign out every other device; this one stays signed in
+  await Session.revokeAll(user._id, { except: req.sessionId, reason: 'password_change' });
+
   res.status(200).json({
     success: true,
     message: 'Password updated successfully'
@@ -3,107 +3,266 @@ import { body } from 'express-validator';
 import Wishlist from '../models/Wishlist.js';
 import Cart from '../models/Cart.js';
 import Product from '../models/Product.js';
-import { protect } from '../middleware/auth.js';
+import { protect, optionalAuth } from '../middleware/auth.js';
 import { asyncHandler, validationErrorHandler } from '../middleware/errorHandler.js';
 
 const router = express.Router();
 
-// @desc    Get wishlist
+// Product details shown on list items
+const itemProducts = {
+  path: 'items.product',
+  select: 'name price images ratings category',
+  populate: {
+    path: 'category',
+    select: 'name slug'
+  }
+};
+
+// Active share links a list can have at once
+const MAX_SHARE_LINKS = 10;
+
+// One of the signed-in user's lists, by the :listId route parameter
+const findOwnList = (req) => Wishlist.findOne({ _id: req.params.listId, user: req.user.id });
+
+// Validation shared by creating and updating a list
+const listValidators = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Wishlist name must be between 1 and 100 characters'),
+  body('description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  body('type')
+    .optional()
+    .isIn(['wishlist', 'registry'])
+    .withMessage('Type must be wishlist or registry'),
+  body('eventDate')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Please provide a valid event date'),
+  body('shippingAddress')
+    .optional({ values: 'null' })
+    .isObject()
+    .withMessage('Shipping address must be an address'),
+  body('revealPurchases')
+    .optional()
+    .isBoolean()
+    .withMessage('revealPurchases must be true or false')
+];
+
+// Copy list settings from a request body (null clears a registry setting)
+const applyListSettings = (wishlist, { name, description, type, eventDate, shippingAddress, revealPurchases }) => {
+  if (name !== undefined) wishlist.name = name;
+  if (description !== undefined) wishlist.description = description;
+  if (type !== undefined) wishlist.type = type;
+  if (eventDate !== undefined) wishlist.eventDate = eventDate;
+  if (shippingAddress !== undefined) wishlist.shippingAddress = shippingAddress || undefined;
+  if (revealPurchases !== undefined) wishlist.revealPurchases = revealPurchases;
+};
+
+// @desc    Get all of the user's wishlists and registries
 // @route   GET /api/wishlist
 // @access  Private
 router.get('/', protect, asyncHandler(async (req, res) => {
-  let wishlist = await Wishlist.findOne({ user: req.user.id })
-    .populate({
-      path: 'items.product',
-      select: 'name price images ratings category',
-      populate: {
-        path: 'category',
-        select: 'name slug'
-      }
-    });
-
-  if (!wishlist) {
-    wishlist = await Wishlist.create({ user: req.user.id });
-    wishlist = await Wishlist.findById(wishlist._id)
-      .populate({
-        path: 'items.product',
-        select: 'name price images ratings category',
-        populate: {
-          path: 'category',
-          select: 'name slug'
-        }
-      });
+  let wishlists = await Wishlist.find({ user: req.user.id })
+    .sort({ createdAt: 1 })
+    .populate(itemProducts);
+
+  // Everyone starts with one list
+  if (wishlists.length === 0) {
+    const wishlist = await Wishlist.create({ user: req.user.id });
+    wishlists = [wishlist];
   }
 
   res.status(200).json({
     success: true,
-    data: { wishlist }
+    data: { wishlists: wishlists.map(wishlist => wishlist.toOwnerJSON()) }
   });
 }));
 
-// @desc    Add item to wishlist
-// @route   POST /api/wishlist/items
+// @desc    Create a wishlist or gift registry
+// @route   POST /api/wishlist
 // @access  Private
-router.post('/items', [
+router.post('/', [
   protect,
-  body('productId')
-    .isMongoId()
-    .withMessage('Please provide a valid product ID'),
-  body('notes')
-    .optional()
-    .isLength({ max: 500 })
-    .withMessage('Notes cannot exceed 500 characters'),
-  body('priority')
-    .optional()
-    .isIn(['low', 'medium', 'high'])
-    .withMessage('Priority must be low, medium, or high'),
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Wishlist name is required'),
+  ...listValidators,
   validationErrorHandler
 ], asyncHandler(async (req, res) => {
-  const { productId, notes, priority } = req.body;
+  const wishlist = new Wishlist({ user: req.user.id });
+  applyListSettings(wishlist, req.body);
+  await wishlist.save();
 
-  // Check if product exists
-  const product = await Product.findById(productId);
-  if (!product) {
-    return res.status(404).json({
+  res.status(201).json({
+    success: true,
+    message: 'Wishlist created successfully',
+    data: { wishlist: wishlist.toOwnerJSON() }
+  });
+}));
+
+// @desc    Check which of the user's lists contain an item
+// @route   GET /api/wishlist/check/:productId
+// @access  Private
+router.get('/check/:productId', protect, asyncHandler(async (req, res) => {
+  const { productId } = req.params;
+
+  const wishlists = await Wishlist.find({ user: req.user.id, 'items.product': productId })
+    .select('_id name type');
+
+  res.status(200).json({
+    success: true,
+    data: {
+      isInWishlist: wishlists.length > 0,
+      wishlists
+    }
+  });
+}));
+
+// Find a shared list whose link allows marking registry items as purchased
+const findPurchasableList = async (req, res) => {
+  const wishlist = await Wishlist.findByShareToken(req.params.token);
+  const link = wishlist?.getShareLink(req.params.token);
+
+  if (!link) {
+    res.status(404).json({
       success: false,
-      message: 'Product not found'
+      message: 'Shared wishlist not found or no longer available'
     });
+    return null;
   }
 
-  let wishlist = await Wishlist.findOne({ user: req.user.id });
+  if (link.scope !== 'purchase') {
+    res.status(403).json({
+      success: false,
+      message: 'This link is view-only'
+    });
+    return null;
+  }
+
+  return { wishlist, link };
+};
+
+// @desc    Get wishlist by share token (counts as a view of the link)
+// @route   GET /api/wishlist/shared/:token
+// @access  Public
+router.get('/shared/:token', asyncHandler(async (req, res) => {
+  const { token } = req.params;
+
+  const wishlist = await Wishlist.viewByShareToken(token)
+    .populate('user', 'firstName')
+    .populate(itemProducts);
 
   if (!wishlist) {
-    wishlist = await Wishlist.create({ user: req.user.id });
+    return res.status(404).json({
+      success: false,
+      message: 'Shared wishlist not found or no longer available'
+    });
   }
 
-  // Add item to wishlist
-  await wishlist.addItem(productId, notes, priority);
+  res.status(200).json({
+    success: true,
+    data: { wishlist: wishlist.toSharedJSON(wishlist.getShareLink(token)) }
+  });
+}));
 
-  // Populate wishlist with product details
-  wishlist = await Wishlist.findById(wishlist._id)
-    .populate({
-      path: 'items.product',
-      select: 'name price images ratings category',
-      populate: {
-        path: 'category',
-        select: 'name slug'
-      }
+// @desc    Mark a registry item as purchased (the owner doesn't see who
+//          bought what until they choose to)
+// @route   POST /api/wishlist/shared/:token/items/:itemId/purchase
+// @access  Public
+router.post('/shared/:token/items/:itemId/purchase', [
+  optionalAuth,
+  body('quantity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be at least 1')
+    .toInt(),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Name cannot exceed 100 characters'),
+  body('message')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Message cannot exceed 500 characters'),
+  validationErrorHandler
+], asyncHandler(async (req, res) => {
+  const { quantity = 1, name, message } = req.body;
+
+  const shared = await findPurchasableList(req, res);
+  if (!shared) return;
+  const { wishlist, link } = shared;
+
+  let purchase;
+  try {
+    const item = await wishlist.markPurchased(req.params.itemId, {
+      quantity,
+      name: name || (req.user && `${req.user.firstName} ${req.user.lastName}`),
+      message,
+      user: req.user?.id
     });
+    purchase = item.purchases[item.purchases.length - 1];
+  } catch (error) {
+    if (!error.statusCode) throw error;
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  await wishlist.populate([{ path: 'user', select: 'firstName' }, itemProducts]);
 
   res.status(201).json({
     success: true,
-    message: 'Item added to wishlist successfully',
-    data: { wishlist }
+    message: 'Item marked as purchased',
+    data: {
+      // Signed-in buyers can undo their marker with this ID
+      purchaseId: req.user ? purchase._id : undefined,
+      wishlist: wishlist.toSharedJSON(link)
+    }
   });
 }));
 
-// @desc    Remove item from wishlist
-// @route   DELETE /api/wishlist/items/:productId
+// @desc    Undo a purchase marker set by the signed-in buyer
+// @route   DELETE /api/wishlist/shared/:token/items/:itemId/purchases/:purchaseId
 // @access  Private
-router.delete('/items/:productId', protect, asyncHandler(async (req, res) => {
-  const { productId } = req.params;
+router.delete('/shared/:token/items/:itemId/purchases/:purchaseId', protect, asyncHandler(async (req, res) => {
+  const { itemId, purchaseId } = req.params;
+
+  const shared = await findPurchasableList(req, res);
+  if (!shared) return;
+  const { wishlist, link } = shared;
+
+  try {
+    await wishlist.removePurchase(itemId, purchaseId, req.user.id);
+  } catch (error) {
+    if (!error.statusCode) throw error;
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  await wishlist.populate([{ path: 'user', select: 'firstName' }, itemProducts]);
+
+  res.status(200).json({
+    success: true,
+    message: 'Purchase marker removed',
+    data: { wishlist: wishlist.toSharedJSON(link) }
+  });
+}));
 
-  let wishlist = await Wishlist.findOne({ user: req.user.id });
+// @desc    Get wishlist
+// @route   GET /api/wishlist/:listId
+// @access  Private
+router.get('/:listId', protect, asyncHandler(async (req, res) => {
+  const wishlist = await findOwnList(req).populate(itemProducts);
 
   if (!wishlist) {
     return res.status(404).json({
@@ -112,31 +271,45 @@ router.delete('/items/:productId', protect, asyncHandler(async (req, res) => {
     });
   }
 
-  await wishlist.removeItem(productId);
+  res.status(200).json({
+    success: true,
+    data: { wishlist: wishlist.toOwnerJSON() }
+  });
+}));
 
-  // Populate wishlist with product details
-  wishlist = await Wishlist.findById(wishlist._id)
-    .populate({
-      path: 'items.product',
-      select: 'name price images ratings category',
-      populate: {
-        path: 'category',
-        select: 'name slug'
-      }
+// @desc    Update wishlist settings
+// @route   PUT /api/wishlist/:listId
+// @access  Private
+router.put('/:listId', [
+  protect,
+  ...listValidators,
+  validationErrorHandler
+], asyncHandler(async (req, res) => {
+  const wishlist = await findOwnList(req);
+
+  if (!wishlist) {
+    return res.status(404).json({
+      success: false,
+      message: 'Wishlist not found'
     });
+  }
+
+  applyListSettings(wishlist, req.body);
+  await wishlist.save();
+  await wishlist.populate(itemProducts);
 
   res.status(200).json({
     success: true,
-    message: 'Item removed from wishlist successfully',
-    data: { wishlist }
+    message: 'Wishlist settings updated successfully',
+    data: { wishlist: wishlist.toOwnerJSON() }
   });
 }));
 
-// @desc    Clear wishlist
-// @route   DELETE /api/wishlist
+// @desc    Delete wishlist
+// @route   DELETE /api/wishlist/:listId
 // @access  Private
-router.delete('/', protect, asyncHandler(async (req, res) => {
-  let wishlist = await Wishlist.findOne({ user: req.user.id });
+router.delete('/:listId', protect, asyncHandler(async (req, res) => {
+  const wishlist = await Wishlist.findOneAndDelete({ _id: req.params.listId, user: req.user.id });
 
   if (!wishlist) {
     return res.status(404).json({
@@ -145,19 +318,70 @@ router.delete('/', protect, asyncHandler(async (req, res) => {
     });
   }
 
-  await wishlist.clear();
-
   res.status(200).json({
     success: true,
-    message: 'Wishlist cleared successfully',
-    data: { wishlist }
+    message: 'Wishlist deleted successfully'
+  });
+}));
+
+// @desc    Add item to wishlist
+// @route   POST /api/wishlist/:listId/items
+// @access  Private
+router.post('/:listId/items', [
+  protect,
+  body('productId')
+    .isMongoId()
+    .withMessage('Please provide a valid product ID'),
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters'),
+  body('priority')
+    .optional()
+    .isIn(['low', 'medium', 'high'])
+    .withMessage('Priority must be low, medium, or high'),
+  body('desiredQuantity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Desired quantity must be at least 1')
+    .toInt(),
+  validationErrorHandler
+], asyncHandler(async (req, res) => {
+  const { productId, notes, priority, desiredQuantity } = req.body;
+
+  // Check if product exists
+  const product = await Product.findById(productId);
+  if (!product) {
+    return res.status(404).json({
+      success: false,
+      message: 'Product not found'
+    });
+  }
+
+  const wishlist = await findOwnList(req);
+
+  if (!wishlist) {
+    return res.status(404).json({
+      success: false,
+      message: 'Wishlist not found'
+    });
+  }
+
+  // Add item to wishlist
+  await wishlist.addItem(productId, notes, priority, desiredQuantity);
+  await wishlist.populate(itemProducts);
+
+  res.status(201).json({
+    success: true,
+    message: 'Item added to wishlist successfully',
+    data: { wishlist: wishlist.toOwnerJSON() }
   });
 }));
 
 // @desc    Update wishlist item
-// @route   PUT /api/wishlist/items/:productId
+// @route   PUT /api/wishlist/:listId/items/:productId
 // @access  Private
-router.put('/items/:productId', [
+router.put('/:listId/items/:productId', [
   protect,
   body('notes')
     .optional()
@@ -167,12 +391,25 @@ router.put('/items/:productId', [
     .optional()
     .isIn(['low', 'medium', 'high'])
     .withMessage('Priority must be low, medium, or high'),
+  body('desiredQuantity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Desired quantity must be at least 1')
+    .toInt(),
+  body('alerts.backInStock')
+    .optional()
+    .isBoolean()
+    .withMessage('alerts.backInStock must be true or false'),
+  body('alerts.priceDrop')
+    .optional()
+    .isBoolean()
+    .withMessage('alerts.priceDrop must be true or false'),
   validationErrorHandler
 ], asyncHandler(async (req, res) => {
   const { productId } = req.params;
-  const { notes, priority } = req.body;
+  const { notes, priority, desiredQuantity, alerts } = req.body;
 
-  let wishlist = await Wishlist.findOne({ user: req.user.id });
+  const wishlist = await findOwnList(req);
 
   if (!wishlist) {
     return res.status(404).json({
@@ -192,54 +429,71 @@ router.put('/items/:productId', [
 
   if (notes !== undefined) item.notes = notes;
   if (priority !== undefined) item.priority = priority;
+  if (desiredQuantity !== undefined) item.desiredQuantity = desiredQuantity;
+  if (alerts?.backInStock !== undefined) item.alerts.backInStock = alerts.backInStock;
+  if (alerts?.priceDrop !== undefined) item.alerts.priceDrop = alerts.priceDrop;
 
   await wishlist.save();
-
-  // Populate wishlist with product details
-  wishlist = await Wishlist.findById(wishlist._id)
-    .populate({
-      path: 'items.product',
-      select: 'name price images ratings category',
-      populate: {
-        path: 'category',
-        select: 'name slug'
-      }
-    });
+  await wishlist.populate(itemProducts);
 
   res.status(200).json({
     success: true,
     message: 'Wishlist item updated successfully',
-    data: { wishlist }
+    data: { wishlist: wishlist.toOwnerJSON() }
   });
 }));
 
-// @desc    Check if item is in wishlist
-// @route   GET /api/wishlist/check/:productId
+// @desc    Remove item from wishlist
+// @route   DELETE /api/wishlist/:listId/items/:productId
 // @access  Private
-router.get('/check/:productId', protect, asyncHandler(async (req, res) => {
+router.delete('/:listId/items/:productId', protect, asyncHandler(async (req, res) => {
   const { productId } = req.params;
 
-  let wishlist = await Wishlist.findOne({ user: req.user.id });
+  const wishlist = await findOwnList(req);
 
   if (!wishlist) {
-    return res.status(200).json({
-      success: true,
-      data: { isInWishlist: false }
+    return res.status(404).json({
+      success: false,
+      message: 'Wishlist not found'
     });
   }
 
-  const isInWishlist = wishlist.hasItem(productId);
+  await wishlist.removeItem(productId);
+  await wishlist.populate(itemProducts);
 
   res.status(200).json({
     success: true,
-    data: { isInWishlist }
+    message: 'Item removed from wishlist successfully',
+    data: { wishlist: wishlist.toOwnerJSON() }
+  });
+}));
+
+// @desc    Clear wishlist
+// @route   DELETE /api/wishlist/:listId/items
+// @access  Private
+router.delete('/:listId/items', protect, asyncHandler(async (req, res) => {
+  const wishlist = await findOwnList(req);
+
+  if (!wishlist) {
+    return res.status(404).json({
+      success: false,
+      message: 'Wishlist not found'
+    });
+  }
+
+  await wishlist.clear();
+
+  res.status(200).json({
+    success: true,
+    message: 'Wishlist cleared successfully',
+    data: { wishlist: wishlist.toOwnerJSON() }
   });
 }));
 
 // @desc    Move item to cart
-// @route   POST /api/wishlist/move-to-cart/:productId
+// @route   POST /api/wishlist/:listId/move-to-cart/:productId
 // @access  Private
-router.post('/move-to-cart/:productId', [
+router.post('/:listId/move-to-cart/:productId', [
   protect,
   body('quantity')
     .optional()
@@ -248,9 +502,9 @@ router.post('/move-to-cart/:productId', [
   validationErrorHandler
 ], asyncHandler(async (req, res) => {
   const { productId } = req.params;
-  const { quantity = 1, variant } = req.body;
+  const { quantity = 1, variantSku } = req.body;
 
-  let wishlist = await Wishlist.findOne({ user: req.user.id });
+  const wishlist = await findOwnList(req);
 
   if (!wishlist) {
     return res.status(404).json({
@@ -259,8 +513,37 @@ router.post('/move-to-cart/:productId', [
     });
   }
 
-  // Move item from wishlist
-  const item = await wishlist.moveToCart(productId);
+  const product = await Product.findById(productId);
+
+  if (!product || product.status !== 'active') {
+    return res.status(400).json({
+      success: false,
+      message: 'Product is not available'
+    });
+  }
+
+  // Resolve the selected option from the product, as the cart does
+  let variant = null;
+  if (product.hasVariantOptions()) {
+    variant = product.getVariantSnapshot(variantSku || req.body.variant);
+
+    if (!variant) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please select a valid product option'
+      });
+    }
+  }
+
+  const stockCheck = product.checkStock(quantity, variant?.sku);
+  if (!stockCheck.available) {
+    return res.status(400).json({
+      success: false,
+      message: stockCheck.message
+    });
+  }
+
+  const item = wishlist.items.find(item => item.product.toString() === productId.toString());
 
   if (!item) {
     return res.status(404).json({
@@ -269,25 +552,28 @@ router.post('/move-to-cart/:productId', [
     });
   }
 
-  // Add to cart
+  // Removing it would throw away the gifts already marked as bought
+  if (item.purchases.length > 0) {
+    return res.status(409).json({
+      success: false,
+      message: 'Gifts have already been bought for this item, so it stays on the registry'
+    });
+  }
+
+  // Add to cart first, so the item stays on the list if that fails
   let cart = await Cart.findOne({ user: req.user.id });
 
   if (!cart) {
     cart = await Cart.create({ user: req.user.id });
   }
 
-  await cart.addItem(productId, quantity, variant || item.variant);
+  await cart.addItem(productId, quantity, variant);
+
+  // Then take it off the wishlist
+  await wishlist.moveToCart(productId);
 
   // Populate both wishlist and cart
-  wishlist = await Wishlist.findById(wishlist._id)
-    .populate({
-      path: 'items.product',
-      select: 'name price images ratings category',
-      populate: {
-        path: 'category',
-        select: 'name slug'
-      }
-    });
+  await wishlist.populate(itemProducts);
 
   cart = await Cart.findById(cart._id)
     .populate({
@@ -302,44 +588,65 @@ router.post('/move-to-cart/:productId', [
   res.status(200).json({
     success: true,
     message: 'Item moved to cart successfully',
-    data: { wishlist, cart }
+    data: { wishlist: wishlist.toOwnerJSON(), cart }
   });
 }));
 
-// @desc    Get wishlist by share token
-// @route   GET /api/wishlist/shared/:token
-// @access  Public
-router.get('/shared/:token', asyncHandler(async (req, res) => {
-  const { token } = req.params;
+// @desc    Create a share link (scope 'view' or 'purchase', optional expiry)
+// @route   POST /api/wishlist/:listId/share
+// @access  Private
+router.post('/:listId/share', [
+  protect,
+  body('scope')
+    .optional()
+    .isIn(['view', 'purchase'])
+    .withMessage('Scope must be view or purchase'),
+  body('expiresInDays')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Links can expire after 1 to 365 days')
+    .toInt(),
+  validationErrorHandler
+], asyncHandler(async (req, res) => {
+  const { scope = 'view', expiresInDays } = req.body;
 
-  const wishlist = await Wishlist.findByShareToken(token)
-    .populate({
-      path: 'items.product',
-      select: 'name price images ratings category',
-      populate: {
-        path: 'category',
-        select: 'name slug'
-      }
-    });
+  const wishlist = await findOwnList(req);
 
   if (!wishlist) {
     return res.status(404).json({
       success: false,
-      message: 'Shared wishlist not found or no longer available'
+      message: 'Wishlist not found'
     });
   }
 
-  res.status(200).json({
+  if (wishlist.getActiveShareLinks().length >= MAX_SHARE_LINKS) {
+    return res.status(400).json({
+      success: false,
+      message: `A list can have up to ${MAX_SHARE_LINKS} active share links`
+    });
+  }
+
+  const link = await wishlist.createShareLink({
+    scope,
+    expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null
+  });
+
+  res.status(201).json({
     success: true,
-    data: { wishlist }
+    message: 'Wishlist sharing enabled',
+    data: {
+      link: wishlist.toShareLinkJSON(link),
+      isPublic: wishlist.isPublic
+    }
   });
 }));
 
-// @desc    Generate share token
-// @route   POST /api/wishlist/share
+// @desc    Get share links, with their view counts (?all=true includes
+//          revoked and expired links)
+// @route   GET /api/wishlist/:listId/share
 // @access  Private
-router.post('/share', protect, asyncHandler(async (req, res) => {
-  let wishlist = await Wishlist.findOne({ user: req.user.id });
+router.get('/:listId/share', protect, asyncHandler(async (req, res) => {
+  const wishlist = await findOwnList(req);
 
   if (!wishlist) {
     return res.status(404).json({
@@ -348,63 +655,41 @@ router.post('/share', protect, asyncHandler(async (req, res) => {
     });
   }
 
-  // Make wishlist public
-  wishlist.isPublic = true;
-  const token = await wishlist.generateShareToken();
-
-  const shareUrl = wishlist.getShareUrl();
+  const links = req.query.all === 'true' ? wishlist.shareLinks : wishlist.getActiveShareLinks();
 
   res.status(200).json({
     success: true,
-    message: 'Wishlist sharing enabled',
-    data: {
-      token,
-      shareUrl,
-      isPublic: wishlist.isPublic
-    }
+    data: { links: links.map(link => wishlist.toShareLinkJSON(link)) }
   });
 }));
 
-// @desc    Revoke share token
-// @route   DELETE /api/wishlist/share
+// @desc    Revoke a share link
+// @route   DELETE /api/wishlist/:listId/share/:linkId
 // @access  Private
-router.delete('/share', protect, asyncHandler(async (req, res) => {
-  let wishlist = await Wishlist.findOne({ user: req.user.id });
+router.delete('/:listId/share/:linkId', protect, asyncHandler(async (req, res) => {
+  const wishlist = await findOwnList(req);
 
-  if (!wishlist) {
+  if (!wishlist || !wishlist.shareLinks.id(req.params.linkId)) {
     return res.status(404).json({
       success: false,
-      message: 'Wishlist not found'
+      message: wishlist ? 'Share link not found' : 'Wishlist not found'
     });
   }
 
-  wishlist.isPublic = false;
-  await wishlist.revokeShareToken();
+  await wishlist.revokeShareLinks(req.params.linkId);
 
   res.status(200).json({
     success: true,
-    message: 'Wishlist sharing disabled'
+    message: 'Share link revoked',
+    data: { isPublic: wishlist.isPublic }
   });
 }));
 
-// @desc    Update wishlist settings
-// @route   PUT /api/wishlist/settings
+// @desc    Revoke every share link
+// @route   DELETE /api/wishlist/:listId/share
 // @access  Private
-router.put('/settings', [
-  protect,
-  body('name')
-    .optional()
-    .isLength({ min: 1, max: 100 })
-    .withMessage('Wishlist name must be between 1 and 100 characters'),
-  body('description')
-    .optional()
-    .isLength({ max: 500 })
-    .withMessage('Description cannot exceed 500 characters'),
-  validationErrorHandler
-], asyncHandler(async (req, res) => {
-  const { name, description } = req.body;
-
-  let wishlist = await Wishlist.findOne({ user: req.user.id });
+router.delete('/:listId/share', protect, asyncHandler(async (req, res) => {
+  const wishlist = await findOwnList(req);
 
   if (!wishlist) {
     return res.status(404).json({
@@ -413,25 +698,21 @@ router.put('/settings', [
     });
   }
 
-  if (name !== undefined) wishlist.name = name;
-  if (description !== undefined) wishlist.description = description;
-
-  await wishlist.save();
+  await wishlist.revokeShareLinks();
 
   res.status(200).json({
     success: true,
-    message: 'Wishlist settings updated successfully',
-    data: { wishlist }
+    message: 'Wishlist sharing disabled'
   });
 }));
 
 // @desc    Get wishlist items by priority
-// @route   GET /api/wishlist/priority/:priority
+// @route   GET /api/wishlist/:listId/priority/:priority
 // @access  Private
-router.get('/priority/:priority', protect, asyncHandler(async (req, res) => {
+router.get('/:listId/priority/:priority', protect, asyncHandler(async (req, res) => {
   const { priority } = req.params;
 
-  let wishlist = await Wishlist.findOne({ user: req.user.id });
+  const wishlist = await findOwnList(req);
 
   if (!wishlist) {
     return res.status(404).json({
@@ -458,4 +739,4 @@ router.get('/priority/:priority', protect, asyncHandler(async (req, res) => {
   });
 }));
 
-export default router;
\ No newline at end of file
+export default router;
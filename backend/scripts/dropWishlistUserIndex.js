@@ -0,0 +1,32 @@
+// backend/scripts/dropWishlistUserIndex.js
+// One-off migration: wishlists used to be one per user, enforced by a unique
+// index on `user`. Drop it so users can keep several lists.
+//
+//   npm run migrate:wishlist-indexes
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { logger } from "../middleware/errorHandler.js";
+
+dotenv.config();
+
+// Already dropped, or no wishlists collection yet
+const ALREADY_GONE = ["IndexNotFound", "NamespaceNotFound"];
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    await mongoose.connection.collection("wishlists").dropIndex("user_1");
+    logger.info("Dropped unique wishlists.user_1 index");
+  } catch (error) {
+    if (!ALREADY_GONE.includes(error.codeName)) throw error;
+    logger.info("wishlists.user_1 index already removed");
+  }
+};
+
+run()
+  .catch((error) => {
+    logger.error("Wishlist index migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
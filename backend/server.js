@@ -20,6 +20,14 @@ import wishlistRoutes from "./routes/wishlist.routes.js";
 import adminRoutes from "./routes/admin.routes.js";
 import uploadRoutes from "./routes/upload.routes.js";
 import paymentRoutes from "./routes/payment.routes.js";
+import couponRoutes from "./routes/coupon.routes.js";
+import taxRoutes from "./routes/tax.routes.js";
+import shippingRoutes from "./routes/shipping.routes.js";
+import returnRoutes from "./routes/return.routes.js";
+import giftCardRoutes from "./routes/giftCard.routes.js";
+import storeCreditRoutes from "./routes/storeCredit.routes.js";
+import loyaltyRoutes from "./routes/loyalty.routes.js";
+import notificationRoutes from "./routes/notification.routes.js";
 
 // Import middleware
 import { errorHandler } from "./middleware/errorHandler.js";
@@ -29,6 +37,16 @@ import authMiddleware from "./middleware/auth.js";
 // Import config
 import { connectDB } from "./config/database.js";
 import { cloudinaryConfig } from "./config/cloudinary.js";
+import { config as cartConfig } from "./config/cart.js";
+
+// Import background jobs
+import { startJobs } from "./jobs/index.js";
+
+// Import domain event subscribers
+import { startSubscribers } from "./events/index.js";
+
+// Import real-time setup
+import { setupSocket } from "./utils/socket.js";
 
 // Load environment variables
 dotenv.config();
@@ -65,6 +83,7 @@ const corsOptions = {
     "X-Requested-With",
     "Accept",
     "Origin",
+    "Idempotency-Key",
   ],
   optionsSuccessStatus: 200,
 };
@@ -106,9 +125,17 @@ const limiter = rateLimit({
 app.use("/api/", limiter);
 
 // Body parser middleware
-app.use(express.json({ limit: "10mb" }));
+app.use(
+  express.json({
+    limit: "10mb",
+    // Keep the raw body for webhook signature verification
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
-app.use(cookieParser());
+app.use(cookieParser(cartConfig.cookieSecret));
 
 // Compression and logging
 app.use(compression());
@@ -127,6 +154,14 @@ app.use("/api/wishlist", wishlistRoutes);
 app.use("/api/admin", adminRoutes);
 app.use("/api/upload", uploadRoutes);
 app.use("/api/payments", paymentRoutes);
+app.use("/api/coupons", couponRoutes);
+app.use("/api/tax-rates", taxRoutes);
+app.use("/api/shipping-zones", shippingRoutes);
+app.use("/api/returns", returnRoutes);
+app.use("/api/gift-cards", giftCardRoutes);
+app.use("/api/store-credit", storeCreditRoutes);
+app.use("/api/loyalty", loyaltyRoutes);
+app.use("/api/notifications", notificationRoutes);
 
 // Health check endpoint
 app.get("/api/health", (req, res) => {
@@ -139,23 +174,15 @@ app.get("/api/health", (req, res) => {
   });
 });
 
-// Socket.io for real-time features
-io.on("connection", (socket) => {
-  console.log("User connected:", socket.id);
-
-  socket.on("join-room", (userId) => {
-    socket.join(userId);
-    console.log(`User ${userId} joined room`);
-  });
-
-  socket.on("disconnect", () => {
-    console.log("User disconnected:", socket.id);
-  });
-});
+// Socket.io for real-time features (JWT-authenticated, server-assigned rooms)
+setupSocket(io);
 
 // Make io accessible to routes
 app.set("io", io);
 
+// React to domain events (stock alerts, restock suggestions, ...)
+startSubscribers({ io });
+
 // Error handling middleware
 app.use(notFound);
 app.use(errorHandler);
@@ -163,6 +190,9 @@ app.use(errorHandler);
 // Connect to MongoDB
 connectDB();
 
+// Start background jobs
+startJobs();
+
 // Start server
 const PORT = process.env.PORT || 5001;
 server.listen(PORT, () => {
@@ -0,0 +1,111 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import cookieParser from 'cookie-parser';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import orderRoutes from '../routes/order.routes.js';
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+
+process.env.JWT_SECRET = 'test-secret';
+
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use('/api/orders', orderRoutes);
+app.use(errorHandler);
+
+// A mongoose query stand-in: chainable, and resolves to `result` when awaited
+const queryOf = (result) => {
+  const query = {
+    select: () => query,
+    populate: () => query,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return query;
+};
+
+const makeUser = (role) => new User({
+  firstName: 'Test',
+  lastName: role,
+  email: `${role}@example.com`,
+  password: 'Secret123',
+  role
+});
+
+const tokenFor = (user) => jwt.sign(
+  { id: user._id.toString(), sid: new mongoose.Types.ObjectId().toString() },
+  process.env.JWT_SECRET
+);
+
+const recipientAddress = {
+  firstName: 'Rita',
+  lastName: 'Recipient',
+  address: '12 Hidden Lane',
+  city: 'Springfield',
+  state: 'IL',
+  zipCode: '62701',
+  country: 'US'
+};
+
+describe('gift registry orders', () => {
+  const buyer = makeUser('user');
+  const admin = makeUser('admin');
+  const users = { [buyer._id]: buyer, [admin._id]: admin };
+  let order;
+
+  beforeEach(() => {
+    order = new Order({
+      orderNumber: 'LH-TEST-1',
+      user: buyer._id,
+      guestEmail: undefined,
+      items: [],
+      shippingAddress: recipientAddress,
+      billingAddress: { ...recipientAddress, firstName: 'Bob', lastName: 'Buyer', address: '1 Buyer Road' },
+      isGift: true,
+      giftRegistry: new mongoose.Types.ObjectId()
+    });
+
+    jest.spyOn(User, 'findById').mockImplementation((id) => queryOf(users[id] || null));
+    jest.spyOn(Session, 'isActive').mockResolvedValue(true);
+    jest.spyOn(Order, 'findById').mockImplementation(() => queryOf(order));
+    jest.spyOn(Order, 'findOne').mockImplementation(() => queryOf(order));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('the buyer cannot read the recipient address', async () => {
+    const res = await request(app)
+      .get(`/api/orders/${order._id}`)
+      .set('Authorization', `Bearer ${tokenFor(buyer)}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.order.shippingAddress).toBeUndefined();
+    expect(res.body.data.order.shipsToRegistry).toBe(true);
+    expect(JSON.stringify(res.body)).not.toContain(recipientAddress.address);
+  });
+
+  test('a guest buyer cannot read the recipient address', () => {
+    order.user = undefined;
+    order.guestEmail = 'buyer@example.com';
+
+    const json = order.toViewerJSON();
+
+    expect(json.shippingAddress).toBeUndefined();
+    expect(json.billingAddress.address).toBe('1 Buyer Road');
+  });
+
+  test('admins still see where the gift ships', async () => {
+    const res = await request(app)
+      .get(`/api/orders/${order._id}`)
+      .set('Authorization', `Bearer ${tokenFor(admin)}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.order.shippingAddress.address).toBe(recipientAddress.address);
+  });
+});
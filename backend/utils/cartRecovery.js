@@ -0,0 +1,150 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Cart from '../models/Cart.js';
+import CartRecovery from '../models/CartRecovery.js';
+import Coupon from '../models/Coupon.js';
+import { sendEmail } from './email.js';
+import { config } from '../config/cart.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Signed token for the restore link in a recovery email
+export const createRecoveryToken = (recovery) => {
+  return jwt.sign({ recovery: recovery._id.toString() }, config.recoverySecret, {
+    expiresIn: `${config.recoveryLinkTtlDays}d`
+  });
+};
+
+// Recovery ID of a restore link token, or null if it is invalid or expired
+export const verifyRecoveryToken = (token) => {
+  try {
+    return jwt.verify(token, config.recoverySecret).recovery || null;
+  } catch {
+    return null;
+  }
+};
+
+// Single-use percentage coupon for a recovery email, or null if disabled
+const createRecoveryCoupon = async () => {
+  const { percentOff, validDays } = config.recoveryCoupon;
+  if (percentOff <= 0) return null;
+
+  return Coupon.create({
+    code: `COMEBACK-${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+    description: 'Abandoned cart recovery',
+    type: 'percentage',
+    value: percentOff,
+    usageLimit: 1,
+    usageLimitPerUser: 1,
+    expiresAt: new Date(Date.now() + validDays * DAY_MS)
+  });
+};
+
+// Filter for user carts that have gone quiet and haven't been emailed since.
+// Guest carts are skipped as there is no address to write to.
+export const abandonedCartFilter = (now = new Date()) => ({
+  user: { $exists: true },
+  'items.0': { $exists: true },
+  lastActivity: {
+    $lte: new Date(now - config.abandonedAfterHours * HOUR_MS),
+    $gte: new Date(now - config.abandonedMaxAgeDays * DAY_MS)
+  },
+  $or: [
+    { recoveryEmailedAt: null },
+    { $expr: { $lt: ['$recoveryEmailedAt', '$lastActivity'] } }
+  ]
+});
+
+// Send the recovery email for one abandoned cart. The cart is claimed first
+// so concurrent runs can't email it twice. Resolves to the recovery record,
+// or null if the cart was claimed elsewhere or its owner opted out.
+export const sendRecoveryEmail = async (cart) => {
+  const claimed = await Cart.findOneAndUpdate(
+    { _id: cart._id, recoveryEmailedAt: cart.recoveryEmailedAt ?? null },
+    { $set: { recoveryEmailedAt: new Date() } },
+    { new: true }
+  ).populate('user', 'firstName email preferences')
+    .populate('items.product', 'name images');
+
+  if (!claimed?.user || claimed.user.preferences?.newsletter === false) {
+    return null;
+  }
+
+  const coupon = await createRecoveryCoupon();
+  const recovery = await CartRecovery.create({
+    cart: claimed._id,
+    user: claimed.user._id,
+    email: claimed.user.email,
+    itemCount: claimed.getItemCount(),
+    cartTotal: claimed.total,
+    couponCode: coupon?.code
+  });
+
+  await Cart.updateOne({ _id: claimed._id }, { $set: { recovery: recovery._id } });
+
+  await sendEmail({
+    to: claimed.user.email,
+    template: 'abandoned-cart',
+    language: claimed.user.preferences?.language,
+    data: {
+      firstName: claimed.user.firstName,
+      items: claimed.items
+        .filter(item => item.product)
+        .map(item => ({
+          name: item.product.name,
+          variant: item.variant?.value || null,
+          quantity: item.quantity,
+          image: (item.product.images?.find(image => image.isMain) || item.product.images?.[0])?.url || null
+        })),
+      total: claimed.total,
+      restoreUrl: `${process.env.FRONTEND_URL}/cart/recover/${createRecoveryToken(recovery)}`,
+      couponCode: coupon?.code || null,
+      couponPercentOff: coupon?.value || null,
+      couponExpiresAt: coupon?.expiresAt || null
+    }
+  });
+
+  return recovery;
+};
+
+// Restore an abandoned cart from a restore link into the requester's cart
+// (which may be the abandoned cart itself) and apply the recovery coupon.
+// Throws an error with statusCode 400/404 if the link can't be used.
+export const restoreAbandonedCart = async (token, owner) => {
+  const fail = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  };
+
+  const recoveryId = verifyRecoveryToken(token);
+  if (!recoveryId) {
+    throw fail('This link is invalid or has expired', 400);
+  }
+
+  const recovery = await CartRecovery.findById(recoveryId);
+  const sourceCart = recovery && await Cart.findById(recovery.cart);
+  if (!sourceCart || sourceCart.items.length === 0) {
+    throw fail('This cart is no longer available', 404);
+  }
+
+  let cart = await Cart.findOne(owner);
+  if (!cart) {
+    cart = new Cart(owner);
+  }
+
+  if (recovery.couponCode && !cart.hasCoupon(recovery.couponCode)) {
+    cart.coupons.push({ code: recovery.couponCode, type: 'percentage' });
+  }
+  cart.recovery = recovery._id;
+
+  if (cart._id.equals(sourceCart._id)) {
+    await cart.save();
+  } else {
+    await cart.restoreItems(sourceCart);
+  }
+
+  await recovery.markRestored();
+  return cart;
+};
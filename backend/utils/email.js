@@ -1,14 +1,21 @@
 // backend/utils/email.js - Fixed version
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
 import { logger } from "../middleware/errorHandler.js";
 import { config } from "../config/email.js";
+import { renderTemplate } from "./emailTemplates/index.js";
+import EmailOutbox from "../models/EmailOutbox.js";
 
 // Simple nodemailer import that works
 import nodemailer from "nodemailer";
 
 // Create transporter with error handling
 const createTransporter = () => {
+  if (config.transport !== "smtp") return null;
+
   try {
-    return nodemailer.createTransporter({
+    return nodemailer.createTransport({
       host: config.smtp.host,
       port: config.smtp.port,
       secure: false,
@@ -18,65 +25,130 @@ const createTransporter = () => {
       },
     });
   } catch (error) {
-    console.log("⚠️  Email transporter failed, using mock:", error.message);
+    logger.error("Email transporter failed:", error);
     return null;
   }
 };
 
 const transporter = createTransporter();
 
-// Email templates (keep your existing ones)
-const emailTemplates = {
-  // ... your email templates stay the same ...
+// Transports deliver a rendered message and resolve to { messageId }. They
+// throw when delivery fails so the outbox can retry the message.
+const transports = {
+  smtp: async (mail) => {
+    if (!transporter) {
+      throw new Error("SMTP transporter is not available");
+    }
+    const info = await transporter.sendMail(mail);
+    return { messageId: info.messageId };
+  },
+
+  // Writes each email to a JSON file instead of sending it
+  outbox: async (mail) => {
+    const dir = path.resolve(config.outboxDir);
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(
+      path.join(dir, `${messageId}.json`),
+      JSON.stringify({ messageId, ...mail, createdAt: new Date() }, null, 2)
+    );
+    return { messageId };
+  },
 };
 
-// Send email function with fallback
-export const sendEmail = async (options) => {
+// Deliver a claimed outbox message and record the outcome on it. Failed
+// attempts are rescheduled with backoff until the message runs out of attempts.
+export const deliverEmail = async (message) => {
   try {
-    const template = emailTemplates[options.template];
-    if (!template) {
-      throw new Error(`Email template '${options.template}' not found`);
+    const transport = transports[config.transport];
+    if (!transport) {
+      throw new Error(`Unknown email transport '${config.transport}'`);
     }
 
-    const emailData = template(options.data);
+    const { messageId } = await transport({
+      from: process.env.FROM_EMAIL || "Luxe Heritage <noreply@yourapp.com>",
+      to: message.to,
+      subject: message.subject,
+      html: message.html,
+      text: message.text,
+    });
 
-    // Mock email if transporter failed
-    if (!transporter) {
-      console.log(`📧 Mock email to: ${options.to}`);
-      console.log(`Subject: ${emailData.subject}`);
-      return { messageId: "mock-id", mock: true };
-    }
+    await message.markSent({ messageId, transport: config.transport });
+    logger.info(`Email sent to ${message.to}`);
+  } catch (error) {
+    await message.markFailed(error);
+    logger.error(
+      `Email to ${message.to} failed (attempt ${message.attempts}/${message.maxAttempts}): ${error.message}`
+    );
+  }
 
-    const mailOptions = {
-      from: process.env.FROM_EMAIL || "Luxe Heritage <noreply@yourapp.com>",
+  return message;
+};
+
+// Deliver due outbox messages, up to a limit. Resolves to how many were tried.
+export const processOutbox = async ({ limit = 50 } = {}) => {
+  let processed = 0;
+
+  while (processed < limit) {
+    const message = await EmailOutbox.claimNext();
+    if (!message) break;
+
+    await deliverEmail(message);
+    processed++;
+  }
+
+  return processed;
+};
+
+// Queue an email. The template is rendered now, in options.language (the
+// recipient's preferences.language) when it has been translated, and
+// delivery is attempted straight away; the email worker retries failures.
+// Never throws - resolves to the outbox message, or null if it couldn't be queued.
+export const sendEmail = async (options) => {
+  try {
+    const emailData = renderTemplate(options.template, options.data, {
+      language: options.language,
+    });
+
+    const message = await EmailOutbox.create({
       to: options.to,
+      template: options.template,
+      language: emailData.language,
       subject: emailData.subject,
       html: emailData.html,
       text: emailData.text,
-    };
+    });
+
+    EmailOutbox.claim(message._id)
+      .then((claimed) => claimed && deliverEmail(claimed))
+      .catch((error) => logger.error(`Email delivery to ${options.to} failed:`, error));
 
-    const info = await transporter.sendMail(mailOptions);
-    logger.info(`Email sent to ${options.to}`);
-    return info;
+    return message;
   } catch (error) {
     logger.error(`Email failed to ${options.to}:`, error);
-    // Don't crash the app - just return mock
-    return { messageId: "failed", error: error.message, mock: true };
+    // Don't crash the app
+    return null;
   }
 };
 
 export const testEmailConfig = async () => {
-  if (!transporter) {
-    console.log("📧 Email test skipped (using mock)");
+  if (config.transport === "outbox") {
+    logger.info(`Emails are written to ${path.resolve(config.outboxDir)}`);
     return true;
   }
 
+  if (!transporter) {
+    logger.warn("Email test skipped (no transporter)");
+    return false;
+  }
+
   try {
     await transporter.verify();
-    console.log("✅ Email configuration working");
+    logger.info("Email configuration working");
     return true;
   } catch (error) {
-    console.log("⚠️  Email test failed:", error.message);
+    logger.warn(`Email test failed: ${error.message}`);
     return false;
   }
 };
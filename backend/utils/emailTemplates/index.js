@@ -0,0 +1,143 @@
+import en from './locales/en.js';
+import es from './locales/es.js';
+import { renderHtml, renderText } from './layout.js';
+import { config } from '../../config/email.js';
+import { config as paymentConfig } from '../../config/payments.js';
+
+// Template sets by language code (User.preferences.language) and the locale
+// used to format their dates and amounts
+const locales = {
+  en: { ...en, locale: 'en-US' },
+  es: { ...es, locale: 'es-ES' }
+};
+
+export const languages = Object.keys(locales);
+
+export const templateNames = Object.keys(en.templates);
+
+const createFormatters = (locale) => ({
+  money: (amount) => new Intl.NumberFormat(locale, {
+    style: 'currency',
+    currency: paymentConfig.currency.toUpperCase()
+  }).format(Number(amount) || 0),
+  date: (value) => new Intl.DateTimeFormat(locale, { dateStyle: 'long' }).format(new Date(value))
+});
+
+// Pick the template set for a language ("es-MX" uses "es"), falling back to
+// the default language for unknown languages and untranslated templates
+const resolveLocale = (name, language) => {
+  const code = String(language || '').toLowerCase().split('-')[0];
+  const candidates = [code, config.defaultLanguage, 'en'];
+
+  for (const candidate of candidates) {
+    if (locales[candidate]?.templates[name]) {
+      return { language: candidate, ...locales[candidate] };
+    }
+  }
+  return null;
+};
+
+// Render a template to { subject, html, text, language }. Throws if there is
+// no template with that name.
+export const renderTemplate = (name, data = {}, { language } = {}) => {
+  const resolved = resolveLocale(name, language);
+  if (!resolved) {
+    throw new Error(`Email template '${name}' not found`);
+  }
+
+  const content = resolved.templates[name](data, createFormatters(resolved.locale));
+  const options = { strings: resolved.layout, language: resolved.language };
+
+  return {
+    subject: content.subject,
+    html: renderHtml(content, options),
+    text: renderText(content, options),
+    language: resolved.language
+  };
+};
+
+// Sample data for previewing each template
+const sampleOrder = {
+  firstName: 'Alex',
+  orderNumber: 'ORD-240001',
+  orderUrl: `${config.brand.url}/orders/sample`
+};
+
+export const sampleData = {
+  'email-verification': {
+    firstName: 'Alex',
+    verificationUrl: `${config.brand.url}/verify-email/sample-token`
+  },
+  'password-reset': {
+    firstName: 'Alex',
+    resetUrl: `${config.brand.url}/reset-password/sample-token`,
+    expiresInMinutes: 30
+  },
+  'order-confirmation': {
+    ...sampleOrder,
+    items: [
+      { name: 'Heritage Leather Weekender', variant: 'Cognac', quantity: 1, price: 289 },
+      { name: 'Cashmere Travel Scarf', variant: null, quantity: 2, price: 75 }
+    ],
+    subtotal: 439,
+    discount: 43.9,
+    shipping: 0,
+    tax: 31.61,
+    pricesIncludeTax: false,
+    total: 426.71,
+    estimatedDelivery: new Date(Date.now() + 5 * 24 * 60 * 60 * 1000)
+  },
+  'shipping-notification': {
+    ...sampleOrder,
+    status: 'shipped',
+    trackingNumber: '1Z999AA10123456784',
+    carrier: 'FedEx'
+  },
+  'order-status-update': {
+    ...sampleOrder,
+    status: 'delivered',
+    previousStatus: 'shipped'
+  },
+  'order-cancelled': {
+    ...sampleOrder,
+    status: 'cancelled'
+  },
+  'return-status-update': {
+    firstName: 'Alex',
+    returnNumber: 'RET-240001',
+    status: 'refunded',
+    refundAmount: 289,
+    rejectionReason: null
+  },
+  'abandoned-cart': {
+    firstName: 'Alex',
+    items: [
+      { name: 'Heritage Leather Weekender', variant: 'Cognac', quantity: 1 }
+    ],
+    total: 289,
+    restoreUrl: `${config.brand.url}/cart/recover/sample-token`,
+    couponCode: 'COMEBACK-1A2B3C4D',
+    couponPercentOff: 10,
+    couponExpiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)
+  },
+  'back-in-stock': {
+    firstName: 'Alex',
+    name: 'Heritage Leather Weekender',
+    productUrl: `${config.brand.url}/products/heritage-leather-weekender`
+  },
+  'price-drop': {
+    firstName: 'Alex',
+    name: 'Heritage Leather Weekender',
+    previousPrice: 289,
+    price: 239,
+    productUrl: `${config.brand.url}/products/heritage-leather-weekender`
+  },
+  'stock-alert': {
+    name: 'Heritage Leather Weekender (Cognac)',
+    sku: 'WEEKENDER-COLOR-COGNAC',
+    quantity: 3,
+    threshold: 5,
+    outOfStock: false,
+    productUrl: `${config.brand.url}/admin/products/sample-id`
+  }
+};
@@ -0,0 +1,125 @@
+import { config } from '../../config/email.js';
+
+// Templates describe an email as content blocks; the brand layout turns the
+// same content into the HTML and plain-text parts so they never drift apart.
+//
+// content: {
+//   subject, preheader, heading,
+//   paragraphs: [string],
+//   items: [{ name, detail, quantity, price }],
+//   summary: [{ label, value, strong }],
+//   action: { label, url },
+//   notes: [string]
+// }
+
+export const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const FONT = "Georgia, 'Times New Roman', serif";
+
+const htmlItems = (items, strings) => `
+  <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="border-collapse: collapse; margin: 24px 0;">
+    ${items.map(item => `
+    <tr>
+      <td style="padding: 10px 0; border-bottom: 1px solid #eee;">
+        ${escapeHtml(item.name)}${item.detail ? `<br><span style="color: #888; font-size: 13px;">${escapeHtml(item.detail)}</span>` : ''}
+      </td>
+      <td style="padding: 10px 0; border-bottom: 1px solid #eee; text-align: center; color: #666; white-space: nowrap;">${escapeHtml(strings.quantity)} ${escapeHtml(item.quantity)}</td>
+      <td style="padding: 10px 0; border-bottom: 1px solid #eee; text-align: right; white-space: nowrap;">${escapeHtml(item.price ?? '')}</td>
+    </tr>`).join('')}
+  </table>`;
+
+const htmlSummary = (rows) => `
+  <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="margin: 16px 0 24px;">
+    ${rows.map(row => `
+    <tr>
+      <td style="padding: 4px 0; color: #666;${row.strong ? ' font-weight: bold; color: #1a1a1a;' : ''}">${escapeHtml(row.label)}</td>
+      <td style="padding: 4px 0; text-align: right;${row.strong ? ' font-weight: bold;' : ''}">${escapeHtml(row.value)}</td>
+    </tr>`).join('')}
+  </table>`;
+
+const htmlAction = (action, strings, brand) => `
+  <p style="text-align: center; margin: 32px 0 16px;">
+    <a href="${escapeHtml(action.url)}" style="display: inline-block; background: ${escapeHtml(brand.color)}; color: #ffffff; padding: 14px 32px; text-decoration: none; letter-spacing: 1px;">${escapeHtml(action.label)}</a>
+  </p>
+  <p style="font-size: 12px; color: #888; word-break: break-all;">${escapeHtml(strings.actionFallback)}<br>${escapeHtml(action.url)}</p>`;
+
+// Wrap template content in the brand's HTML layout
+export const renderHtml = (content, { strings, language }) => {
+  const { brand } = config;
+  const paragraphs = content.paragraphs || [];
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(language)}">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(content.subject)}</title>
+</head>
+<body style="margin: 0; padding: 0; background: #f4f1ec; font-family: ${FONT}; color: #333;">
+  <span style="display: none; max-height: 0; overflow: hidden;">${escapeHtml(content.preheader || '')}</span>
+  <table role="presentation" width="100%" cellpadding="0" cellspacing="0">
+    <tr>
+      <td align="center" style="padding: 24px 12px;">
+        <table role="presentation" width="600" cellpadding="0" cellspacing="0" style="width: 100%; max-width: 600px; background: #ffffff;">
+          <tr>
+            <td style="background: ${escapeHtml(brand.color)}; padding: 24px; text-align: center;">
+              <a href="${escapeHtml(brand.url)}" style="color: #ffffff; font-size: 24px; letter-spacing: 3px; text-decoration: none; text-transform: uppercase;">${escapeHtml(brand.name)}</a>
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 32px 40px; font-size: 15px; line-height: 1.6;">
+              <h1 style="font-size: 22px; font-weight: normal; color: #1a1a1a; margin: 0 0 24px;">${escapeHtml(content.heading)}</h1>
+              ${paragraphs.map(text => `<p style="margin: 0 0 16px;">${escapeHtml(text)}</p>`).join('\n              ')}
+              ${content.items?.length ? htmlItems(content.items, strings) : ''}
+              ${content.summary?.length ? htmlSummary(content.summary) : ''}
+              ${content.action ? htmlAction(content.action, strings, brand) : ''}
+              ${(content.notes || []).map(text => `<p style="font-size: 13px; color: #888; margin: 16px 0 0;">${escapeHtml(text)}</p>`).join('\n              ')}
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 24px 40px; background: #faf8f5; font-size: 12px; color: #888; text-align: center; line-height: 1.5;">
+              ${escapeHtml(strings.support(brand.supportEmail))}<br>
+              &copy; ${new Date().getFullYear()} ${escapeHtml(brand.name)}. ${escapeHtml(strings.footer)}
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>`;
+};
+
+// Render the same content as the plain-text part
+export const renderText = (content, { strings }) => {
+  const { brand } = config;
+  const blocks = [
+    brand.name.toUpperCase(),
+    content.heading,
+    ...(content.paragraphs || [])
+  ];
+
+  if (content.items?.length) {
+    blocks.push(content.items
+      .map(item => `- ${item.quantity} × ${item.name}${item.detail ? ` (${item.detail})` : ''}${item.price ? ` ${item.price}` : ''}`)
+      .join('\n'));
+  }
+  if (content.summary?.length) {
+    blocks.push(content.summary.map(row => `${row.label}: ${row.value}`).join('\n'));
+  }
+  if (content.action) {
+    blocks.push(`${content.action.label}: ${content.action.url}`);
+  }
+
+  blocks.push(
+    ...(content.notes || []),
+    `--\n${strings.support(brand.supportEmail)}\n© ${new Date().getFullYear()} ${brand.name}. ${strings.footer}`
+  );
+
+  return blocks.filter(Boolean).join('\n\n');
+};
@@ -0,0 +1,206 @@
+// English templates. Each template takes the data passed to sendEmail and
+// locale-aware formatters, and returns content blocks for the brand layout.
+
+const orderStatusCopy = {
+  confirmed: {
+    subject: (n) => `Your order is confirmed - ${n}`,
+    heading: 'Your order is confirmed',
+    body: (n) => `Payment for order ${n} has gone through and we're getting it ready.`
+  },
+  processing: {
+    subject: (n) => `We're preparing your order - ${n}`,
+    heading: "We're preparing your order",
+    body: (n) => `Order ${n} is being packed and will ship soon.`
+  },
+  delivered: {
+    subject: (n) => `Your order has been delivered - ${n}`,
+    heading: 'Your order has arrived',
+    body: (n) => `Order ${n} has been delivered. We hope you love it.`
+  },
+  returned: {
+    subject: (n) => `Your return has been processed - ${n}`,
+    heading: 'Your return has been processed',
+    body: (n) => `We've processed the return for order ${n}.`
+  }
+};
+
+const returnStatusCopy = {
+  requested: (r) => `We've received your return request ${r} and will review it shortly.`,
+  approved: (r) => `Your return ${r} has been approved. Please send the items back using the instructions in your account.`,
+  rejected: (r) => `Unfortunately your return ${r} could not be approved.`,
+  received: (r) => `We've received the items for return ${r} and are inspecting them.`,
+  refunded: (r) => `Your refund for return ${r} has been issued.`
+};
+
+export default {
+  layout: {
+    quantity: 'Qty',
+    actionFallback: "If the button doesn't work, copy this link into your browser:",
+    support: (email) => `Questions? Write to us at ${email}.`,
+    footer: 'All rights reserved.'
+  },
+
+  templates: {
+    'email-verification': (data) => ({
+      subject: 'Verify your email address',
+      preheader: 'One more step to finish setting up your account.',
+      heading: `Welcome, ${data.firstName}`,
+      paragraphs: [
+        'Thank you for creating an account. Please confirm your email address to finish setting it up.'
+      ],
+      action: { label: 'Verify email', url: data.verificationUrl },
+      notes: ["If you didn't create an account, you can ignore this email."]
+    }),
+
+    'password-reset': (data) => ({
+      subject: 'Reset your password',
+      preheader: 'Use this link to choose a new password.',
+      heading: 'Reset your password',
+      paragraphs: [
+        `Hi ${data.firstName}, we received a request to reset the password for your account.`
+      ],
+      action: { label: 'Choose a new password', url: data.resetUrl },
+      notes: [
+        `This link expires in ${data.expiresInMinutes || 30} minutes. If you didn't ask to reset your password, you can ignore this email.`
+      ]
+    }),
+
+    'order-confirmation': (data, format) => ({
+      subject: `Order confirmation - ${data.orderNumber}`,
+      preheader: `We've received order ${data.orderNumber}.`,
+      heading: 'Thank you for your order',
+      paragraphs: [
+        `Hi ${data.firstName}, we've received order ${data.orderNumber} and will let you know as soon as it ships.`,
+        data.estimatedDelivery && `Estimated delivery: ${format.date(data.estimatedDelivery)}`
+      ].filter(Boolean),
+      items: (data.items || []).map(item => ({
+        name: item.name,
+        detail: item.variant,
+        quantity: item.quantity,
+        price: format.money(item.price * item.quantity)
+      })),
+      summary: [
+        { label: 'Subtotal', value: format.money(data.subtotal) },
+        data.discount > 0 && { label: 'Discount', value: `-${format.money(data.discount)}` },
+        { label: 'Shipping', value: data.shipping > 0 ? format.money(data.shipping) : 'Free' },
+        data.tax > 0 && { label: data.pricesIncludeTax ? 'Included tax' : 'Tax', value: format.money(data.tax) },
+        { label: 'Total', value: format.money(data.total), strong: true }
+      ].filter(Boolean),
+      action: data.orderUrl && { label: 'View your order', url: data.orderUrl }
+    }),
+
+    'shipping-notification': (data) => ({
+      subject: `Your order has shipped - ${data.orderNumber}`,
+      preheader: `Order ${data.orderNumber} is on its way.`,
+      heading: 'Your order is on its way',
+      paragraphs: [`Hi ${data.firstName}, good news: order ${data.orderNumber} has shipped.`],
+      summary: [
+        data.carrier && { label: 'Carrier', value: data.carrier },
+        data.trackingNumber && { label: 'Tracking number', value: data.trackingNumber }
+      ].filter(Boolean),
+      action: data.trackingUrl
+        ? { label: 'Track your package', url: data.trackingUrl }
+        : data.orderUrl && { label: 'View your order', url: data.orderUrl }
+    }),
+
+    'order-status-update': (data) => {
+      const copy = orderStatusCopy[data.status];
+
+      return {
+        subject: copy ? copy.subject(data.orderNumber) : `Order update - ${data.orderNumber}`,
+        heading: copy ? copy.heading : 'Your order has been updated',
+        paragraphs: [
+          `Hi ${data.firstName},`,
+          copy ? copy.body(data.orderNumber) : `Order ${data.orderNumber} is now ${data.status}.`
+        ],
+        action: data.orderUrl && { label: 'View your order', url: data.orderUrl }
+      };
+    },
+
+    'order-cancelled': (data) => ({
+      subject: `Your order has been cancelled - ${data.orderNumber}`,
+      heading: 'Your order has been cancelled',
+      paragraphs: [
+        `Hi ${data.firstName}, order ${data.orderNumber} has been cancelled.`,
+        'Anything you paid will be returned the way you paid it: to your card, gift cards, store credit or points.'
+      ],
+      action: data.orderUrl && { label: 'View your order', url: data.orderUrl }
+    }),
+
+    'return-status-update': (data, format) => ({
+      subject: `Return ${data.returnNumber} - update`,
+      heading: 'An update on your return',
+      paragraphs: [
+        `Hi ${data.firstName},`,
+        (returnStatusCopy[data.status] || ((r) => `Return ${r} is now ${data.status}.`))(data.returnNumber)
+      ],
+      summary: [
+        data.status === 'refunded' && data.refundAmount > 0 &&
+          { label: 'Refund', value: format.money(data.refundAmount), strong: true }
+      ].filter(Boolean),
+      notes: [data.rejectionReason && `Reason: ${data.rejectionReason}`].filter(Boolean)
+    }),
+
+    'abandoned-cart': (data, format) => ({
+      subject: 'You left something in your cart',
+      preheader: 'Your cart is saved and waiting for you.',
+      heading: `${data.firstName}, your cart is waiting`,
+      paragraphs: [
+        'You left these items in your cart. We saved them for you, so you can pick up right where you left off.',
+        data.couponCode &&
+          `As a thank you, use code ${data.couponCode} for ${data.couponPercentOff}% off your order, valid until ${format.date(data.couponExpiresAt)}.`
+      ].filter(Boolean),
+      items: (data.items || []).map(item => ({
+        name: item.name,
+        detail: item.variant,
+        quantity: item.quantity
+      })),
+      summary: [{ label: 'Cart total', value: format.money(data.total), strong: true }],
+      action: { label: 'Return to your cart', url: data.restoreUrl }
+    }),
+
+    'back-in-stock': (data) => ({
+      subject: `Back in stock: ${data.name}`,
+      preheader: `${data.name} is available again.`,
+      heading: `${data.firstName}, it's back`,
+      paragraphs: [
+        `${data.name} is back in stock. Popular pieces sell out quickly, so don't wait too long.`,
+        "You're getting this because the product is on your wishlist or you asked us to let you know."
+      ],
+      action: { label: 'Shop now', url: data.productUrl }
+    }),
+
+    'price-drop': (data, format) => ({
+      subject: `Price drop: ${data.name}`,
+      preheader: `${data.name} is now ${format.money(data.price)}.`,
+      heading: `${data.firstName}, the price just dropped`,
+      paragraphs: [
+        `${data.name} is now ${format.money(data.price)}, down from ${format.money(data.previousPrice)}.`,
+        "You're getting this because the product is on your wishlist or you're watching its price."
+      ],
+      summary: [
+        { label: 'Was', value: format.money(data.previousPrice) },
+        { label: 'Now', value: format.money(data.price), strong: true }
+      ],
+      action: { label: 'Shop now', url: data.productUrl }
+    }),
+
+    'stock-alert': (data) => ({
+      subject: data.outOfStock ? `Out of stock: ${data.name}` : `Low stock: ${data.name}`,
+      preheader: data.outOfStock ? `${data.name} has sold out.` : `Only ${data.quantity} left of ${data.name}.`,
+      heading: data.outOfStock ? `${data.name} is out of stock` : `${data.name} is running low`,
+      paragraphs: [
+        data.outOfStock
+          ? `${data.name} has sold out and can no longer be ordered.`
+          : `Only ${data.quantity} left of ${data.name}, at or below its alert level of ${data.threshold}.`,
+        'A restock suggestion has been added to the inventory list.'
+      ],
+      summary: [
+        data.sku && { label: 'SKU', value: data.sku },
+        { label: 'In stock', value: String(data.quantity), strong: true },
+        { label: 'Alert level', value: String(data.threshold) }
+      ].filter(Boolean),
+      action: { label: 'View product', url: data.productUrl }
+    })
+  }
+};
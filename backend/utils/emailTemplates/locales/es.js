@@ -0,0 +1,205 @@
+// Spanish templates; same data and content blocks as locales/en.js
+
+const orderStatusCopy = {
+  confirmed: {
+    subject: (n) => `Tu pedido está confirmado - ${n}`,
+    heading: 'Tu pedido está confirmado',
+    body: (n) => `Hemos recibido el pago del pedido ${n} y ya lo estamos preparando.`
+  },
+  processing: {
+    subject: (n) => `Estamos preparando tu pedido - ${n}`,
+    heading: 'Estamos preparando tu pedido',
+    body: (n) => `Estamos empaquetando el pedido ${n} y saldrá pronto.`
+  },
+  delivered: {
+    subject: (n) => `Tu pedido ha sido entregado - ${n}`,
+    heading: 'Tu pedido ha llegado',
+    body: (n) => `El pedido ${n} ha sido entregado. Esperamos que te encante.`
+  },
+  returned: {
+    subject: (n) => `Tu devolución ha sido procesada - ${n}`,
+    heading: 'Tu devolución ha sido procesada',
+    body: (n) => `Hemos procesado la devolución del pedido ${n}.`
+  }
+};
+
+const returnStatusCopy = {
+  requested: (r) => `Hemos recibido tu solicitud de devolución ${r} y la revisaremos en breve.`,
+  approved: (r) => `Tu devolución ${r} ha sido aprobada. Envíanos los artículos siguiendo las instrucciones de tu cuenta.`,
+  rejected: (r) => `Lo sentimos, no hemos podido aprobar tu devolución ${r}.`,
+  received: (r) => `Hemos recibido los artículos de la devolución ${r} y los estamos revisando.`,
+  refunded: (r) => `Hemos emitido el reembolso de tu devolución ${r}.`
+};
+
+export default {
+  layout: {
+    quantity: 'Cant.',
+    actionFallback: 'Si el botón no funciona, copia este enlace en tu navegador:',
+    support: (email) => `¿Tienes preguntas? Escríbenos a ${email}.`,
+    footer: 'Todos los derechos reservados.'
+  },
+
+  templates: {
+    'email-verification': (data) => ({
+      subject: 'Verifica tu correo electrónico',
+      preheader: 'Un último paso para terminar de configurar tu cuenta.',
+      heading: `Te damos la bienvenida, ${data.firstName}`,
+      paragraphs: [
+        'Gracias por crear una cuenta. Confirma tu correo electrónico para terminar de configurarla.'
+      ],
+      action: { label: 'Verificar correo', url: data.verificationUrl },
+      notes: ['Si no has creado una cuenta, puedes ignorar este correo.']
+    }),
+
+    'password-reset': (data) => ({
+      subject: 'Restablece tu contraseña',
+      preheader: 'Usa este enlace para elegir una nueva contraseña.',
+      heading: 'Restablece tu contraseña',
+      paragraphs: [
+        `Hola ${data.firstName}, hemos recibido una solicitud para restablecer la contraseña de tu cuenta.`
+      ],
+      action: { label: 'Elegir una nueva contraseña', url: data.resetUrl },
+      notes: [
+        `Este enlace caduca en ${data.expiresInMinutes || 30} minutos. Si no has pedido restablecer tu contraseña, puedes ignorar este correo.`
+      ]
+    }),
+
+    'order-confirmation': (data, format) => ({
+      subject: `Confirmación del pedido - ${data.orderNumber}`,
+      preheader: `Hemos recibido el pedido ${data.orderNumber}.`,
+      heading: 'Gracias por tu pedido',
+      paragraphs: [
+        `Hola ${data.firstName}, hemos recibido el pedido ${data.orderNumber} y te avisaremos en cuanto se envíe.`,
+        data.estimatedDelivery && `Entrega estimada: ${format.date(data.estimatedDelivery)}`
+      ].filter(Boolean),
+      items: (data.items || []).map(item => ({
+        name: item.name,
+        detail: item.variant,
+        quantity: item.quantity,
+        price: format.money(item.price * item.quantity)
+      })),
+      summary: [
+        { label: 'Subtotal', value: format.money(data.subtotal) },
+        data.discount > 0 && { label: 'Descuento', value: `-${format.money(data.discount)}` },
+        { label: 'Envío', value: data.shipping > 0 ? format.money(data.shipping) : 'Gratis' },
+        data.tax > 0 && { label: data.pricesIncludeTax ? 'Impuestos incluidos' : 'Impuestos', value: format.money(data.tax) },
+        { label: 'Total', value: format.money(data.total), strong: true }
+      ].filter(Boolean),
+      action: data.orderUrl && { label: 'Ver tu pedido', url: data.orderUrl }
+    }),
+
+    'shipping-notification': (data) => ({
+      subject: `Tu pedido ha sido enviado - ${data.orderNumber}`,
+      preheader: `El pedido ${data.orderNumber} está en camino.`,
+      heading: 'Tu pedido está en camino',
+      paragraphs: [`Hola ${data.firstName}, buenas noticias: el pedido ${data.orderNumber} ha sido enviado.`],
+      summary: [
+        data.carrier && { label: 'Transportista', value: data.carrier },
+        data.trackingNumber && { label: 'Número de seguimiento', value: data.trackingNumber }
+      ].filter(Boolean),
+      action: data.trackingUrl
+        ? { label: 'Seguir tu paquete', url: data.trackingUrl }
+        : data.orderUrl && { label: 'Ver tu pedido', url: data.orderUrl }
+    }),
+
+    'order-status-update': (data) => {
+      const copy = orderStatusCopy[data.status];
+
+      return {
+        subject: copy ? copy.subject(data.orderNumber) : `Actualización del pedido - ${data.orderNumber}`,
+        heading: copy ? copy.heading : 'Tu pedido se ha actualizado',
+        paragraphs: [
+          `Hola ${data.firstName}:`,
+          copy ? copy.body(data.orderNumber) : `El estado del pedido ${data.orderNumber} es ahora ${data.status}.`
+        ],
+        action: data.orderUrl && { label: 'Ver tu pedido', url: data.orderUrl }
+      };
+    },
+
+    'order-cancelled': (data) => ({
+      subject: `Tu pedido ha sido cancelado - ${data.orderNumber}`,
+      heading: 'Tu pedido ha sido cancelado',
+      paragraphs: [
+        `Hola ${data.firstName}, el pedido ${data.orderNumber} ha sido cancelado.`,
+        'Te devolveremos lo que hayas pagado por el mismo medio: tarjeta, tarjetas regalo, saldo o puntos.'
+      ],
+      action: data.orderUrl && { label: 'Ver tu pedido', url: data.orderUrl }
+    }),
+
+    'return-status-update': (data, format) => ({
+      subject: `Devolución ${data.returnNumber} - actualización`,
+      heading: 'Novedades sobre tu devolución',
+      paragraphs: [
+        `Hola ${data.firstName}:`,
+        (returnStatusCopy[data.status] || ((r) => `El estado de la devolución ${r} es ahora ${data.status}.`))(data.returnNumber)
+      ],
+      summary: [
+        data.status === 'refunded' && data.refundAmount > 0 &&
+          { label: 'Reembolso', value: format.money(data.refundAmount), strong: true }
+      ].filter(Boolean),
+      notes: [data.rejectionReason && `Motivo: ${data.rejectionReason}`].filter(Boolean)
+    }),
+
+    'abandoned-cart': (data, format) => ({
+      subject: 'Te has dejado algo en el carrito',
+      preheader: 'Hemos guardado tu carrito para ti.',
+      heading: `${data.firstName}, tu carrito te espera`,
+      paragraphs: [
+        'Te has dejado estos artículos en el carrito. Los hemos guardado para que puedas seguir donde lo dejaste.',
+        data.couponCode &&
+          `Como agradecimiento, usa el código ${data.couponCode} para obtener un ${data.couponPercentOff}% de descuento, válido hasta el ${format.date(data.couponExpiresAt)}.`
+      ].filter(Boolean),
+      items: (data.items || []).map(item => ({
+        name: item.name,
+        detail: item.variant,
+        quantity: item.quantity
+      })),
+      summary: [{ label: 'Total del carrito', value: format.money(data.total), strong: true }],
+      action: { label: 'Volver a tu carrito', url: data.restoreUrl }
+    }),
+
+    'back-in-stock': (data) => ({
+      subject: `De nuevo disponible: ${data.name}`,
+      preheader: `${data.name} vuelve a estar disponible.`,
+      heading: `${data.firstName}, ha vuelto`,
+      paragraphs: [
+        `${data.name} vuelve a estar disponible. Las piezas más populares se agotan rápido, así que no esperes demasiado.`,
+        'Recibes este correo porque el producto está en tu lista de deseos o nos pediste que te avisáramos.'
+      ],
+      action: { label: 'Comprar ahora', url: data.productUrl }
+    }),
+
+    'price-drop': (data, format) => ({
+      subject: `Bajada de precio: ${data.name}`,
+      preheader: `${data.name} ahora cuesta ${format.money(data.price)}.`,
+      heading: `${data.firstName}, el precio acaba de bajar`,
+      paragraphs: [
+        `${data.name} ahora cuesta ${format.money(data.price)}, antes ${format.money(data.previousPrice)}.`,
+        'Recibes este correo porque el producto está en tu lista de deseos o estás siguiendo su precio.'
+      ],
+      summary: [
+        { label: 'Antes', value: format.money(data.previousPrice) },
+        { label: 'Ahora', value: format.money(data.price), strong: true }
+      ],
+      action: { label: 'Comprar ahora', url: data.productUrl }
+    }),
+
+    'stock-alert': (data) => ({
+      subject: data.outOfStock ? `Agotado: ${data.name}` : `Stock bajo: ${data.name}`,
+      preheader: data.outOfStock ? `${data.name} se ha agotado.` : `Solo quedan ${data.quantity} de ${data.name}.`,
+      heading: data.outOfStock ? `${data.name} está agotado` : `Quedan pocas unidades de ${data.name}`,
+      paragraphs: [
+        data.outOfStock
+          ? `${data.name} se ha agotado y ya no se puede pedir.`
+          : `Solo quedan ${data.quantity} de ${data.name}, en o por debajo de su nivel de alerta de ${data.threshold}.`,
+        'Se ha añadido una sugerencia de reposición a la lista de inventario.'
+      ],
+      summary: [
+        data.sku && { label: 'SKU', value: data.sku },
+        { label: 'En stock', value: String(data.quantity), strong: true },
+        { label: 'Nivel de alerta', value: String(data.threshold) }
+      ].filter(Boolean),
+      action: { label: 'Ver producto', url: data.productUrl }
+    })
+  }
+};
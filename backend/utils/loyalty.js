@@ -0,0 +1,98 @@
+import LoyaltyPoints from '../models/LoyaltyPoints.js';
+import User from '../models/User.js';
+import { config } from '../config/loyalty.js';
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Tier reached with a number of lifetime points
+export const getTier = (lifetimePoints = 0) => {
+  return config.tiers.reduce(
+    (reached, tier) => (lifetimePoints >= tier.minPoints ? tier : reached),
+    config.tiers[0]
+  );
+};
+
+// Next tier up, or null at the top
+export const getNextTier = (lifetimePoints = 0) => {
+  return config.tiers.find(tier => tier.minPoints > lifetimePoints) || null;
+};
+
+// Tier of a user by ID (null for unknown users)
+export const getUserTier = async (userId) => {
+  const user = await User.findById(userId).select('loyalty');
+  return user ? getTier(user.loyalty?.lifetimePoints) : null;
+};
+
+// Currency value of a number of points
+export const pointsToAmount = (points) => roundCurrency(points * config.pointValue);
+
+// Points an order earns: its total minus discounts, excluding whatever was
+// paid with points, at the earn rate and the customer's tier multiplier
+export const calculateOrderPoints = (order, tier) => {
+  const paidWithPoints = order.tenders?.loyaltyPoints?.amount || 0;
+  const eligible = Math.max(0, order.total - order.discount - paidWithPoints);
+  return Math.floor(eligible * config.earnRate * (tier?.earnMultiplier || 1));
+};
+
+// Check a checkout redemption and work out what it pays for. Throws an error
+// with statusCode 400 if the user can't redeem that many points on the order.
+export const planPointsRedemption = ({ points, balance, total }) => {
+  const fail = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  };
+
+  if (points < config.minRedeemPoints) {
+    throw fail(`At least ${config.minRedeemPoints} points must be redeemed at a time`);
+  }
+  if (points > balance) {
+    throw fail(`Insufficient loyalty points (available: ${balance})`);
+  }
+
+  const maxAmount = roundCurrency(total * config.maxRedeemRatio);
+  if (pointsToAmount(points) > maxAmount) {
+    throw fail(`Points can pay for at most ${maxAmount.toFixed(2)} of this order`);
+  }
+
+  return { points, amount: pointsToAmount(points) };
+};
+
+// Credit the points for a delivered order (guest orders don't earn any)
+export const awardOrderPoints = async (order) => {
+  if (!order.user) return 0;
+
+  const userId = order.user._id || order.user;
+  const tier = await getUserTier(userId);
+  const points = calculateOrderPoints(order, tier);
+  if (points <= 0) return 0;
+
+  await LoyaltyPoints.adjust(userId, points, {
+    type: 'earn',
+    order: order._id,
+    note: `Order ${order.orderNumber} delivered`
+  });
+
+  await order.constructor.updateOne({ _id: order._id }, { $set: { pointsEarned: points } });
+  order.set('pointsEarned', points);
+  order.unmarkModified('pointsEarned');
+
+  return points;
+};
+
+// Undo the points of a cancelled or returned order: give back what was
+// redeemed on it and take back what it earned
+export const reverseOrderPoints = async (order) => {
+  if (!order.user) return;
+
+  const userId = order.user._id || order.user;
+  const note = `Order ${order.orderNumber} ${order.status}`;
+  const redeemed = order.tenders?.loyaltyPoints?.points || 0;
+
+  if (redeemed > 0) {
+    await LoyaltyPoints.adjust(userId, redeemed, { type: 'reverse_redeem', order: order._id, note });
+  }
+  if (order.pointsEarned > 0) {
+    await LoyaltyPoints.adjust(userId, -order.pointsEarned, { type: 'reverse_earn', order: order._id, note });
+  }
+};
@@ -0,0 +1,24 @@
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+
+// Socket.IO rooms. A signed-in user's sockets all join their user room;
+// admins' sockets also join the admin room (see utils/socket.js).
+export const userRoom = (userId) => `user:${userId}`;
+export const ADMIN_ROOM = 'admins';
+
+// Save a notification for a user and push it to their open sockets
+export const notifyUser = async (io, userId, { type, title, message, link, data = {} }) => {
+  const notification = await Notification.create({ user: userId, type, title, message, link, data });
+
+  if (io) {
+    io.to(userRoom(userId)).emit('notification', notification);
+  }
+
+  return notification;
+};
+
+// Save and push a notification to every admin
+export const notifyAdmins = async (io, notification) => {
+  const admins = await User.find({ role: 'admin' }).select('_id');
+  return Promise.all(admins.map(admin => notifyUser(io, admin._id, notification)));
+};
@@ -0,0 +1,113 @@
+import Product from '../models/Product.js';
+import Coupon from '../models/Coupon.js';
+import { sendEmail } from './email.js';
+import { restoreTenders } from './payments/tenders.js';
+import { awardOrderPoints, reverseOrderPoints } from './loyalty.js';
+import { notifyUser, userRoom } from './notifications.js';
+import { publishStockChanges } from './stockEvents.js';
+import { logger } from '../middleware/errorHandler.js';
+
+// Customer email templates sent when an order reaches a status (the
+// templates word their subjects per status)
+const statusEmails = {
+  confirmed: 'order-status-update',
+  shipped: 'shipping-notification',
+  delivered: 'order-status-update',
+  cancelled: 'order-cancelled',
+  returned: 'order-status-update'
+};
+
+// Stock, coupon, tender and loyalty side effects, keyed by the status entered
+const statusEffects = {
+  cancelled: async (order) => {
+    // Give back coupon usage
+    await Coupon.release(order.coupons.map(c => c.code));
+
+    // Give back gift card balances, store credit and redeemed points
+    await restoreTenders(order);
+    await reverseOrderPoints(order);
+
+    // Restore inventory
+    for (const item of order.items) {
+      await Product.restock(item.product._id || item.product, item.quantity, {
+        variantSku: item.variant?.sku
+      });
+    }
+    await publishStockChanges(order.items, { change: 'increase' });
+  },
+
+  delivered: async (order) => {
+    await awardOrderPoints(order);
+  },
+
+  returned: async (order) => {
+    await reverseOrderPoints(order);
+  }
+};
+
+const notifyCustomer = async (order, previousStatus, io) => {
+  if (!order.populated('user')) {
+    await order.populate('user', 'firstName lastName email preferences.language');
+  }
+
+  const template = statusEmails[order.status];
+  const to = order.getCustomerEmail();
+  if (template && to) {
+    await sendEmail({
+      to,
+      template,
+      language: order.user?.preferences?.language,
+      data: {
+        firstName: order.user?.firstName ||
+          (order.giftRegistry ? order.billingAddress : order.shippingAddress)?.firstName,
+        orderNumber: order.orderNumber,
+        orderUrl: order.user ? `${process.env.FRONTEND_URL}/orders/${order._id}` : null,
+        status: order.status,
+        previousStatus,
+        trackingNumber: order.trackingNumber,
+        carrier: 'FedEx' // Default carrier
+      }
+    });
+  }
+
+  if (order.user) {
+    await notifyUser(io, order.user._id, {
+      type: 'order_status',
+      title: `Order ${order.orderNumber} ${order.status}`,
+      message: `Your order ${order.orderNumber} is now ${order.status}.`,
+      link: `/orders/${order._id}`,
+      data: { orderId: order._id, orderNumber: order.orderNumber, status: order.status, previousStatus }
+    });
+
+    if (io) {
+      io.to(userRoom(order.user._id)).emit('order-status-updated', {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        previousStatus
+      });
+    }
+  }
+};
+
+// Move an order to a new status and run the side effects of the transition.
+// Throws an error with statusCode 400 for illegal transitions and 409 if the
+// order was changed concurrently.
+export const changeOrderStatus = async (order, status, { actor = null, actorRole = 'system', note, io } = {}) => {
+  const previousStatus = order.status;
+
+  await order.updateStatus(status, { actor, actorRole, note });
+
+  if (statusEffects[status]) {
+    await statusEffects[status](order, previousStatus);
+  }
+
+  // Notifications must never undo a status change that already happened
+  try {
+    await notifyCustomer(order, previousStatus, io);
+  } catch (error) {
+    logger.error(`Failed to send status notification for order ${order.orderNumber}:`, error);
+  }
+
+  return order;
+};
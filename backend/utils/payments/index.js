@@ -0,0 +1,258 @@
+import Transaction from '../../models/Transaction.js';
+import StoreCredit from '../../models/StoreCredit.js';
+import { config } from '../../config/payments.js';
+import { mockProvider } from './mockProvider.js';
+import { stripeProvider } from './stripeProvider.js';
+import { changeOrderStatus } from '../orderStatus.js';
+import { refundToGiftCards } from './tenders.js';
+import { notifyUser } from '../notifications.js';
+import { logger } from '../../middleware/errorHandler.js';
+
+// A PaymentProvider implements:
+//   createIntent({ amount, currency, order, user, metadata }) -> intent
+//   retrieveIntent(intentId)                                   -> intent
+//   confirmIntent(intentId, { paymentMethod, customer })       -> intent
+//   cancelIntent(intentId)                                     -> intent
+//   refund({ intentId, amount, reason })                       -> refund
+//   savePaymentMethod({ token, customerId, email })            -> saved method details
+//   removePaymentMethod(providerMethodId)
+// Intents are normalized to { id, provider, clientSecret, amount, currency,
+// status, orderId, chargeId, amountRefunded, paymentMethod, lastError, created }
+// with Stripe's status names and amounts in major units; chargeId is the
+// latest charge attempt.
+const providers = {
+  mock: mockProvider,
+  stripe: stripeProvider
+};
+
+export const registerPaymentProvider = (name, provider) => {
+  providers[name] = provider;
+};
+
+export const getPaymentProvider = (name = config.provider) => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  return provider;
+};
+
+// Provider that holds an order's payment (falls back to the configured one)
+const providerForOrder = (order) => getPaymentProvider(order.paymentInfo?.provider || config.provider);
+
+const REUSABLE_STATUSES = ['requires_payment_method', 'requires_confirmation'];
+
+// Get a payment intent for an order, reusing the current one while it can
+// still be paid. The amount always comes from the order, never the client.
+export const createOrderIntent = async (order) => {
+  if (['completed', 'refunded', 'partially_refunded'].includes(order.paymentInfo.status)) {
+    const error = new Error('Order has already been paid');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  // Gift cards and store credit taken at checkout are not charged again
+  const amountDue = order.getAmountDue();
+
+  if (order.paymentInfo.transactionId && order.paymentInfo.provider) {
+    const existing = await providerForOrder(order).retrieveIntent(order.paymentInfo.transactionId);
+    if (REUSABLE_STATUSES.includes(existing.status) && existing.amount === amountDue) {
+      return existing;
+    }
+  }
+
+  const provider = getPaymentProvider();
+  const intent = await provider.createIntent({
+    amount: amountDue,
+    currency: config.currency,
+    order: order._id,
+    user: order.user?._id || order.user,
+    metadata: { orderNumber: order.orderNumber }
+  });
+
+  order.paymentInfo.provider = provider.name;
+  order.paymentInfo.transactionId = intent.id;
+  order.paymentInfo.status = 'pending';
+  await order.save();
+
+  return intent;
+};
+
+// Ledger fields shared by every transaction for an order's intent
+const transactionBase = (order, intent) => ({
+  user: order.user?._id || order.user,
+  order: order._id,
+  currency: intent.currency,
+  provider: intent.provider,
+  providerReference: intent.chargeId || undefined,
+  ...(intent.paymentMethod && {
+    paymentMethod: { brand: intent.paymentMethod.brand, last4: intent.paymentMethod.last4 }
+  })
+});
+
+// Add a refund to the ledger; refunds of the whole order total in one go
+// are full refunds, anything smaller is partial
+export const recordRefundTransaction = (order, amount, { reference, reason, provider } = {}) => Transaction.record({
+  user: order.user?._id || order.user,
+  order: order._id,
+  type: amount >= order.total ? 'refund' : 'partial_refund',
+  amount,
+  currency: config.currency,
+  provider: provider || order.paymentInfo.provider,
+  providerReference: reference || undefined,
+  description: reason ? `Refund for order ${order.orderNumber}: ${reason}` : `Refund for order ${order.orderNumber}`
+});
+
+// Save and push the outcome of a payment to the customer. Never throws, as
+// the payment itself has already been recorded.
+const notifyPaymentResult = async (order, succeeded, io) => {
+  if (!order.user) return;
+
+  try {
+    await notifyUser(io, order.user._id || order.user, {
+      type: 'payment',
+      title: succeeded ? `Payment received for order ${order.orderNumber}` : `Payment failed for order ${order.orderNumber}`,
+      message: succeeded
+        ? 'Thank you, your payment went through.'
+        : 'Your payment could not be completed. Please try again or use another payment method.',
+      link: `/orders/${order._id}`,
+      data: { orderId: order._id, orderNumber: order.orderNumber, paymentStatus: order.paymentInfo.status }
+    });
+  } catch (error) {
+    logger.error(`Failed to send payment notification for order ${order.orderNumber}:`, error);
+  }
+};
+
+// Copy an intent's outcome onto its order; successful payments confirm a
+// pending order. Shared by the confirm endpoints and provider webhooks.
+export const applyIntentToOrder = async (order, intent, { io } = {}) => {
+  if (intent.status === 'succeeded') {
+    if (order.paymentInfo.status === 'completed') return order;
+
+    order.paymentInfo.status = 'completed';
+    order.paymentInfo.paidAt = new Date();
+    if (intent.paymentMethod) {
+      order.paymentInfo.brand = intent.paymentMethod.brand;
+      order.paymentInfo.lastFour = intent.paymentMethod.last4;
+    }
+    await order.save();
+
+    await Transaction.record({
+      ...transactionBase(order, intent),
+      type: 'charge',
+      amount: intent.amount,
+      description: `Payment for order ${order.orderNumber}`
+    });
+
+    await notifyPaymentResult(order, true, io);
+
+    if (order.canTransitionTo('confirmed')) {
+      await changeOrderStatus(order, 'confirmed', { note: 'Payment received', io });
+    }
+  } else if (intent.status === 'processing') {
+    order.paymentInfo.status = 'processing';
+    await order.save();
+  } else if (intent.lastError) {
+    order.paymentInfo.status = 'failed';
+    await order.save();
+
+    await Transaction.record({
+      ...transactionBase(order, intent),
+      type: 'charge',
+      status: 'failed',
+      amount: intent.amount,
+      description: `Payment for order ${order.orderNumber}`,
+      failureReason: intent.lastError.message
+    });
+
+    await notifyPaymentResult(order, false, io);
+  }
+
+  return order;
+};
+
+// Charge an order's intent with a payment method token, or a saved
+// PaymentMethod document belonging to the order's customer
+export const confirmOrderPayment = async (order, paymentMethod, { io } = {}) => {
+  const saved = typeof paymentMethod === 'object' ? paymentMethod : null;
+
+  if (saved && saved.provider !== order.paymentInfo.provider) {
+    const error = new Error('This saved payment method cannot be used with the current payment provider');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const intent = await providerForOrder(order).confirmIntent(order.paymentInfo.transactionId, {
+    paymentMethod: saved ? saved.providerMethodId : paymentMethod,
+    customer: saved?.providerCustomerId
+  });
+  await applyIntentToOrder(order, intent, { io });
+  return intent;
+};
+
+// Refund part or all of an order. Money goes back the way it came: to the
+// provider that took the payment first, then as store credit for what was
+// paid with gift cards or credit (or all of it with toStoreCredit).
+// Orders paid outside a provider (no intent) only get the refund recorded.
+export const refundOrder = async (order, amount, { reason, toStoreCredit = false } = {}) => {
+  const refundable = order.getRefundableAmount();
+  const refundAmount = amount ?? refundable;
+
+  if (refundAmount <= 0 || refundAmount > refundable) {
+    const error = new Error(`Refund must be between 0 and the remaining refundable amount of ${refundable.toFixed(2)}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (toStoreCredit && !order.user) {
+    const error = new Error('Guest orders cannot be refunded as store credit');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const creditAmount = toStoreCredit
+    ? refundAmount
+    : Math.max(0, Math.round((refundAmount - order.getCardRefundableAmount()) * 100) / 100);
+  const cardAmount = Math.round((refundAmount - creditAmount) * 100) / 100;
+
+  let refund = null;
+  if (cardAmount > 0 && order.paymentInfo.transactionId && order.paymentInfo.provider) {
+    if (!['completed', 'partially_refunded'].includes(order.paymentInfo.status)) {
+      const error = new Error('Only paid orders can be refunded');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    refund = await providerForOrder(order).refund({
+      intentId: order.paymentInfo.transactionId,
+      amount: cardAmount,
+      reason
+    });
+  }
+
+  // Guests can only pay with gift cards besides the card, so whatever the
+  // card can't take back goes onto those
+  if (creditAmount > 0 && !order.user) {
+    await refundToGiftCards(order, creditAmount, { note: reason });
+  } else if (creditAmount > 0) {
+    await StoreCredit.adjust(order.user._id || order.user, creditAmount, {
+      reason: 'refund',
+      order: order._id,
+      note: reason
+    });
+  }
+
+  await order.recordRefund(refundAmount, { toStoreCredit: creditAmount });
+
+  if (cardAmount > 0) {
+    await recordRefundTransaction(order, cardAmount, { reference: refund?.id, reason });
+  }
+  if (creditAmount > 0) {
+    await recordRefundTransaction(order, creditAmount, {
+      reason,
+      provider: order.user ? 'store_credit' : 'gift_card'
+    });
+  }
+
+  return { refund, storeCredit: creditAmount, order };
+};
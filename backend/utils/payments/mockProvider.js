@@ -0,0 +1,197 @@
+import crypto from 'crypto';
+import PaymentIntent from '../../models/PaymentIntent.js';
+
+// Local payment gateway for development and tests. Intents, charges and
+// refunds live in MongoDB and follow the same lifecycle as Stripe's.
+//
+// Payment methods are Stripe-style test tokens: "pm_card_visa",
+// "pm_card_mastercard", ... succeed; tokens containing "declined",
+// "insufficient" or "expired" fail with the matching decline code.
+
+const TEST_CARD_LAST4 = {
+  visa: '4242',
+  mastercard: '4444',
+  amex: '8431',
+  discover: '1117'
+};
+
+const DECLINES = [
+  { match: /insufficient/i, code: 'insufficient_funds', message: 'Your card has insufficient funds.' },
+  { match: /expired/i, code: 'expired_card', message: 'Your card has expired.' },
+  { match: /declined/i, code: 'card_declined', message: 'Your card was declined.' }
+];
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+const generateId = (prefix) => `${prefix}_mock_${crypto.randomBytes(12).toString('hex')}`;
+
+const describePaymentMethod = (paymentMethod) => {
+  const brand = Object.keys(TEST_CARD_LAST4).find(name => paymentMethod.toLowerCase().includes(name)) || 'unknown';
+  return { id: paymentMethod, brand, last4: TEST_CARD_LAST4[brand] || '0000' };
+};
+
+// Normalized intent shape shared by every provider
+const toIntent = (doc) => {
+  const charge = doc.successfulCharge || doc.charges[doc.charges.length - 1];
+
+  return {
+    id: doc.intentId,
+    provider: 'mock',
+    clientSecret: `${doc.intentId}_secret_${doc.clientSecret}`,
+    amount: doc.amount,
+    currency: doc.currency,
+    status: doc.status,
+    orderId: doc.order.toString(),
+    chargeId: charge?.chargeId || null,
+    amountRefunded: doc.amountRefunded,
+    paymentMethod: charge?.paymentMethod?.id
+      ? { id: charge.paymentMethod.id, brand: charge.paymentMethod.brand, last4: charge.paymentMethod.last4 }
+      : null,
+    lastError: doc.lastError?.code ? { code: doc.lastError.code, message: doc.lastError.message } : null,
+    created: doc.createdAt
+  };
+};
+
+const findIntent = async (intentId) => {
+  const doc = await PaymentIntent.findOne({ intentId });
+
+  if (!doc) {
+    const error = new Error('Payment intent not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return doc;
+};
+
+export const mockProvider = {
+  name: 'mock',
+
+  async createIntent({ amount, currency, order, user, metadata = {} }) {
+    const doc = await PaymentIntent.create({
+      order,
+      user,
+      amount: roundCurrency(amount),
+      currency,
+      metadata
+    });
+
+    return toIntent(doc);
+  },
+
+  async retrieveIntent(intentId) {
+    return toIntent(await findIntent(intentId));
+  },
+
+  async confirmIntent(intentId, { paymentMethod }) {
+    const current = await findIntent(intentId);
+
+    // Attach the payment method unless a failed confirm already did
+    if (current.status === 'requires_payment_method') {
+      await PaymentIntent.transition(intentId, 'requires_confirmation', {
+        $set: { paymentMethod },
+        $unset: { lastError: 1 }
+      });
+    }
+
+    await PaymentIntent.transition(intentId, 'processing');
+
+    const card = describePaymentMethod(paymentMethod);
+    const decline = DECLINES.find(({ match }) => match.test(paymentMethod));
+    const charge = {
+      chargeId: generateId('ch'),
+      amount: current.amount,
+      status: decline ? 'failed' : 'succeeded',
+      failureCode: decline?.code,
+      failureMessage: decline?.message,
+      paymentMethod: card
+    };
+
+    const doc = decline
+      ? await PaymentIntent.transition(intentId, 'requires_payment_method', {
+        $set: { lastError: { code: decline.code, message: decline.message } },
+        $push: { charges: charge }
+      })
+      : await PaymentIntent.transition(intentId, 'succeeded', {
+        $set: { succeededAt: new Date() },
+        $push: { charges: charge }
+      });
+
+    return toIntent(doc);
+  },
+
+  async cancelIntent(intentId) {
+    const doc = await PaymentIntent.transition(intentId, 'canceled', {
+      $set: { canceledAt: new Date() }
+    });
+
+    return toIntent(doc);
+  },
+
+  async savePaymentMethod({ token }) {
+    if (!/^pm_/.test(token)) {
+      const error = new Error('Invalid payment method token');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const card = describePaymentMethod(token);
+    const expYear = new Date().getFullYear() + (/expired/i.test(token) ? -1 : 3);
+
+    return {
+      providerMethodId: token,
+      customerId: null,
+      type: 'card',
+      brand: card.brand,
+      last4: card.last4,
+      expMonth: 12,
+      expYear
+    };
+  },
+
+  async removePaymentMethod() {
+    // Nothing is stored at the mock provider
+  },
+
+  async refund({ intentId, amount, reason }) {
+    const current = await findIntent(intentId);
+    const refundAmount = roundCurrency(amount ?? current.amount - current.amountRefunded);
+    const refund = {
+      refundId: generateId('re'),
+      chargeId: current.successfulCharge?.chargeId,
+      amount: refundAmount,
+      reason,
+      status: 'succeeded'
+    };
+
+    // Only succeeded intents can be refunded, and never beyond what was charged
+    const doc = await PaymentIntent.findOneAndUpdate(
+      {
+        intentId,
+        status: 'succeeded',
+        $expr: { $lte: [{ $add: ['$amountRefunded', refundAmount] }, { $add: ['$amount', 0.001] }] }
+      },
+      {
+        $inc: { amountRefunded: refundAmount },
+        $push: { refunds: refund }
+      },
+      { new: true }
+    );
+
+    if (!doc) {
+      const error = new Error(current.status !== 'succeeded'
+        ? 'Only successful payments can be refunded'
+        : 'Refund exceeds the amount remaining on this payment');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return {
+      id: refund.refundId,
+      intentId,
+      amount: refundAmount,
+      currency: doc.currency,
+      status: refund.status,
+      reason
+    };
+  }
+};
@@ -0,0 +1,141 @@
+import Stripe from 'stripe';
+import { config } from '../../config/payments.js';
+
+// Stripe adapter. Amounts are passed around in major units (e.g. dollars)
+// like everywhere else in the app and converted to cents at this boundary.
+
+let client = null;
+
+const getClient = () => {
+  if (!config.stripe.secretKey) {
+    throw new Error('STRIPE_SECRET_KEY is required when PAYMENT_PROVIDER=stripe');
+  }
+
+  if (!client) {
+    client = new Stripe(config.stripe.secretKey);
+  }
+  return client;
+};
+
+const toMinorUnits = (amount) => Math.round(amount * 100);
+const toMajorUnits = (amount) => Math.round(amount) / 100;
+
+// Stripe only accepts these refund reasons
+const STRIPE_REFUND_REASONS = ['duplicate', 'fraudulent', 'requested_by_customer'];
+
+// Normalized intent shape shared by every provider
+const toIntent = (intent) => {
+  const charge = typeof intent.latest_charge === 'object' ? intent.latest_charge : null;
+  const card = charge?.payment_method_details?.card;
+
+  return {
+    id: intent.id,
+    provider: 'stripe',
+    clientSecret: intent.client_secret,
+    amount: toMajorUnits(intent.amount),
+    currency: intent.currency,
+    status: intent.status,
+    orderId: intent.metadata?.orderId || null,
+    chargeId: charge?.id || (typeof intent.latest_charge === 'string' ? intent.latest_charge : null),
+    amountRefunded: charge ? toMajorUnits(charge.amount_refunded) : 0,
+    paymentMethod: card
+      ? { id: charge.payment_method, brand: card.brand, last4: card.last4 }
+      : null,
+    lastError: intent.last_payment_error
+      ? { code: intent.last_payment_error.decline_code || intent.last_payment_error.code, message: intent.last_payment_error.message }
+      : null,
+    created: new Date(intent.created * 1000)
+  };
+};
+
+export const stripeProvider = {
+  name: 'stripe',
+
+  async createIntent({ amount, currency, order, user, metadata = {} }) {
+    const intent = await getClient().paymentIntents.create({
+      amount: toMinorUnits(amount),
+      currency,
+      metadata: {
+        ...metadata,
+        orderId: order.toString(),
+        ...(user && { userId: user.toString() })
+      },
+      automatic_payment_methods: { enabled: true, allow_redirects: 'never' }
+    });
+
+    return toIntent(intent);
+  },
+
+  async retrieveIntent(intentId) {
+    const intent = await getClient().paymentIntents.retrieve(intentId, {
+      expand: ['latest_charge']
+    });
+
+    return toIntent(intent);
+  },
+
+  async confirmIntent(intentId, { paymentMethod, customer }) {
+    try {
+      // Saved methods can only be charged on behalf of the customer they belong to
+      if (customer) {
+        await getClient().paymentIntents.update(intentId, { customer });
+      }
+
+      const intent = await getClient().paymentIntents.confirm(intentId, {
+        payment_method: paymentMethod,
+        expand: ['latest_charge']
+      });
+
+      return toIntent(intent);
+    } catch (error) {
+      // Card declines come back as errors; report them as a failed attempt
+      if (error.type === 'StripeCardError' && error.payment_intent) {
+        return toIntent(error.payment_intent);
+      }
+      throw error;
+    }
+  },
+
+  async cancelIntent(intentId) {
+    const intent = await getClient().paymentIntents.cancel(intentId);
+    return toIntent(intent);
+  },
+
+  async savePaymentMethod({ token, customerId, email }) {
+    const stripe = getClient();
+    const customer = customerId || (await stripe.customers.create({ email })).id;
+    const method = await stripe.paymentMethods.attach(token, { customer });
+
+    return {
+      providerMethodId: method.id,
+      customerId: customer,
+      type: 'card',
+      brand: method.card?.brand,
+      last4: method.card?.last4,
+      expMonth: method.card?.exp_month,
+      expYear: method.card?.exp_year
+    };
+  },
+
+  async removePaymentMethod(providerMethodId) {
+    await getClient().paymentMethods.detach(providerMethodId);
+  },
+
+  async refund({ intentId, amount, reason }) {
+    const refund = await getClient().refunds.create({
+      payment_intent: intentId,
+      ...(amount != null && { amount: toMinorUnits(amount) }),
+      reason: STRIPE_REFUND_REASONS.includes(reason) ? reason : 'requested_by_customer',
+      ...(reason && { metadata: { reason } })
+    });
+
+    return {
+      id: refund.id,
+      intentId,
+      amount: toMajorUnits(refund.amount),
+      currency: refund.currency,
+      status: refund.status,
+      reason
+    };
+  }
+};
@@ -0,0 +1,210 @@
+import GiftCard from '../../models/GiftCard.js';
+import LoyaltyPoints from '../../models/LoyaltyPoints.js';
+import StoreCredit from '../../models/StoreCredit.js';
+import Transaction from '../../models/Transaction.js';
+import User from '../../models/User.js';
+import { config } from '../../config/payments.js';
+import { planPointsRedemption } from '../loyalty.js';
+
+// Loyalty points, gift cards and store credit ("tenders") pay part or all
+// of an order at checkout; the order's payment method covers the rest.
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const tenderError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Work out how much points, each gift card and the user's store credit pay
+// towards an order total, in that order (gift cards in the order given).
+// Throws an error with statusCode 400 for unknown, expired or insufficient tenders.
+export const planTenders = async ({ total, user, loyaltyPoints = 0, giftCardCodes = [], storeCredit = 0 }) => {
+  let remaining = roundCurrency(total);
+  const giftCards = [];
+  const needsBalances = loyaltyPoints > 0 || storeCredit > 0;
+  if (needsBalances && !user) {
+    throw tenderError('Please sign in to use loyalty points or store credit');
+  }
+  const balances = needsBalances ? await User.findById(user).select('storeCredit loyalty') : null;
+
+  let points = { points: 0, amount: 0 };
+  if (loyaltyPoints > 0) {
+    points = planPointsRedemption({ points: loyaltyPoints, balance: balances.loyalty?.points || 0, total });
+    remaining = roundCurrency(remaining - points.amount);
+  }
+
+  for (const code of [...new Set(giftCardCodes.map(c => String(c).trim().toUpperCase()))]) {
+    const giftCard = await GiftCard.findByCode(code);
+
+    if (!giftCard) {
+      throw tenderError(`Gift card ${code} was not found`);
+    }
+    if (!giftCard.isUsable()) {
+      throw tenderError(`Gift card ${giftCard.maskedCode} ${giftCard.isExpired ? 'has expired' : 'has no balance left'}`);
+    }
+    if (giftCard.currency !== config.currency) {
+      throw tenderError(`Gift card ${giftCard.maskedCode} is in a different currency`);
+    }
+
+    const amount = roundCurrency(Math.min(giftCard.balance, remaining));
+    if (amount > 0) {
+      giftCards.push({ giftCard, amount });
+      remaining = roundCurrency(remaining - amount);
+    }
+  }
+
+  let creditAmount = 0;
+  if (storeCredit > 0 && remaining > 0) {
+    const balance = balances.storeCredit;
+    creditAmount = roundCurrency(Math.min(storeCredit, remaining));
+
+    if (creditAmount > (balance || 0)) {
+      throw tenderError(`Insufficient store credit (available: ${(balance || 0).toFixed(2)})`);
+    }
+    remaining = roundCurrency(remaining - creditAmount);
+  }
+
+  return {
+    loyaltyPoints: points,
+    giftCards,
+    storeCredit: creditAmount,
+    amountDue: remaining
+  };
+};
+
+// Order fields for a tender plan
+export const toOrderTenders = (plan) => ({
+  loyaltyPoints: plan.loyaltyPoints,
+  giftCards: plan.giftCards.map(({ giftCard, amount }) => ({
+    giftCard: giftCard._id,
+    code: giftCard.maskedCode,
+    amount
+  })),
+  storeCredit: plan.storeCredit
+});
+
+// Take the planned amounts off the points, gift cards and store credit. Each
+// decrement is conditional on the balance, so a tender spent elsewhere in the
+// meantime fails with statusCode 409 and aborts the surrounding transaction.
+export const redeemTenders = async (plan, { order, user, session }) => {
+  if (plan.loyaltyPoints.points > 0) {
+    try {
+      await LoyaltyPoints.adjust(user, -plan.loyaltyPoints.points, { type: 'redeem', order, session });
+    } catch (error) {
+      if (error.statusCode) error.statusCode = 409;
+      throw error;
+    }
+  }
+
+  for (const { giftCard, amount } of plan.giftCards) {
+    const redeemed = await GiftCard.redeem(giftCard._id, amount, { order, user, session });
+    if (!redeemed) {
+      throw tenderError(`Gift card ${giftCard.maskedCode} balance changed, please review your payment and try again`, 409);
+    }
+  }
+
+  if (plan.storeCredit > 0) {
+    try {
+      await StoreCredit.adjust(user, -plan.storeCredit, { reason: 'order_payment', order, session });
+    } catch (error) {
+      if (error.statusCode) error.statusCode = 409;
+      throw error;
+    }
+  }
+};
+
+// Add the tenders an order was paid with to the transaction ledger
+export const recordTenderTransactions = async (order) => {
+  const base = {
+    user: order.user?._id || order.user,
+    order: order._id,
+    type: 'charge',
+    currency: config.currency
+  };
+
+  if (order.tenders.loyaltyPoints?.amount > 0) {
+    await Transaction.record({
+      ...base,
+      amount: order.tenders.loyaltyPoints.amount,
+      provider: 'loyalty_points',
+      description: `${order.tenders.loyaltyPoints.points} loyalty points for order ${order.orderNumber}`
+    });
+  }
+
+  for (const tender of order.tenders.giftCards) {
+    await Transaction.record({
+      ...base,
+      amount: tender.amount,
+      provider: 'gift_card',
+      description: `Gift card ${tender.code} for order ${order.orderNumber}`,
+      paymentMethod: { brand: 'gift_card', last4: tender.code.slice(-4) }
+    });
+  }
+
+  if (order.tenders.storeCredit > 0) {
+    await Transaction.record({
+      ...base,
+      amount: order.tenders.storeCredit,
+      provider: 'store_credit',
+      description: `Store credit for order ${order.orderNumber}`
+    });
+  }
+};
+
+// Split an amount over an order's gift cards, then its store credit,
+// skipping whatever was already given back by earlier refunds
+const allocateTenders = (order, amount) => {
+  let skip = order.paymentInfo?.refundedToStoreCredit || 0;
+  let remaining = roundCurrency(amount);
+  const giftCards = [];
+
+  for (const tender of order.tenders?.giftCards || []) {
+    const available = roundCurrency(Math.max(0, tender.amount - skip));
+    skip = roundCurrency(Math.max(0, skip - tender.amount));
+
+    const share = roundCurrency(Math.min(available, remaining));
+    if (share > 0) {
+      giftCards.push({ giftCard: tender.giftCard, amount: share });
+      remaining = roundCurrency(remaining - share);
+    }
+  }
+
+  const available = roundCurrency(Math.max(0, (order.tenders?.storeCredit || 0) - skip));
+  return { giftCards, storeCredit: roundCurrency(Math.min(available, remaining)) };
+};
+
+// Give back the gift cards and store credit of a cancelled order (points
+// are reversed by utils/loyalty). Anything already refunded as store credit
+// is not given back twice; gift cards are restored first.
+export const restoreTenders = async (order) => {
+  const allocation = allocateTenders(order, order.getMoneyTenderTotal());
+  const note = `Order ${order.orderNumber} cancelled`;
+
+  for (const { giftCard, amount } of allocation.giftCards) {
+    await GiftCard.restore(giftCard, amount, { order: order._id, note });
+  }
+
+  if (allocation.storeCredit > 0 && order.user) {
+    await StoreCredit.adjust(order.user._id || order.user, allocation.storeCredit, {
+      reason: 'order_cancelled',
+      order: order._id,
+      note
+    });
+  }
+};
+
+// Refund part of a guest order onto the gift cards it was paid with, as
+// guests have no store credit account. Returns the amount put back.
+export const refundToGiftCards = async (order, amount, { note } = {}) => {
+  const { giftCards } = allocateTenders(order, amount);
+  let refunded = 0;
+
+  for (const { giftCard, amount: share } of giftCards) {
+    await GiftCard.restore(giftCard, share, { order: order._id, note });
+    refunded = roundCurrency(refunded + share);
+  }
+
+  return refunded;
+};
@@ -0,0 +1,170 @@
+import crypto from 'crypto';
+import Order from '../../models/Order.js';
+import Transaction from '../../models/Transaction.js';
+import { config } from '../../config/payments.js';
+import { getPaymentProvider, applyIntentToOrder, recordRefundTransaction } from './index.js';
+import { changeOrderStatus } from '../orderStatus.js';
+import { userRoom } from '../notifications.js';
+
+// Sign a payload the way Stripe does: HMAC-SHA256 over "<timestamp>.<payload>".
+// Exposed so the mock provider (and tests) can send signed events.
+export const signPayload = (payload, secret = config.webhookSecret, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${payload}`)
+    .digest('hex');
+
+  return `t=${timestamp},v1=${signature}`;
+};
+
+// Verify a Stripe-Signature style header against the raw request body.
+// Throws an error with statusCode 400 if the signature is missing, wrong or stale.
+export const verifySignature = (rawBody, header, {
+  secret = config.webhookSecret,
+  toleranceSeconds = config.webhookToleranceSeconds
+} = {}) => {
+  const fail = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  };
+
+  if (!secret) throw fail('Webhook secret is not configured');
+  if (!header || !rawBody) throw fail('Missing webhook signature');
+
+  const parts = header.split(',').map(part => part.split('='));
+  const timestamp = parseInt(parts.find(([key]) => key === 't')?.[1]);
+  const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+
+  if (!timestamp || signatures.length === 0) throw fail('Malformed webhook signature');
+
+  if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) {
+    throw fail('Webhook timestamp is outside the tolerance window');
+  }
+
+  const expected = Buffer.from(
+    crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex')
+  );
+
+  const valid = signatures.some(signature => {
+    const received = Buffer.from(signature);
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  });
+
+  if (!valid) throw fail('Invalid webhook signature');
+};
+
+const findOrderForIntent = (intentId) => Order.findOne({ 'paymentInfo.transactionId': intentId })
+  .populate('user', 'firstName lastName email');
+
+// Tell the customer their payment status changed
+const notifyPayment = (io, order, type) => {
+  if (!io || !order.user) return;
+
+  io.to(userRoom(order.user._id || order.user)).emit('payment-updated', {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    paymentStatus: order.paymentInfo.status,
+    orderStatus: order.status,
+    event: type
+  });
+};
+
+// The provider is the source of truth: re-read the intent rather than
+// trusting amounts/statuses in the event body
+const syncIntent = async (order, intentId, io) => {
+  const provider = getPaymentProvider(order.paymentInfo.provider || undefined);
+  const intent = await provider.retrieveIntent(intentId);
+  await applyIntentToOrder(order, intent, { io });
+  return intent;
+};
+
+const handlers = {
+  'payment_intent.succeeded': async (object, { io }) => {
+    const order = await findOrderForIntent(object.id);
+    if (!order) return null;
+
+    await syncIntent(order, object.id, io);
+    return order;
+  },
+
+  'payment_intent.payment_failed': async (object, { io }) => {
+    const order = await findOrderForIntent(object.id);
+    if (!order) return null;
+
+    await syncIntent(order, object.id, io);
+    return order;
+  },
+
+  // Refunds issued outside the app (e.g. from the Stripe dashboard)
+  'charge.refunded': async (object, { io }) => {
+    const order = await findOrderForIntent(object.payment_intent);
+    if (!order) return null;
+
+    const provider = getPaymentProvider(order.paymentInfo.provider || undefined);
+    const intent = await provider.retrieveIntent(object.payment_intent);
+    const refundedToCard = (order.paymentInfo.refundAmount || 0) - (order.paymentInfo.refundedToStoreCredit || 0);
+    const unrecorded = Math.round((intent.amountRefunded - refundedToCard) * 100) / 100;
+
+    if (unrecorded > 0) {
+      await order.recordRefund(unrecorded);
+      await recordRefundTransaction(order, unrecorded, { reason: 'issued at the payment provider' });
+    }
+
+    // A fully refunded order that hasn't shipped won't be fulfilled
+    if (order.paymentInfo.status === 'refunded' && order.canTransitionTo('cancelled')) {
+      await changeOrderStatus(order, 'cancelled', { note: 'Payment refunded', io });
+    }
+
+    return order;
+  },
+
+  'charge.dispute.created': async (object) => {
+    const order = await findOrderForIntent(object.payment_intent);
+    if (!order) return null;
+
+    order.paymentInfo.status = 'disputed';
+    order.paymentInfo.dispute = {
+      disputeId: object.id,
+      reason: object.reason,
+      amount: object.amount != null ? object.amount / 100 : undefined,
+      status: object.status,
+      openedAt: new Date()
+    };
+    order.timeline.push({
+      status: order.status,
+      previousStatus: order.status,
+      note: `Payment disputed${object.reason ? `: ${object.reason}` : ''}`,
+      actorRole: 'system'
+    });
+    await order.save();
+
+    await Transaction.record({
+      user: order.user?._id,
+      order: order._id,
+      type: 'dispute',
+      status: 'pending',
+      amount: order.paymentInfo.dispute.amount ?? order.total,
+      currency: object.currency || config.currency,
+      provider: order.paymentInfo.provider,
+      providerReference: object.id,
+      description: `Dispute on order ${order.orderNumber}${object.reason ? ` (${object.reason})` : ''}`
+    });
+
+    return order;
+  }
+};
+
+export const SUPPORTED_EVENTS = Object.keys(handlers);
+
+// Apply a verified event. Resolves to the affected order (null if the event
+// type is ignored or doesn't belong to a known order).
+export const handleWebhookEvent = async (event, { io } = {}) => {
+  const handler = handlers[event.type];
+  if (!handler) return null;
+
+  const order = await handler(event.data.object, { io });
+  if (order) notifyPayment(io, order, event.type);
+
+  return order;
+};
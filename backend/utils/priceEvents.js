@@ -0,0 +1,25 @@
+import Product from '../models/Product.js';
+import { publish, PRODUCT_EVENTS } from '../events/bus.js';
+
+// Publish product.price_dropped if an active product now costs less than
+// `previousPrice`
+export const publishPriceChange = (product, previousPrice) => {
+  if (product.status !== 'active' || !(product.price < previousPrice)) return;
+
+  publish(PRODUCT_EVENTS.PRICE_DROPPED, {
+    productId: product._id,
+    name: product.name,
+    url: product.url,
+    previousPrice,
+    price: product.price
+  });
+};
+
+// Publish price drops for products updated in bulk, given their prices
+// before the update keyed by product ID
+export const publishPriceChanges = async (previousPrices) => {
+  const products = await Product.find({ _id: { $in: Object.keys(previousPrices) } })
+    .select('name slug price status');
+
+  products.forEach(product => publishPriceChange(product, previousPrices[product._id.toString()]));
+};
@@ -0,0 +1,59 @@
+import Coupon from '../models/Coupon.js';
+import { calculateTax } from './tax.js';
+import { getShippingQuotes } from './shipping.js';
+import { config as taxConfig } from '../config/tax.js';
+import { getUserTier } from './loyalty.js';
+
+// Product fields the pricing pipeline reads; populate items.product with these
+export const PRICING_FIELDS = 'price variants category taxes weight dimensions shipping isDigital';
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Price a set of cart lines: coupons, shipping and tax, in that order.
+// user is unset for guests; email then stands in for per-customer coupon limits.
+// Shared by Cart.calculateTotals and order creation so both always agree.
+export const priceItems = async ({ items, user, email, couponCodes = [], address, shippingMethod }) => {
+  // Estimates fall back to the store address until a destination is known
+  const destination = address?.country ? address : taxConfig.baseAddress;
+
+  const subtotal = roundCurrency(items.reduce((total, item) => {
+    if (!item.product) return total;
+    return total + item.product.getUnitPrice(item.variant?.sku) * item.quantity;
+  }, 0));
+
+  const coupons = await Coupon.resolve({ codes: couponCodes, user, email, items, subtotal });
+  const discount = coupons.discount;
+
+  const shippingOptions = await getShippingQuotes({
+    items,
+    address: destination,
+    subtotal: subtotal - discount
+  });
+  const shippingQuote = shippingOptions.find(option => option.code === shippingMethod) || null;
+
+  // Loyalty tiers can include free shipping on some methods
+  const tier = user ? await getUserTier(user) : null;
+  const freeShippingMethods = tier?.freeShippingMethods || [];
+  const shipping = coupons.freeShipping || !shippingQuote || freeShippingMethods.includes(shippingQuote.code)
+    ? 0
+    : shippingQuote.cost;
+
+  const taxes = await calculateTax({ items, address: destination, discount });
+
+  // Tax-inclusive prices already contain the tax
+  const total = roundCurrency(subtotal - discount + shipping + (taxes.pricesIncludeTax ? 0 : taxes.tax));
+
+  return {
+    subtotal,
+    coupons,
+    discount,
+    shippingOptions,
+    shippingQuote,
+    shipping,
+    freeShippingMethods,
+    loyaltyTier: tier?.name || null,
+    taxes,
+    tax: taxes.tax,
+    total
+  };
+};
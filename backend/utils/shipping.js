@@ -0,0 +1,70 @@
+import ShippingZone from '../models/ShippingZone.js';
+import { config } from '../config/shipping.js';
+
+// Billable weight of one unit: the greater of actual and dimensional weight
+const getUnitWeight = (product) => {
+  const { length, width, height } = product.dimensions || {};
+  const volumetric = length && width && height
+    ? (length * width * height) / config.volumetricDivisor
+    : 0;
+
+  return Math.max(product.weight || 0, volumetric);
+};
+
+// Summarise cart/order lines into what the rate engine needs.
+// items: [{ product (populated with price, variants, weight, dimensions, shipping, isDigital), quantity, variant }]
+export const buildParcel = (items, subtotal) => {
+  const parcel = {
+    weight: 0,
+    subtotal,
+    chargeableSubtotal: 0,
+    chargeableItems: 0,
+    classQuantities: {}
+  };
+
+  items.forEach(item => {
+    const product = item.product;
+    if (!product || product.isDigital || product.shipping?.isFree) return;
+
+    const unitPrice = product.getUnitPrice(item.variant?.sku);
+    parcel.weight += getUnitWeight(product) * item.quantity;
+    parcel.chargeableSubtotal += unitPrice * item.quantity;
+    parcel.chargeableItems += item.quantity;
+
+    const shippingClass = product.shipping?.shippingClass;
+    if (shippingClass) {
+      parcel.classQuantities[shippingClass] = (parcel.classQuantities[shippingClass] || 0) + item.quantity;
+    }
+  });
+
+  return parcel;
+};
+
+const findZone = async (address) => {
+  const zone = await ShippingZone.findForAddress(address);
+  if (zone) return zone;
+
+  if (!config.defaultZone) return null;
+  return new ShippingZone({ ...config.defaultZone, regions: [{ country: '*' }] });
+};
+
+// Get every shipping method offered for the items at an address, cheapest first.
+// subtotal is the merchandise value used for free-shipping thresholds.
+export const getShippingQuotes = async ({ items, address, subtotal }) => {
+  const zone = await findZone(address);
+  if (!zone) return [];
+
+  const parcel = buildParcel(items, subtotal);
+
+  return zone.methods
+    .map(method => method.quote(parcel))
+    .filter(Boolean)
+    .map(quote => ({ ...quote, zone: zone.name }))
+    .sort((a, b) => a.cost - b.cost);
+};
+
+// Get a single method's quote, or null if it is not offered
+export const getShippingQuote = async ({ items, address, subtotal, method }) => {
+  const quotes = await getShippingQuotes({ items, address, subtotal });
+  return quotes.find(quote => quote.code === method) || null;
+};
@@ -0,0 +1,68 @@
+import jwt from 'jsonwebtoken';
+import { promisify } from 'util';
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+import { userRoom, ADMIN_ROOM } from './notifications.js';
+import { logger } from '../middleware/errorHandler.js';
+
+// Access token of a handshake: the client's auth payload, a Bearer header
+// or the token cookie set at login
+const getHandshakeToken = (handshake) => {
+  if (handshake.auth?.token) return handshake.auth.token;
+
+  const { authorization, cookie = '' } = handshake.headers;
+  if (authorization?.startsWith('Bearer')) {
+    return authorization.split(' ')[1];
+  }
+
+  const tokenCookie = cookie.split(';').map(part => part.trim()).find(part => part.startsWith('token='));
+  return tokenCookie ? decodeURIComponent(tokenCookie.slice('token='.length)) : null;
+};
+
+// Only signed-in users may connect; rejected connections get a
+// connect_error with the message below
+const authenticateSocket = async (socket, next) => {
+  const token = getHandshakeToken(socket.handshake);
+  if (!token) {
+    return next(new Error('Authentication required'));
+  }
+
+  try {
+    const decoded = await promisify(jwt.verify)(token, process.env.JWT_SECRET);
+    const user = await User.findById(decoded.id).select('role loginAttempts lockUntil');
+
+    if (!user || user.isLocked || !(await Session.isActive(decoded.sid, user._id))) {
+      return next(new Error('Not authorized'));
+    }
+
+    socket.data.user = { id: user._id.toString(), role: user.role };
+    next();
+  } catch (error) {
+    next(new Error('Invalid token'));
+  }
+};
+
+// Authenticate sockets and put each one in its user's room (and the admin
+// room for admins). Clients don't pick rooms themselves.
+export const setupSocket = (io) => {
+  io.use(authenticateSocket);
+
+  io.on('connection', (socket) => {
+    const { id, role } = socket.data.user;
+
+    socket.join(userRoom(id));
+    if (role === 'admin') {
+      socket.join(ADMIN_ROOM);
+    }
+
+    logger.debug(`Socket ${socket.id} connected for user ${id}`);
+
+    socket.on('disconnect', () => {
+      logger.debug(`Socket ${socket.id} disconnected`);
+    });
+  });
+
+  return io;
+};
+
+export default setupSocket;
@@ -0,0 +1,47 @@
+import Product from '../models/Product.js';
+import { publish } from '../events/bus.js';
+import { logger } from '../middleware/errorHandler.js';
+
+// Publish the stock events for a product (or option) whose stock went from
+// `previous` to what it holds now
+export const publishStockLevel = (product, { sku = null, previous }) => {
+  product.getStockEvents(previous, sku).forEach(({ event, payload }) => publish(event, payload));
+};
+
+// Publish stock events for stock moved atomically by an order, cancellation
+// or return; `change` is 'decrease' or 'increase' as in Product.updateStock.
+// Failures are logged, never thrown, so they can't fail the stock change itself.
+export const publishStockChanges = async (items, { change }) => {
+  try {
+    for (const item of items) {
+      const product = await Product.findById(item.product._id || item.product)
+        .select('name slug inventory variants');
+      if (!product) continue;
+
+      const quantity = change === 'decrease' ? -item.quantity : item.quantity;
+      const sku = item.variantSku || item.variant?.sku || null;
+      const { quantity: current } = product.getStockLevel(sku);
+
+      publishStockLevel(product, { sku, previous: current - quantity });
+    }
+  } catch (error) {
+    logger.error('Failed to publish stock events:', error);
+  }
+};
+
+// Publish stock events for stock edited directly on a product (e.g. by an
+// admin), comparing the product and each of its options before and after
+export const publishStockEdits = (before, after) => {
+  try {
+    const skus = after.variants.flatMap(variant => variant.options.map(option => option.sku)).filter(Boolean);
+
+    for (const sku of [null, ...skus]) {
+      if (sku && !before.findVariantOption(sku)) continue;
+
+      const { quantity: previous } = before.getStockLevel(sku);
+      publishStockLevel(after, { sku, previous });
+    }
+  } catch (error) {
+    logger.error('Failed to publish stock events:', error);
+  }
+};
@@ -0,0 +1,110 @@
+import TaxRate from '../models/TaxRate.js';
+import { config } from '../config/tax.js';
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Tax rate table provider - rates are managed through /api/tax-rates
+const tableProvider = {
+  getRates: (address, taxClass) => TaxRate.findForAddress(address, taxClass)
+};
+
+const providers = {
+  table: tableProvider
+};
+
+// Register an alternative tax provider (e.g. an external tax service).
+// A provider must implement getRates(address, taxClass) resolving to
+// an array of { name, rate } where rate is a percentage.
+export const registerTaxProvider = (name, provider) => {
+  if (!provider || typeof provider.getRates !== 'function') {
+    throw new Error(`Tax provider '${name}' must implement getRates()`);
+  }
+  providers[name] = provider;
+};
+
+const getProvider = () => {
+  const provider = providers[config.provider];
+  if (!provider) {
+    throw new Error(`Tax provider '${config.provider}' is not registered`);
+  }
+  return provider;
+};
+
+// Spread an order-level discount over the lines, proportional to line totals
+const allocateDiscount = (lineTotals, discount) => {
+  const subtotal = lineTotals.reduce((total, amount) => total + amount, 0);
+  if (!discount || subtotal === 0) return lineTotals.map(() => 0);
+
+  return lineTotals.map(amount => (amount / subtotal) * Math.min(discount, subtotal));
+};
+
+// Calculate tax for a set of cart/order lines.
+// items: [{ product (populated with price, variants and taxes), quantity, variant }]
+// Returns the total tax, a per-line breakdown (same order as items) and
+// a summary per rate.
+export const calculateTax = async ({ items, address, discount = 0 }) => {
+  const destination = address?.country ? address : config.baseAddress;
+  const provider = getProvider();
+  const ratesByClass = new Map();
+
+  const lineTotals = items.map(item => {
+    if (!item.product) return 0;
+    const unitPrice = item.product.getUnitPrice(item.variant?.sku);
+    return unitPrice * item.quantity;
+  });
+  const lineDiscounts = allocateDiscount(lineTotals, discount);
+
+  const lines = [];
+  for (const [index, item] of items.entries()) {
+    const taxable = !!item.product && item.product.taxes?.taxable !== false;
+    const taxClass = (item.product?.taxes?.taxClass || config.defaultTaxClass).toLowerCase();
+
+    if (!taxable) {
+      lines.push({ taxable: false, taxClass, rate: 0, amount: 0, rates: [] });
+      continue;
+    }
+
+    if (!ratesByClass.has(taxClass)) {
+      ratesByClass.set(taxClass, await provider.getRates(destination, taxClass));
+    }
+    const rates = ratesByClass.get(taxClass);
+    const combinedRate = rates.reduce((total, rate) => total + rate.rate, 0);
+
+    // With tax-inclusive prices the line amount is gross and tax is extracted from it
+    const base = lineTotals[index] - lineDiscounts[index];
+    const netBase = config.pricesIncludeTax ? base / (1 + combinedRate / 100) : base;
+
+    const lineRates = rates.map(rate => ({
+      name: rate.name,
+      rate: rate.rate,
+      amount: roundCurrency((netBase * rate.rate) / 100)
+    }));
+
+    lines.push({
+      taxable: true,
+      taxClass,
+      rate: combinedRate,
+      amount: roundCurrency(lineRates.reduce((total, rate) => total + rate.amount, 0)),
+      rates: lineRates
+    });
+  }
+
+  const breakdown = [];
+  lines.forEach(line => {
+    line.rates.forEach(lineRate => {
+      const entry = breakdown.find(b => b.name === lineRate.name && b.rate === lineRate.rate);
+      if (entry) {
+        entry.amount = roundCurrency(entry.amount + lineRate.amount);
+      } else {
+        breakdown.push({ ...lineRate });
+      }
+    });
+  });
+
+  return {
+    tax: roundCurrency(lines.reduce((total, line) => total + line.amount, 0)),
+    lines,
+    breakdown,
+    pricesIncludeTax: config.pricesIncludeTax
+  };
+};
@@ -26,9 +26,21 @@ const authAPI = {
     return response.data;
   },
 
-  // Refresh token
-  refreshToken: async (refreshToken) => {
-    const response = await API.post('/auth/refresh', { refreshToken });
+  // Refresh token (sent in its httpOnly cookie)
+  refreshToken: async () => {
+    const response = await API.post('/auth/refresh');
+    return response.data;
+  },
+
+  // Get signed-in devices
+  getSessions: async () => {
+    const response = await API.get('/auth/sessions');
+    return response.data;
+  },
+
+  // Sign out a device
+  revokeSession: async (sessionId) => {
+    const response = await API.delete(`/auth/sessions/${sessionId}`);
     return response.data;
   },
 
@@ -52,6 +52,18 @@ const cartAPI = {
     return response.data;
   },
 
+  // Get shipping options for an address
+  getShippingOptions: async (address = {}) => {
+    const response = await API.get('/cart/shipping-options', { params: address });
+    return response.data;
+  },
+
+  // Set the destination used for tax and shipping estimates
+  updateAddress: async (address) => {
+    const response = await API.put('/cart/address', address);
+    return response.data;
+  },
+
   // Validate cart stock
   validateStock: async () => {
     const response = await API.get('/cart/validate');
@@ -64,6 +76,12 @@ const cartAPI = {
     return response.data;
   },
 
+  // Restore an abandoned cart from a recovery email link
+  recoverCart: async (token) => {
+    const response = await API.post('/cart/recover', { token });
+    return response.data;
+  },
+
   // Get cart item count
   getCartCount: async () => {
     const response = await API.get('/cart/count');
@@ -9,13 +9,106 @@ const API = axios.create({
   },
 });
 
+// The API keeps the access and refresh tokens in httpOnly cookies. The
+// access token is also held in memory (never in storage) and sent as a
+// Bearer header for when the cookie can't be. localStorage only remembers
+// that this browser is signed in.
+const SESSION_KEY = 'hasSession';
+let accessToken = null;
+// Bumped whenever the access token changes, so requests sent with an older
+// one are replayed instead of triggering another refresh
+let tokenVersion = 0;
+let refreshing = null;
+
+// Tokens used to live in localStorage
+localStorage.removeItem('authToken');
+localStorage.removeItem('refreshToken');
+
+// Requests whose 401 means bad credentials rather than an expired session
+const AUTH_PATHS = ['/auth/login', '/auth/register', '/auth/refresh', '/auth/logout'];
+
+// Auth changes are shared with the other open tabs
+const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel('auth') : null;
+const listeners = new Set();
+
+const setAccessToken = (token) => {
+  accessToken = token;
+  tokenVersion += 1;
+};
+
+const notify = (type) => listeners.forEach((listener) => listener(type));
+
+channel?.addEventListener('message', ({ data }) => {
+  setAccessToken(data.token || null);
+  notify(data.type);
+});
+
+// Subscribe to 'login', 'logout', 'expired' and 'refresh' events from this
+// and other tabs. Returns an unsubscribe function.
+export const onAuthChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const getAccessToken = () => accessToken;
+
+export const hasSession = () => localStorage.getItem(SESSION_KEY) === '1';
+
+// Record a sign-in and tell the other tabs
+export const startSession = (token) => {
+  setAccessToken(token);
+  localStorage.setItem(SESSION_KEY, '1');
+  channel?.postMessage({ type: 'login', token });
+};
+
+// Forget the session here and in the other tabs ('logout' or 'expired')
+export const endSession = (type = 'logout') => {
+  setAccessToken(null);
+  localStorage.removeItem(SESSION_KEY);
+  channel?.postMessage({ type });
+  notify(type);
+};
+
+// Swap the refresh cookie for new tokens. Concurrent callers share one
+// request, and tabs take turns so two never present the same refresh token
+// (the API treats that as theft and revokes the session). Ends the session
+// if the API rejects the refresh.
+export const refreshSession = () => {
+  if (!refreshing) {
+    const startedWith = tokenVersion;
+
+    const refresh = async () => {
+      // Another tab refreshed while this one waited its turn
+      if (tokenVersion !== startedWith) return;
+
+      const response = await API.post('/auth/refresh');
+      setAccessToken(response.data.data.token);
+      channel?.postMessage({ type: 'refresh', token: accessToken });
+    };
+
+    refreshing = (navigator.locks ? navigator.locks.request('auth-refresh', refresh) : refresh())
+      .catch((error) => {
+        if (error.response?.status === 401 && hasSession()) {
+          endSession('expired');
+        }
+        throw error;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+};
+
 // Request interceptor to add auth token
 API.interceptors.request.use(
   (config) => {
-    const token = localStorage.getItem('authToken');
-    if (token) {
-      config.headers.Authorization = `Bearer ${token}`;
+    if (accessToken) {
+      config.headers.Authorization = `Bearer ${accessToken}`;
+    } else {
+      delete config.headers.Authorization;
     }
+    config.tokenVersion = tokenVersion;
     return config;
   },
   (error) => {
@@ -23,19 +116,38 @@ API.interceptors.request.use(
   }
 );
 
-// Response interceptor to handle auth errors
+// Response interceptor to renew expired sessions. Requests that fail while
+// a refresh is in flight wait for it and are replayed; the user is only
+// signed out if the refresh itself is rejected.
 API.interceptors.response.use(
   (response) => {
     return response;
   },
-  (error) => {
-    if (error.response?.status === 401) {
-      // Token expired or invalid
-      localStorage.removeItem('authToken');
-      window.location.href = '/login';
+  async (error) => {
+    const { config, response } = error;
+
+    if (
+      response?.status !== 401 ||
+      !config ||
+      config.retried ||
+      AUTH_PATHS.includes(config.url) ||
+      !hasSession()
+    ) {
+      return Promise.reject(error);
     }
-    return Promise.reject(error);
+
+    config.retried = true;
+
+    try {
+      if (config.tokenVersion === tokenVersion) {
+        await refreshSession();
+      }
+    } catch (refreshError) {
+      return Promise.reject(error);
+    }
+
+    return API(config);
   }
 );
 
-export default API;
\ No newline at end of file
+export default API;
@@ -0,0 +1,86 @@
+import { io } from 'socket.io-client';
+import API, { getAccessToken, hasSession, refreshSession } from './config';
+
+// Notifications API service
+const notificationsAPI = {
+  // Get notifications (pass { unread: true } for unread only)
+  getNotifications: async (params = {}) => {
+    const response = await API.get('/notifications', { params });
+    return response.data;
+  },
+
+  // Get unread notification count
+  getUnreadCount: async () => {
+    const response = await API.get('/notifications/unread-count');
+    return response.data;
+  },
+
+  // Mark notifications as read (all of them when no IDs are given)
+  markRead: async (ids) => {
+    const response = await API.put('/notifications/read', ids ? { ids } : {});
+    return response.data;
+  },
+
+  // Mark a notification as read
+  markOneRead: async (id) => {
+    const response = await API.put(`/notifications/${id}/read`);
+    return response.data;
+  },
+
+  // Get product alert preferences
+  getPreferences: async () => {
+    const response = await API.get('/notifications/preferences');
+    return response.data;
+  },
+
+  // Opt in or out of product alerts ({ backInStock, priceDrop, email })
+  updatePreferences: async (preferences) => {
+    const response = await API.put('/notifications/preferences', preferences);
+    return response.data;
+  },
+
+  // Get active "notify me" product alerts
+  getAlerts: async () => {
+    const response = await API.get('/notifications/alerts');
+    return response.data;
+  },
+
+  // Stop a "notify me" product alert
+  deleteAlert: async (id) => {
+    const response = await API.delete(`/notifications/alerts/${id}`);
+    return response.data;
+  },
+
+  // Open a real-time connection for the signed-in user. The server puts it in
+  // the user's room; listen for 'notification', 'order-status-updated',
+  // 'payment-updated' and (admins) 'stock-alert'.
+  connect: () => {
+    const socketUrl = (import.meta.env.VITE_API_URL || 'http://localhost:5000/api').replace(/\/api\/?$/, '');
+    const socket = io(socketUrl, {
+      withCredentials: true,
+      // Without an in-memory token the server reads the token cookie
+      auth: (callback) => callback({ token: getAccessToken() })
+    });
+
+    // A rejected handshake isn't retried automatically; renew the session
+    // once and reconnect
+    let renewed = false;
+    socket.on('connect', () => {
+      renewed = false;
+    });
+    socket.on('connect_error', async () => {
+      if (socket.active || renewed || !hasSession()) return;
+      renewed = true;
+      try {
+        await refreshSession();
+        socket.connect();
+      } catch (error) {
+        // refreshSession signs the user out if the session is gone
+      }
+    });
+
+    return socket;
+  },
+};
+
+export default notificationsAPI;
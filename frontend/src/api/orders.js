@@ -2,9 +2,29 @@ import API from './config';
 
 // Orders API service
 const ordersAPI = {
-  // Create order
-  createOrder: async (orderData) => {
-    const response = await API.post('/orders', orderData);
+  // Start checkout (reserves stock for the cart)
+  startCheckout: async () => {
+    const response = await API.post('/orders/checkout');
+    return response.data;
+  },
+
+  // Abandon checkout (releases reserved stock)
+  cancelCheckout: async (reservationId) => {
+    const response = await API.delete(`/orders/checkout/${reservationId}`);
+    return response.data;
+  },
+
+  // Create order (reuse the same idempotency key when retrying one checkout)
+  createOrder: async (orderData, idempotencyKey = null) => {
+    const response = await API.post('/orders', orderData, {
+      headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {}
+    });
+    return response.data;
+  },
+
+  // Look up a guest order by number and checkout email
+  lookupGuestOrder: async (orderNumber, email) => {
+    const response = await API.post('/orders/guest/lookup', { orderNumber, email });
     return response.data;
   },
 
@@ -26,6 +46,48 @@ const ordersAPI = {
     return response.data;
   },
 
+  // Request a return for some of an order's items
+  requestReturn: async (orderId, items) => {
+    const response = await API.post('/returns', { orderId, items });
+    return response.data;
+  },
+
+  // Get user returns
+  getReturns: async (params = {}) => {
+    const response = await API.get('/returns', { params });
+    return response.data;
+  },
+
+  // Get single return
+  getReturn: async (id) => {
+    const response = await API.get(`/returns/${id}`);
+    return response.data;
+  },
+
+  // Check a gift card's balance before applying it at checkout
+  checkGiftCardBalance: async (code) => {
+    const response = await API.post('/gift-cards/balance', { code });
+    return response.data;
+  },
+
+  // Get store credit balance and history
+  getStoreCredit: async (params = {}) => {
+    const response = await API.get('/store-credit', { params });
+    return response.data;
+  },
+
+  // Get loyalty points balance and tier
+  getLoyalty: async () => {
+    const response = await API.get('/loyalty');
+    return response.data;
+  },
+
+  // Get loyalty points history
+  getLoyaltyHistory: async (params = {}) => {
+    const response = await API.get('/loyalty/history', { params });
+    return response.data;
+  },
+
   // Get order statistics (Admin)
   getOrderStats: async (params = {}) => {
     const response = await API.get('/orders/admin/stats', { params });
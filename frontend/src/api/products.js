@@ -83,6 +83,19 @@ const productsAPI = {
     const response = await API.delete(`/products/${productId}/reviews/${reviewId}`);
     return response.data;
   },
+
+  // Notify me when back in stock or when the price drops
+  // (alert: { type: 'back_in_stock' | 'price_drop', sku, targetPrice })
+  createAlert: async (productId, alert = {}) => {
+    const response = await API.post(`/products/${productId}/alerts`, alert);
+    return response.data;
+  },
+
+  // Stop product alerts (all types unless one is given)
+  deleteAlerts: async (productId, type) => {
+    const response = await API.delete(`/products/${productId}/alerts`, { params: { type } });
+    return response.data;
+  },
 };
 
 export default productsAPI;
\ No newline at end of file
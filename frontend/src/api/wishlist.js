@@ -1,46 +1,65 @@
 import API from './config';
 
-// Wishlist API service
+// Wishlist API service. A user can keep several lists (wishlists and gift
+// registries); list-specific calls take the list ID first.
 const wishlistAPI = {
-  // Get wishlist
-  getWishlist: async () => {
+  // Get all of the user's lists
+  getWishlists: async () => {
     const response = await API.get('/wishlist');
     return response.data;
   },
 
+  // Create a list ({ name, description, type: 'wishlist' | 'registry', eventDate, shippingAddress })
+  createWishlist: async (listData) => {
+    const response = await API.post('/wishlist', listData);
+    return response.data;
+  },
+
+  // Get a list
+  getWishlist: async (listId) => {
+    const response = await API.get(`/wishlist/${listId}`);
+    return response.data;
+  },
+
+  // Delete a list
+  deleteWishlist: async (listId) => {
+    const response = await API.delete(`/wishlist/${listId}`);
+    return response.data;
+  },
+
   // Add item to wishlist
-  addToWishlist: async (itemData) => {
-    const response = await API.post('/wishlist/items', itemData);
+  addToWishlist: async (listId, itemData) => {
+    const response = await API.post(`/wishlist/${listId}/items`, itemData);
     return response.data;
   },
 
   // Remove item from wishlist
-  removeFromWishlist: async (productId) => {
-    const response = await API.delete(`/wishlist/items/${productId}`);
+  removeFromWishlist: async (listId, productId) => {
+    const response = await API.delete(`/wishlist/${listId}/items/${productId}`);
     return response.data;
   },
 
   // Clear wishlist
-  clearWishlist: async () => {
-    const response = await API.delete('/wishlist');
+  clearWishlist: async (listId) => {
+    const response = await API.delete(`/wishlist/${listId}/items`);
     return response.data;
   },
 
   // Update wishlist item
-  updateWishlistItem: async (productId, itemData) => {
-    const response = await API.put(`/wishlist/items/${productId}`, itemData);
+  updateWishlistItem: async (listId, productId, itemData) => {
+    const response = await API.put(`/wishlist/${listId}/items/${productId}`, itemData);
     return response.data;
   },
 
-  // Check if item is in wishlist
+  // Check which lists an item is in
   checkInWishlist: async (productId) => {
     const response = await API.get(`/wishlist/check/${productId}`);
     return response.data;
   },
 
   // Move item to cart
-  moveToCart: async (productId, quantity = 1, variant = null) => {
-    const response = await API.post(`/wishlist/move-to-cart/${productId}`, {
+  moveToCart: async (listId, productId, quantity = 1, variant = null) => {
+    const response = await API.post(`/wishlist/${listId}/move-to-cart/${productId}`, {
       quantity,
       variant
     });
@@ -53,29 +72,49 @@ const wishlistAPI = {
     return response.data;
   },
 
-  // Generate share token
-  generateShareToken: async () => {
-    const response = await API.post('/wishlist/share');
+  // Mark a registry item as bought ({ quantity, name, message })
+  markPurchased: async (token, itemId, purchase = {}) => {
+    const response = await API.post(`/wishlist/shared/${token}/items/${itemId}/purchase`, purchase);
+    return response.data;
+  },
+
+  // Undo a purchase marker
+  removePurchase: async (token, itemId, purchaseId) => {
+    const response = await API.delete(`/wishlist/shared/${token}/items/${itemId}/purchases/${purchaseId}`);
+    return response.data;
+  },
+
+  // Create a share link ({ scope: 'view' | 'purchase', expiresInDays })
+  createShareLink: async (listId, options = {}) => {
+    const response = await API.post(`/wishlist/${listId}/share`, options);
+    return response.data;
+  },
+
+  // Get share links and their view counts
+  getShareLinks: async (listId, { all = false } = {}) => {
+    const response = await API.get(`/wishlist/${listId}/share`, { params: { all } });
     return response.data;
   },
 
-  // Revoke share token
-  revokeShareToken: async () => {
-    const response = await API.delete('/wishlist/share');
+  // Revoke one share link, or every link when no ID is given
+  revokeShareLink: async (listId, linkId = null) => {
+    const response = await API.delete(
+      linkId ? `/wishlist/${listId}/share/${linkId}` : `/wishlist/${listId}/share`
+    );
     return response.data;
   },
 
   // Update wishlist settings
-  updateSettings: async (settings) => {
-    const response = await API.put('/wishlist/settings', settings);
+  updateSettings: async (listId, settings) => {
+    const response = await API.put(`/wishlist/${listId}`, settings);
     return response.data;
   },
 
   // Get items by priority
-  getItemsByPriority: async (priority) => {
-    const response = await API.get(`/wishlist/priority/${priority}`);
+  getItemsByPriority: async (listId, priority) => {
+    const response = await API.get(`/wishlist/${listId}/priority/${priority}`);
     return response.data;
   },
 };
 
-export default wishlistAPI;
\ No newline at end of file
+export default wishlistAPI;
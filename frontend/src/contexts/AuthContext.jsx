@@ -1,7 +1,7 @@
 import { createContext, useContext, useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { useCookies } from 'react-cookie';
 import authAPI from '../api/auth';
+import { hasSession, startSession, endSession, onAuthChange } from '../api/config';
 import toast from 'react-hot-toast';
 
 const AuthContext = createContext();
@@ -17,38 +17,55 @@ export const useAuth = () => {
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [cookies, setCookie, removeCookie] = useCookies(['authToken']);
   const navigate = useNavigate();
 
+  // Load the signed-in user. The token cookies carry the session; an
+  // expired access token is renewed by the API client.
+  const loadUser = async () => {
+    try {
+      const response = await authAPI.getMe();
+      setUser(response.data.user);
+    } catch (error) {
+      console.error('Auth check failed:', error);
+      setUser(null);
+    }
+  };
+
   // Check if user is logged in on mount
   useEffect(() => {
     const checkAuth = async () => {
-      try {
-        const token = localStorage.getItem('authToken');
-        if (token) {
-          const response = await authAPI.getMe();
-          setUser(response.data.user);
-        }
-      } catch (error) {
-        console.error('Auth check failed:', error);
-        localStorage.removeItem('authToken');
-        setUser(null);
-      } finally {
-        setLoading(false);
+      if (hasSession()) {
+        await loadUser();
       }
+      setLoading(false);
     };
 
     checkAuth();
   }, []);
 
+  // Follow sign-ins and sign-outs from other tabs, and sessions the API
+  // client couldn't renew
+  useEffect(() => {
+    return onAuthChange(async (type) => {
+      if (type === 'login') {
+        await loadUser();
+      } else if (type === 'logout') {
+        setUser(null);
+      } else if (type === 'expired') {
+        setUser(null);
+        toast.error('Your session has expired. Please log in again.');
+        navigate('/login');
+      }
+    });
+  }, [navigate]);
+
   // Login function
   const login = async (credentials) => {
     try {
       const response = await authAPI.login(credentials);
-      const { user, token, refreshToken } = response.data;
+      const { user, token } = response.data;
       
-      localStorage.setItem('authToken', token);
-      localStorage.setItem('refreshToken', refreshToken);
+      startSession(token);
       setUser(user);
       
       toast.success('Login successful!');
@@ -66,10 +83,9 @@ export const AuthProvider = ({ children }) => {
   const register = async (userData) => {
     try {
       const response = await authAPI.register(userData);
-      const { user, token, refreshToken } = response.data;
+      const { user, token } = response.data;
       
-      localStorage.setItem('authToken', token);
-      localStorage.setItem('refreshToken', refreshToken);
+      startSession(token);
       setUser(user);
       
       toast.success('Registration successful!');
@@ -90,8 +106,7 @@ export const AuthProvider = ({ children }) => {
     } catch (error) {
       console.error('Logout error:', error);
     } finally {
-      localStorage.removeItem('authToken');
-      localStorage.removeItem('refreshToken');
+      endSession();
       setUser(null);
       toast.success('Logged out successfully');
       navigate('/');
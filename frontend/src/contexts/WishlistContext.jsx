@@ -16,19 +16,31 @@ export const useWishlist = () => {
 };
 
 export const WishlistProvider = ({ children }) => {
-  // FIX: Removed the extra '=' signs here
-  const [wishlist, setWishlist] = useState(null);
+  // All of the user's lists; `wishlist` is the one being viewed and edited
+  const [wishlists, setWishlists] = useState([]);
+  const [activeListId, setActiveListId] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [wishlistCount, setWishlistCount] = useState(0);
-
   const { user } = useAuth();
 
+  const wishlist =
+    wishlists.find((list) => list._id === activeListId) || wishlists[0] || null;
+  const wishlistCount = wishlist?.items?.length || 0;
+
+  // Replace one list with its updated version from the API
+  const setWishlist = (updated) => {
+    setWishlists((prev) =>
+      prev.map((list) =>
+        list._id === updated._id ? updated : list
+      )
+    );
+  };
+
   // Load wishlist on mount or when user changes
   useEffect(() => {
     // IF NO USER, DO NOTHING.
     if (!user) {
-      setWishlist(null);
-      setWishlistCount(0);
+      setWishlists([]);
+      setActiveListId(null);
       setLoading(false);
       return;
     }
@@ -39,9 +51,8 @@ export const WishlistProvider = ({ children }) => {
 
     const loadWishlist = async (signal) => {
       try {
-        const response = await wishlistAPI.getWishlist(signal);
-        setWishlist(response.data.wishlist);
-        updateWishlistCount(response.data.wishlist);
+        const response = await wishlistAPI.getWishlists(signal);
+        setWishlists(response.data.wishlists);
       } catch (error) {
         if (error.name === "CanceledError" || wishlistAPI.isCancel?.(error)) {
           return;
@@ -61,25 +72,54 @@ export const WishlistProvider = ({ children }) => {
     };
   }, [user]);
 
-  // Update wishlist count
-  const updateWishlistCount = (wishlistData) => {
-    if (wishlistData && wishlistData.items) {
-      setWishlistCount(wishlistData.items.length);
-    } else {
-      setWishlistCount(0);
+  // Switch the list being viewed
+  const selectList = (listId) => setActiveListId(listId);
+
+  // Create a wishlist or gift registry and switch to it
+  const createList = async (listData) => {
+    try {
+      const response = await wishlistAPI.createWishlist(listData);
+      setWishlists((prev) => [...prev, response.data.wishlist]);
+      setActiveListId(response.data.wishlist._id);
+      toast.success("Wishlist created");
+      return { success: true, wishlist: response.data.wishlist };
+    } catch (error) {
+      const message =
+        error.response?.data?.message || "Failed to create wishlist";
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
+
+  // Delete a list
+  const deleteList = async (listId = wishlist?._id) => {
+    try {
+      await wishlistAPI.deleteWishlist(listId);
+      setWishlists((prev) => prev.filter((list) => list._id !== listId));
+      toast.success("Wishlist deleted");
+      return { success: true };
+    } catch (error) {
+      const message =
+        error.response?.data?.message || "Failed to delete wishlist";
+      toast.error(message);
+      return { success: false, error: message };
     }
   };
 
   // Add item to wishlist
-  const addToWishlist = async (productId, notes = "", priority = "medium") => {
+  const addToWishlist = async (
+    productId,
+    notes = "",
+    priority = "medium",
+    listId = wishlist?._id
+  ) => {
     try {
-      const response = await wishlistAPI.addToWishlist({
+      const response = await wishlistAPI.addToWishlist(listId, {
         productId,
         notes,
         priority,
       });
       setWishlist(response.data.wishlist);
-      updateWishlistCount(response.data.wishlist);
       toast.success("Item added to wishlist");
       return { success: true };
     } catch (error) {
@@ -93,9 +133,11 @@ export const WishlistProvider = ({ children }) => {
   // Remove item from wishlist
   const removeFromWishlist = async (productId) => {
     try {
-      const response = await wishlistAPI.removeFromWishlist(productId);
+      const response = await wishlistAPI.removeFromWishlist(
+        wishlist._id,
+        productId
+      );
       setWishlist(response.data.wishlist);
-      updateWishlistCount(response.data.wishlist);
       toast.success("Item removed from wishlist");
       return { success: true };
     } catch (error) {
@@ -109,9 +151,8 @@ export const WishlistProvider = ({ children }) => {
   // Clear wishlist
   const clearWishlist = async () => {
     try {
-      const response = await wishlistAPI.clearWishlist();
+      const response = await wishlistAPI.clearWishlist(wishlist._id);
       setWishlist(response.data.wishlist);
-      updateWishlistCount(response.data.wishlist);
       toast.success("Wishlist cleared");
       return { success: true };
     } catch (error) {
@@ -126,6 +167,7 @@ export const WishlistProvider = ({ children }) => {
   const updateWishlistItem = async (productId, itemData) => {
     try {
       const response = await wishlistAPI.updateWishlistItem(
+        wishlist._id,
         productId,
         itemData
       );
@@ -155,12 +197,12 @@ export const WishlistProvider = ({ children }) => {
   const moveToCart = async (productId, quantity = 1, variant = null) => {
     try {
       const response = await wishlistAPI.moveToCart(
+        wishlist._id,
         productId,
         quantity,
         variant
       );
       setWishlist(response.data.wishlist);
-      updateWishlistCount(response.data.wishlist);
       toast.success("Item moved to cart");
       return { success: true, cart: response.data.cart };
     } catch (error) {
@@ -171,35 +213,42 @@ export const WishlistProvider = ({ children }) => {
     }
   };
 
-  // Generate share token
-  const generateShareToken = async () => {
+  // Create a share link ({ scope: 'view' | 'purchase', expiresInDays })
+  const createShareLink = async (options = {}) => {
     try {
-      const response = await wishlistAPI.generateShareToken();
-      setWishlist((prev) => ({ ...prev, ...response.data }));
+      const response = await wishlistAPI.createShareLink(wishlist._id, options);
+      setWishlist({
+        ...wishlist,
+        shareLinks: [...(wishlist.shareLinks || []), response.data.link],
+        isPublic: true,
+      });
       toast.success("Wishlist sharing enabled");
       return { success: true, data: response.data };
     } catch (error) {
       const message =
-        error.response?.data?.message || "Failed to generate share token";
+        error.response?.data?.message || "Failed to create share link";
       toast.error(message);
       return { success: false, error: message };
     }
   };
 
-  // Revoke share token
-  const revokeShareToken = async () => {
+  // Revoke one share link, or every link when no ID is given
+  const revokeShareLink = async (linkId = null) => {
     try {
-      await wishlistAPI.revokeShareToken();
-      setWishlist((prev) => ({
-        ...prev,
-        shareToken: null,
-        isPublic: false,
-      }));
-      toast.success("Wishlist sharing disabled");
+      const response = await wishlistAPI.revokeShareLink(wishlist._id, linkId);
+      const shareLinks = linkId
+        ? (wishlist.shareLinks || []).filter((link) => link._id !== linkId)
+        : [];
+      setWishlist({
+        ...wishlist,
+        shareLinks,
+        isPublic: response.data?.isPublic ?? shareLinks.length > 0,
+      });
+      toast.success(linkId ? "Share link revoked" : "Wishlist sharing disabled");
       return { success: true };
     } catch (error) {
       const message =
-        error.response?.data?.message || "Failed to revoke share token";
+        error.response?.data?.message || "Failed to revoke share link";
       toast.error(message);
       return { success: false, error: message };
     }
@@ -208,7 +257,7 @@ export const WishlistProvider = ({ children }) => {
   // Update wishlist settings
   const updateSettings = async (settings) => {
     try {
-      const response = await wishlistAPI.updateSettings(settings);
+      const response = await wishlistAPI.updateSettings(wishlist._id, settings);
       setWishlist(response.data.wishlist);
       toast.success("Wishlist settings updated");
       return { success: true };
@@ -223,7 +272,10 @@ export const WishlistProvider = ({ children }) => {
   // Get items by priority
   const getItemsByPriority = async (priority) => {
     try {
-      const response = await wishlistAPI.getItemsByPriority(priority);
+      const response = await wishlistAPI.getItemsByPriority(
+        wishlist._id,
+        priority
+      );
       return response.data.items;
     } catch (error) {
       const message =
@@ -258,14 +310,18 @@ export const WishlistProvider = ({ children }) => {
     return wishlist.items.find((item) => item.product?._id === productId);
   };
 
-  // Get share URL
+  // Get the URL of the newest active share link
   const getShareUrl = () => {
-    if (!wishlist || !wishlist.shareToken) return null;
-    return `${window.location.origin}/wishlist/shared/${wishlist.shareToken}`;
+    const links = wishlist?.shareLinks || [];
+    return links.length > 0 ? links[links.length - 1].url : null;
   };
 
   const value = {
+    wishlists,
     wishlist,
+    selectList,
+    createList,
+    deleteList,
     loading,
     wishlistCount,
     addToWishlist,
@@ -274,8 +330,8 @@ export const WishlistProvider = ({ children }) => {
     updateWishlistItem,
     checkInWishlist,
     moveToCart,
-    generateShareToken,
-    revokeShareToken,
+    createShareLink,
+    revokeShareLink,
     updateSettings,
     getItemsByPriority,
     getSharedWishlist,